@@ -1,5 +1,24 @@
-import axios from 'axios';
 import { supabase } from '../utils/supabase.js';
+import { getEnabledSources, getEnabledFeeds } from '../utils/sources/index.js';
+import { loadScoringConfig, loadOffTopicFeedback, scoreItem, scoreUrgency } from '../utils/scoring.js';
+import { enqueueDraftJob } from '../utils/jobs.js';
+import { normalizeTitle, canonicalizeUrl, findClusterMatch, CLUSTER_WINDOW_HOURS } from '../utils/clustering.js';
+import { recordRun } from '../utils/runs.js';
+import { llmUsage } from '../utils/llm/usage.js';
+import { tagItems } from '../utils/tagging.js';
+import { loadRoutingRules, routeItem } from '../utils/routing.js';
+import { fastLane } from '../utils/breaking.js';
+
+// Breaking items drafted inline per run; the rest of a burst goes through the normal queue
+const FAST_LANE_MAX = Number(process.env.FAST_LANE_MAX) || 3;
+
+// No new inline draft starts after this much of the run. One draft can take a while (a variant per
+// persona, with retries; api/process-jobs.js allows 90s), so this plus one draft stays under the
+// route's maxDuration of 120s in vercel.json.
+const FAST_LANE_BUDGET_MS = 25000;
+
+// Breaking items sort above anything routing rules can set
+const BREAKING_PRIORITY = 100;
 
 export default async function handler(req, res) {
   // A simple guard to ensure the correct method is used
@@ -7,43 +26,71 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
-  const CRYPTOPANIC_API_KEY = process.env.CRYPTOPANIC_API_KEY;
+  // ?mode=breaking is the frequent cron: it only stores items that cross the urgency threshold
+  const breakingOnly = req.query.mode === 'breaking';
+  const enabledSources = getEnabledSources();
 
-  if (!CRYPTOPANIC_API_KEY) {
-    return res.status(500).json({ error: 'CRYPTOPANIC_API_KEY is not configured.' });
+  if (enabledSources.length === 0) {
+    return res.status(500).json({ error: 'No news sources are enabled. Configure at least one source.' });
   }
 
-  try {
-    // --- 1. Fetch Trending News from CryptoPanic v2 API ---
-    // Using filter=hot to ensure we only get relevant, high-velocity news
-    const apiUrl = `https://cryptopanic.com/api/developer/v2/posts/?auth_token=${CRYPTOPANIC_API_KEY}&kind=news&filter=hot&public=true`;
-    
-    console.log('Fetching from CryptoPanic v2 API...');
-    
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Vercel-Function/1.0)',
+  // Per-feed counters (keyed "cryptopanic", "rss:<url>", "json:<name>"), returned in the summary
+  // so each feed can be monitored on its own
+  const sourceStats = {};
+  const startedAt = Date.now();
+  const llmSnapshot = llmUsage();
+
+  // Every exit also lands in collector_runs, with the per-source counters summed up
+  const respond = async (statusCode, body) => {
+    const total = key => Object.values(sourceStats).reduce((sum, stats) => sum + (stats[key] || 0), 0);
+    await recordRun({
+      kind: 'collect',
+      startedAt,
+      llmSnapshot,
+      status: statusCode >= 500 ? 'failed' : 'ok',
+      counts: {
+        fetched: total('fetched'),
+        filtered: total('below_threshold'),
+        existing: total('existing'),
+        inserted: total('inserted'),
+        duplicates: total('duplicates'),
+        clustered: total('clustered'),
+        drafts_queued: total('queued'),
+        queue_errors: total('queue_errors'),
       },
-      timeout: 15000,
-      maxRedirects: 0,
+      details: breakingOnly ? { mode: 'breaking', ...sourceStats } : sourceStats,
+      error: body.details || null,
     });
-    
-    if (!response.data || !Array.isArray(response.data.results)) {
-      console.error('Invalid response structure from CryptoPanic');
-      return res.status(500).json({ error: 'Invalid API response structure' });
+    return res.status(statusCode).json(body);
+  };
+
+  try {
+    // --- 1. Fetch News from Every Enabled Source ---
+    const posts = [];
+
+    for (const feed of getEnabledFeeds()) {
+      sourceStats[feed.name] = { fetched: 0, below_threshold: 0, existing: 0, inserted: 0, duplicates: 0, clustered: 0, skipped_by_rules: 0, queued: 0, queue_errors: 0, fast_lane: 0 };
+
+      try {
+        // One broken feed shouldn't take the others down with it
+        const items = await feed.fetchItems();
+        sourceStats[feed.name].fetched = items.length;
+        items.forEach(item => posts.push({ ...item, source: feed.source, feed: feed.name }));
+      } catch (sourceError) {
+        console.error(`Feed "${feed.name}" failed:`, sourceError.message);
+        sourceStats[feed.name].error = sourceError.message;
+      }
     }
 
-    const posts = response.data.results;
-    
     if (posts.length === 0) {
       console.log('No posts found in response');
-      return res.status(200).json({ message: 'No new posts found in trending feed.' });
+      return respond(200, { message: 'No new posts found in trending feed.', sources: sourceStats });
     }
 
     // --- 2. Deduplication and Secondary Filtering ---
     
-    // Convert IDs to Strings explicitly to ensure matching works
-    const newCpIds = posts.map(p => String(p.id));
+    // IDs are namespaced per source (e.g. "cryptopanic:123", "rss:ab12...") so they never collide
+    const newCpIds = posts.map(p => p.cp_id);
 
     // Query Supabase to find which IDs already exist
     const { data: existingRecords, error: selectError } = await supabase
@@ -59,30 +106,55 @@ export default async function handler(req, res) {
     // Create Set from String IDs for fast lookup
     const existingCpIds = new Set(existingRecords.map(r => String(r.cp_id)));
 
-    // Filter posts: New AND meet your vote threshold
-    const newsToInsert = posts
-      .filter(p => !existingCpIds.has(String(p.id)))
-      .filter(p => {
-        // Safely access votes
-        if (!p.votes || typeof p.votes !== 'object') return true;
-        
-        const totalVotes = (p.votes.positive || 0) + 
-                          (p.votes.negative || 0) + 
-                          (p.votes.important || 0) + 
-                          (p.votes.saved || 0) + 
-                          (p.votes.lol || 0);
-        
-        // YOUR THRESHOLD: 5
-        return totalVotes >= 5;
-      })
-      .map(p => ({
-        cp_id: String(p.id),
-        title: p.title || 'Untitled',
-        url: p.url || '',
-        source_name: (p.source && p.source.title) ? p.source.title : 'Unknown',
-        upvotes: (p.votes && p.votes.positive) ? p.votes.positive : 0,
-        sentiment: p.sentiment || 'neutral',
-      }));
+    // Only score items we haven't stored yet
+    const newPosts = posts.filter(p => {
+      if (!existingCpIds.has(p.cp_id)) return true;
+      sourceStats[p.feed].existing++;
+      return false;
+    });
+
+    // Weighted votes, time decay, source trust and keyword rules (see utils/scoring.js),
+    // plus penalties learned from drafts reviewers rejected as off-topic.
+    // Urgent items (vote velocity and "important" votes, boosted for security incidents) pass even below the threshold.
+    const scoringConfig = await loadScoringConfig();
+    scoringConfig.offTopic = await loadOffTopicFeedback(scoringConfig);
+    const scoreAudit = [];
+
+    const newsToInsert = newPosts.filter(p => {
+      const { score, passed, breakdown } = scoreItem(p, scoringConfig);
+      const urgency = scoreUrgency(p, scoringConfig);
+      p.relevance_score = score;
+      p.score_breakdown = breakdown;
+      // Blocked sources and keywords stay blocked however urgent the story looks
+      p.is_breaking = urgency.urgent && !breakdown.blocked_by;
+      p.urgency = { score: urgency.score, reasons: urgency.reasons };
+
+      // In breaking mode only urgent items are stored, so only they count as passed
+      const kept = breakingOnly ? p.is_breaking : passed || p.is_breaking;
+
+      scoreAudit.push({
+        cp_id: p.cp_id,
+        title: p.title,
+        source_name: p.source_name,
+        score,
+        passed: kept,
+        breakdown: { ...breakdown, urgency: p.urgency },
+        evaluated_at: new Date().toISOString(),
+      });
+
+      if (kept) return true;
+      sourceStats[p.feed].below_threshold++;
+      return false;
+    });
+
+    // Keep the latest evaluation per item so we can see why something was (or wasn't) drafted
+    if (scoreAudit.length > 0) {
+      const { error: auditError } = await supabase
+        .from('relevance_audit')
+        .upsert(Array.from(new Map(scoreAudit.map(a => [a.cp_id, a])).values()), { onConflict: 'cp_id' });
+
+      if (auditError) console.error('Error saving relevance audit:', auditError.message);
+    }
 
     // Remove duplicates within the batch itself
     const uniqueNewsToInsert = Array.from(
@@ -90,27 +162,77 @@ export default async function handler(req, res) {
     );
 
     if (uniqueNewsToInsert.length === 0) {
-      return res.status(200).json({ 
+      return respond(200, { 
         message: 'No new posts found above threshold (or all duplicates).',
         fetched: posts.length,
         existing: existingCpIds.size,
+        sources: sourceStats,
       });
     }
 
     console.log(`Processing ${uniqueNewsToInsert.length} new items...`);
 
-    // --- 3. Insert and Trigger AI ---
+    // --- 3. Tag Assets / Topics and Apply Routing Rules ---
+    await tagItems(uniqueNewsToInsert);
+    const routingRules = await loadRoutingRules();
+
+    uniqueNewsToInsert.forEach(item => {
+      const route = routeItem(item, routingRules);
+      item.routing = route;
+      item.inbox_priority = item.is_breaking ? Math.max(route.inbox_priority || 0, BREAKING_PRIORITY) : route.inbox_priority || 0;
+      item.requested_persona = route.persona;
+      // A curator's explicit format request wins over the rules
+      item.requested_format = item.requested_format || route.format;
+    });
+
+    // --- 4. Load Recent Stories for Clustering ---
+    // Near-duplicates (same story, different outlet) attach to an existing cluster instead of getting their own draft
+    const windowStart = new Date(Date.now() - CLUSTER_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: recentNews, error: recentError } = await supabase
+      .from('trending_news')
+      .select('id, title, url, cluster_id, normalized_title, canonical_url')
+      .gte('created_at', windowStart)
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (recentError) {
+      console.error('Supabase select error (recent news):', recentError);
+      throw recentError;
+    }
+
+    // Rows from before clustering existed are normalized on the fly
+    const clusterCandidates = recentNews.map(r => ({
+      ...r,
+      normalized_title: r.normalized_title || normalizeTitle(r.title),
+      canonical_url: r.canonical_url || canonicalizeUrl(r.url),
+    }));
+
+    // --- 5. Insert, Cluster and Queue Drafts ---
     let successCount = 0;
     let duplicateCount = 0;
-    let draftGenerationErrors = 0;
+    let clusteredCount = 0;
+    let skippedByRules = 0;
+    let queuedCount = 0;
+    let queueErrors = 0;
+    let fastLaneCount = 0;
 
-    // Define your project URL for the internal API call
-    // FIX: Hardcoded to ensure Cron Jobs can find the path
-    const PROJECT_URL = 'https://social-news-eight.vercel.app';
+    for (const { source, feed, votes, currencies, published_at, ...newsItem } of uniqueNewsToInsert) {
+      const stats = sourceStats[feed];
 
-    for (const newsItem of uniqueNewsToInsert) {
       try {
-        // A. Insert into Supabase
+        // A. Match against known stories
+        newsItem.normalized_title = normalizeTitle(newsItem.title);
+        newsItem.canonical_url = canonicalizeUrl(newsItem.url);
+
+        const clusterMatch = findClusterMatch(newsItem, clusterCandidates);
+
+        // A new story's cluster is only created once its row exists (below), so a failed insert leaves no orphan
+        if (clusterMatch) {
+          newsItem.cluster_id = clusterMatch.match.cluster_id || await startCluster(clusterMatch.match);
+        }
+
+        // B. Insert into Supabase
         const { data: insertedData, error: insertError } = await supabase
           .from('trending_news')
           .insert(newsItem)
@@ -120,6 +242,7 @@ export default async function handler(req, res) {
         if (insertError) {
           if (insertError.code === '23505') { // Duplicate key
             duplicateCount++;
+            stats.duplicates++;
             continue;
           } else {
             console.error(`Error inserting cp_id ${newsItem.cp_id}:`, insertError.message);
@@ -128,30 +251,59 @@ export default async function handler(req, res) {
         }
 
         successCount++;
+        stats.inserted++;
+
+        if (!clusterMatch) {
+          try {
+            await startCluster(insertedData);
+          } catch (clusterError) {
+            // Unclustered rows are handled like pre-clustering ones: the next match gives them a cluster
+            console.error(`Could not create a cluster for ${insertedData.id}:`, clusterError.message);
+          }
+        }
+        clusterCandidates.push(insertedData);
 
-        // B. Trigger the Draft Generator Manually
+        // Later coverage of a known story is linked to it, not drafted again
+        if (clusterMatch) {
+          console.log(`Attached "${insertedData.title}" to cluster ${insertedData.cluster_id} (similarity ${clusterMatch.similarity.toFixed(2)})`);
+          clusteredCount++;
+          stats.clustered++;
+          continue;
+        }
+
+        // Stored and tagged, but a routing rule says not to draft it
+        if (insertedData.routing?.skip_draft) {
+          skippedByRules++;
+          stats.skipped_by_rules++;
+          continue;
+        }
+
+        // C. Breaking items are drafted now and alerted on (utils/breaking.js); if that fails, or the run
+        // is out of time, they're queued and the worker sends the alert
+        if (insertedData.is_breaking && fastLaneCount < FAST_LANE_MAX && Date.now() - startedAt < FAST_LANE_BUDGET_MS) {
+          const outcome = await fastLane(insertedData);
+          if (outcome === 'drafted') {
+            fastLaneCount++;
+            stats.fast_lane++;
+          } else if (outcome === 'queued') {
+            queuedCount++;
+            stats.queued++;
+          } else {
+            queueErrors++;
+            stats.queue_errors++;
+          }
+          continue;
+        }
+
+        // D. Queue Draft Generation (drained by api/process-jobs.js with retries)
         try {
-          console.log(`Triggering draft for: ${insertedData.title}`);
-          
-          await axios.post(
-            `${PROJECT_URL}/api/generate-draft`,
-            { 
-              // Mimic the structure the generator expects (usually from webhook)
-              record: insertedData 
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${process.env.WEBHOOK_SECRET_KEY}`,
-                'Content-Type': 'application/json',
-              },
-              timeout: 25000, // 25s timeout to prevent cron timeouts
-            }
-          );
-          
-          console.log(`Draft generated successfully.`);
-        } catch (draftError) {
-          console.error(`Draft gen failed for ${insertedData.id}:`, draftError.message);
-          draftGenerationErrors++;
+          await enqueueDraftJob(insertedData.id);
+          queuedCount++;
+          stats.queued++;
+        } catch (queueError) {
+          console.error(`Could not queue draft for ${insertedData.id}:`, queueError.message);
+          queueErrors++;
+          stats.queue_errors++;
         }
 
       } catch (err) {
@@ -159,16 +311,42 @@ export default async function handler(req, res) {
       }
     }
 
-    return res.status(200).json({ 
+    return respond(200, { 
       message: 'Collector run complete.', 
       inserted: successCount,
       duplicates_skipped: duplicateCount,
-      drafts_generated: successCount - draftGenerationErrors,
-      draft_errors: draftGenerationErrors
+      clustered: clusteredCount,
+      skipped_by_rules: skippedByRules,
+      drafts_queued: queuedCount,
+      fast_lane: fastLaneCount,
+      queue_errors: queueErrors,
+      sources: sourceStats,
     });
 
   } catch (error) {
     console.error('Collector fatal error:', error.message);
-    return res.status(500).json({ error: 'Collector failed', details: error.message });
+    return respond(500, { error: 'Collector failed', details: error.message, sources: sourceStats });
   }
+}
+
+// Creates a cluster for a stored item that has none: a newly inserted story, or one ingested
+// before clustering existed that a new item now matches
+async function startCluster(item) {
+  const { data: cluster, error: clusterError } = await supabase
+    .from('story_clusters')
+    .insert({ title: item.title || item.normalized_title })
+    .select('id')
+    .single();
+
+  if (clusterError) throw clusterError;
+
+  const { error: updateError } = await supabase
+    .from('trending_news')
+    .update({ cluster_id: cluster.id })
+    .eq('id', item.id);
+
+  if (updateError) throw updateError;
+
+  item.cluster_id = cluster.id;
+  return cluster.id;
 }
\ No newline at end of file
@@ -0,0 +1,277 @@
+import { supabase } from '../utils/supabase.js';
+import { requireRole, roleAtLeast } from '../utils/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { requeueForRegeneration } from '../utils/jobs.js';
+import { generateRevision } from '../utils/draft-generator.js';
+import { FORMATS, contentToText } from '../utils/formats.js';
+
+// Why a draft was rejected. off_topic also feeds the collector's scoring (utils/scoring.js);
+// the writing-related ones become negative examples in the prompt (utils/learning.js).
+const REJECTION_REASONS = ['off_topic', 'wrong_take', 'factually_wrong', 'too_hypey', 'duplicate'];
+
+// Pinned text is at most as long as the longest format allows (LinkedIn posts)
+const PINNED_TEXT_MAX = FORMATS.linkedin.limits.max;
+
+// Review actions from the dashboard. All writes to draft_posts go through here (the browser's
+// anon key is read-only under RLS), so every change is role-checked and lands in the audit log.
+// POST { action: 'approve', draft_id, text, content, variant_id?, persona? }
+// POST { action: 'reject', draft_id, reason, note? }   -> soft rejection (see REJECTION_REASONS)
+// POST { action: 'restore', draft_id }                 -> back to the inbox
+// POST { action: 'regenerate', draft_id }              -> supersede the draft and queue a fresh one
+// POST { action: 'revise', draft_id, guidance?, persona?, format?, pinned_text? }
+//                                                      -> new version of the same draft now, old one kept as a revision
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed. Only POST is accepted.' });
+  }
+
+  const user = await requireRole(req, res, 'reviewer');
+  if (!user) return;
+
+  const { action, draft_id: draftId } = req.body || {};
+  if (!draftId) return res.status(400).json({ error: 'Bad Request: draft_id is required.' });
+
+  try {
+    switch (action) {
+      case 'approve': return await approveDraft(req, res, user, draftId);
+      case 'reject': return await rejectDraft(req, res, user, draftId);
+      case 'restore': return await restoreDraft(res, user, draftId);
+      case 'regenerate': return await regenerateDraft(res, user, draftId);
+      case 'revise': return await reviseDraft(req, res, user, draftId);
+      default: return res.status(400).json({ error: `Unknown action: ${action}` });
+    }
+  } catch (error) {
+    if (error.code === 'RATE_LIMITED') {
+      return res.status(429).json({ error: 'LLM quota exceeded.', details: 'Try again in a minute.', retry_after: error.retryAfter });
+    }
+
+    console.error(`Draft ${action} error:`, error.message);
+    return res.status(500).json({ error: `Could not ${action} draft.`, details: error.message });
+  }
+}
+
+async function approveDraft(req, res, user, draftId) {
+  const { text, content = null, variant_id: variantId = null, persona = null } = req.body;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Bad Request: text is required.' });
+  }
+
+  const { data: draft, error } = await supabase
+    .from('draft_posts')
+    .select('id, gemini_draft, is_reviewed, rejected_at, superseded_at, draft_variants!draft_variants_draft_id_fkey (id, draft_text)')
+    .eq('id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+  if (draft.is_reviewed) return res.status(409).json({ error: 'Draft was already approved.' });
+  if (draft.rejected_at) return res.status(409).json({ error: 'Draft was rejected; restore it first.' });
+  if (draft.superseded_at) return res.status(409).json({ error: 'Draft was replaced by a regenerated version.' });
+
+  // Anything other than a generated variant, word for word, counts as an edit
+  const generated = draft.draft_variants.find(v => v.id === variantId)?.draft_text || draft.gemini_draft;
+  const edited = text.trim() !== (generated || '').trim();
+
+  if (edited && !roleAtLeast(user.role, 'editor')) {
+    return res.status(403).json({ error: 'Forbidden: editing a draft requires the editor role. Approve it as generated or reject it.' });
+  }
+
+  // Re-checks the inbox state in the same statement, so a concurrent approve, reject or regenerate wins cleanly
+  const { data: approved, error: updateError } = await supabase
+    .from('draft_posts')
+    .update({
+      final_approved_post: text,
+      is_reviewed: true,
+      posted_date: new Date().toISOString(),
+      final_approved_content: content,
+      selected_variant_id: variantId,
+      selected_persona: persona,
+      reviewed_by: user.id,
+    })
+    .eq('id', draftId)
+    .eq('is_reviewed', false)
+    .is('rejected_at', null)
+    .is('superseded_at', null)
+    .select('id');
+
+  if (updateError) throw updateError;
+  if (approved.length === 0) return res.status(409).json({ error: 'Draft is not in the inbox (already approved, rejected or regenerated).' });
+
+  if (edited) {
+    await recordAudit({ draftId, actor: user, action: 'edited', before: generated, after: text });
+  }
+  await recordAudit({ draftId, actor: user, action: 'approved', before: generated, after: text, details: { variant_id: variantId, persona, edited } });
+
+  return res.status(200).json({ message: 'Approved.', edited });
+}
+
+async function rejectDraft(req, res, user, draftId) {
+  const { reason, note = null } = req.body;
+  if (!REJECTION_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `Bad Request: reason must be one of ${REJECTION_REASONS.join(', ')}.` });
+  }
+
+  const { data, error } = await supabase
+    .from('draft_posts')
+    .update({
+      rejected_at: new Date().toISOString(),
+      rejection_reason: reason,
+      rejection_note: note?.trim() || null,
+      rejected_by: user.id,
+    })
+    .eq('id', draftId)
+    .eq('is_reviewed', false)
+    .is('rejected_at', null)
+    .is('superseded_at', null)
+    .select('id, gemini_draft');
+
+  if (error) throw error;
+  if (data.length === 0) return res.status(409).json({ error: 'Draft is not in the inbox (already approved or rejected).' });
+
+  await recordAudit({ draftId, actor: user, action: 'rejected', before: data[0].gemini_draft, details: { reason, note } });
+
+  return res.status(200).json({ message: 'Rejected.' });
+}
+
+async function restoreDraft(res, user, draftId) {
+  const { data, error } = await supabase
+    .from('draft_posts')
+    .update({ rejected_at: null, rejection_reason: null, rejection_note: null, rejected_by: null })
+    .eq('id', draftId)
+    .not('rejected_at', 'is', null)
+    .select('id, gemini_draft');
+
+  if (error) throw error;
+  if (data.length === 0) return res.status(409).json({ error: 'Draft is not rejected.' });
+
+  await recordAudit({ draftId, actor: user, action: 'restored', after: data[0].gemini_draft });
+
+  return res.status(200).json({ message: 'Restored to the inbox.' });
+}
+
+// The worker picks the story up again within one cron cycle; the new draft reaches
+// the dashboard through the realtime subscription.
+async function regenerateDraft(res, user, draftId) {
+  const { data, error } = await supabase
+    .from('draft_posts')
+    .update({ superseded_at: new Date().toISOString() })
+    .eq('id', draftId)
+    .eq('is_reviewed', false)
+    .is('rejected_at', null)
+    .is('superseded_at', null)
+    .select('id, news_id, gemini_draft');
+
+  if (error) throw error;
+  if (data.length === 0) return res.status(409).json({ error: 'Draft is not in the inbox (already approved, rejected or regenerated).' });
+
+  await requeueForRegeneration(data[0].news_id);
+  await recordAudit({ draftId, actor: user, action: 'regenerated', before: data[0].gemini_draft });
+
+  return res.status(200).json({ message: 'Queued for regeneration.' });
+}
+
+// "Write with guidance": generates synchronously so the reviewer sees the result on the same card.
+// The replaced version goes to draft_revisions first; the draft keeps its id, variants and learning examples.
+async function reviseDraft(req, res, user, draftId) {
+  const { guidance = '', persona = null, format = null, pinned_text: pinnedText = null } = req.body;
+  if (typeof guidance !== 'string' || guidance.length > 500) {
+    return res.status(400).json({ error: 'Bad Request: guidance must be text of at most 500 characters.' });
+  }
+  if (format && !FORMATS[format]) {
+    return res.status(400).json({ error: `Bad Request: format must be one of ${Object.keys(FORMATS).join(', ')}.` });
+  }
+  if (pinnedText !== null && (typeof pinnedText !== 'string' || pinnedText.length > PINNED_TEXT_MAX)) {
+    return res.status(400).json({ error: `Bad Request: pinned_text must be text of at most ${PINNED_TEXT_MAX} characters.` });
+  }
+
+  const { data: draft, error } = await supabase
+    .from('draft_posts')
+    .select('*, trending_news (*), draft_variants!draft_variants_draft_id_fkey (draft_text)')
+    .eq('id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+  if (draft.is_reviewed || draft.rejected_at || draft.superseded_at) {
+    return res.status(409).json({ error: 'Draft is not in the inbox (already approved, rejected or regenerated).' });
+  }
+
+  // Pinning your own words is an edit: the result becomes the generated text a reviewer can approve as is
+  const generatedTexts = [draft.gemini_draft, ...(draft.draft_variants || []).map(v => v.draft_text)].map(t => (t || '').trim());
+  if (pinnedText?.trim() && !generatedTexts.includes(pinnedText.trim()) && !roleAtLeast(user.role, 'editor')) {
+    return res.status(403).json({ error: 'Forbidden: pinning edited text requires the editor role.' });
+  }
+
+  const revision = await generateRevision(draft, { guidance, persona, format, pinnedText });
+  const text = contentToText(revision.content);
+
+  const { error: snapshotError } = await supabase
+    .from('draft_revisions')
+    .insert({
+      draft_id: draft.id,
+      revision: draft.revision,
+      gemini_draft: draft.gemini_draft,
+      gemini_insight: draft.gemini_insight,
+      output_format: draft.output_format,
+      draft_content: draft.draft_content,
+      persona: draft.persona,
+      violations: draft.violations || [],
+      market_context: draft.market_context,
+      guidance: draft.revision_guidance,
+      pinned: draft.revision_pinned,
+      replaced_by: user.id,
+    });
+
+  // A duplicate (draft_id, revision) means someone else revised it in the meantime
+  if (snapshotError?.code === '23505') return res.status(409).json({ error: 'Draft was revised by someone else; refresh and try again.' });
+  if (snapshotError) throw snapshotError;
+
+  const { data: revised, error: updateError } = await supabase
+    .from('draft_posts')
+    .update({
+      gemini_draft: text,
+      gemini_insight: revision.insight,
+      output_format: revision.format,
+      draft_content: revision.content,
+      violations: revision.violations,
+      persona: revision.persona.key,
+      persona_id: revision.persona.id,
+      prompt_template_id: revision.template.id,
+      generated_by: revision.generatedBy,
+      market_context: revision.marketContext,
+      revision: draft.revision + 1,
+      revision_guidance: guidance.trim() || null,
+      revision_pinned: Boolean(pinnedText?.trim()),
+    })
+    .eq('id', draft.id)
+    .eq('revision', draft.revision)
+    .eq('is_reviewed', false)
+    .is('rejected_at', null)
+    .is('superseded_at', null)
+    .select('id');
+
+  if (updateError) throw updateError;
+
+  // Lost a race after the snapshot went in: take the snapshot back out, nothing was replaced
+  if (revised.length === 0) {
+    const { error: cleanupError } = await supabase
+      .from('draft_revisions')
+      .delete()
+      .eq('draft_id', draft.id)
+      .eq('revision', draft.revision);
+
+    if (cleanupError) console.error(`Could not remove revision snapshot for draft ${draft.id}:`, cleanupError.message);
+    return res.status(409).json({ error: 'Draft changed while it was being revised; refresh and try again.' });
+  }
+
+  await recordAudit({
+    draftId,
+    actor: user,
+    action: 'regenerated',
+    before: draft.gemini_draft,
+    after: text,
+    details: { revision: draft.revision + 1, guidance: guidance.trim() || null, persona: revision.persona.key, format: revision.format, pinned: Boolean(pinnedText?.trim()) },
+  });
+
+  return res.status(200).json({ message: 'Revised.', revision: draft.revision + 1, insight: revision.insight, violations: revision.violations });
+}
@@ -0,0 +1,38 @@
+import { requireRole } from '../utils/auth.js';
+import { recordMetrics } from '../utils/engagement.js';
+
+// Accepts engagement metrics for approved posts, either from a script (webhook secret)
+// or from the dashboard's CSV/JSON import (signed-in editors).
+// Body: { metrics: [{ draft_id, impressions, likes, reposts, replies, recorded_at? }] } or a bare array.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed. Only POST is accepted.' });
+  }
+
+  const user = await requireRole(req, res, 'editor');
+  if (!user) {
+    console.warn('Unauthorized metrics ingestion request detected.');
+    return;
+  }
+
+  const entries = Array.isArray(req.body) ? req.body : req.body?.metrics;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'Bad Request: expected a non-empty "metrics" array.' });
+  }
+
+  const results = { recorded: 0, failed: [] };
+
+  for (const [index, entry] of entries.entries()) {
+    try {
+      await recordMetrics(entry);
+      results.recorded++;
+    } catch (error) {
+      console.error(`Metrics row ${index} failed:`, error.message);
+      results.failed.push({ index, draft_id: entry?.draft_id || null, error: error.message });
+    }
+  }
+
+  const status = results.recorded === 0 ? 400 : 200;
+  return res.status(status).json({ message: 'Metrics ingestion complete.', ...results });
+}
@@ -0,0 +1,27 @@
+import { requireRole } from '../utils/auth.js';
+import { requeueJob } from '../utils/jobs.js';
+
+// Dashboard actions on the draft generation queue.
+// POST { job_id } -> re-queue a failed or dead-lettered job
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed. Only POST is accepted.' });
+  }
+
+  const user = await requireRole(req, res, 'editor');
+  if (!user) return;
+
+  const { job_id: jobId } = req.body || {};
+  if (!jobId) return res.status(400).json({ error: 'Bad Request: job_id is required.' });
+
+  try {
+    const { requeued } = await requeueJob(jobId);
+    if (!requeued) return res.status(409).json({ error: 'Job is not failed or dead-lettered.' });
+
+    console.log(`Job ${jobId} re-queued by ${user.email}`);
+    return res.status(200).json({ message: 'Re-queued.' });
+  } catch (error) {
+    console.error('Re-queue error:', error.message);
+    return res.status(500).json({ error: 'Could not re-queue job.', details: error.message });
+  }
+}
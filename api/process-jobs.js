@@ -0,0 +1,137 @@
+import { supabase } from '../utils/supabase.js';
+import { generateDraft } from '../utils/draft-generator.js';
+import { claimDueJobs, markJobSucceeded, markJobFailed } from '../utils/jobs.js';
+import { llmUsage } from '../utils/llm/usage.js';
+import { recordRun } from '../utils/runs.js';
+import { notifyBreaking } from '../utils/breaking.js';
+
+// How many jobs run at once, and how many jobs one invocation may take on. Each job drafts one
+// variant per persona in parallel, each with up to DRAFT_MAX_ATTEMPTS tries, so LLM calls in flight
+// can reach CONCURRENCY x personas.
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const BATCH_SIZE = Number(process.env.JOB_BATCH_SIZE) || 6;
+
+// Wall-clock budget, kept under the route's maxDuration (300s in vercel.json) to leave time for
+// releasing jobs and recording the run. A job only starts if it can run for JOB_ALLOWANCE_MS (article
+// and market fetches plus a few LLM rounds) and still end inside the budget.
+const TIME_BUDGET_MS = 280000;
+const JOB_ALLOWANCE_MS = 90000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  // Vercel Cron sends CRON_SECRET as a bearer token when it is configured
+  if (process.env.CRON_SECRET && req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const startedAt = Date.now();
+  const llmSnapshot = llmUsage();
+  const summary = { claimed: 0, succeeded: 0, skipped_existing: 0, retrying: 0, dead_lettered: 0 };
+
+  // Runs that did something (or broke) land in collector_runs; idle ticks every 10 minutes don't
+  const record = (status, error = null) => recordRun({
+    kind: 'worker',
+    startedAt,
+    llmSnapshot,
+    status,
+    counts: { drafts_generated: summary.succeeded, draft_errors: summary.retrying + summary.dead_lettered },
+    details: summary,
+    error,
+  });
+
+  try {
+    // --- 1. Claim Due Jobs ---
+    const jobs = await claimDueJobs(BATCH_SIZE);
+    summary.claimed = jobs.length;
+
+    if (jobs.length === 0) {
+      return res.status(200).json({ message: 'No jobs due.', ...summary });
+    }
+
+    console.log(`Worker claimed ${jobs.length} jobs (concurrency ${CONCURRENCY})`);
+
+    // --- 2. Drain with a Concurrency Limit ---
+    const queue = [...jobs];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const job = queue.shift();
+
+        // Not enough time left for one more job: hand it straight back without counting the attempt
+        if (Date.now() - startedAt + JOB_ALLOWANCE_MS > TIME_BUDGET_MS) {
+          await releaseJob(job);
+          continue;
+        }
+
+        await runJob(job, summary);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, jobs.length) }, worker));
+
+    await record('ok');
+    return res.status(200).json({ message: 'Worker run complete.', ...summary });
+
+  } catch (error) {
+    console.error('Worker fatal error:', error.message);
+    await record('failed', error.message);
+    return res.status(500).json({ error: 'Worker failed', details: error.message, ...summary });
+  }
+}
+
+async function runJob(job, summary) {
+  const newsItem = job.trending_news;
+
+  try {
+    if (!newsItem) throw new Error(`News item ${job.news_id} no longer exists.`);
+
+    // Idempotency: a previous attempt may have saved the draft but died before marking the job done.
+    // Superseded drafts don't count, so a regeneration request (api/drafts.js) produces a new one.
+    const { data: existing, error: existingError } = await supabase
+      .from('draft_posts')
+      .select('id')
+      .eq('news_id', job.news_id)
+      .is('superseded_at', null)
+      .limit(1);
+
+    if (existingError) throw existingError;
+
+    if (existing.length > 0) {
+      summary.skipped_existing++;
+    } else {
+      const { draftId } = await generateDraft(newsItem);
+      summary.succeeded++;
+      // Breaking items that fell back from the fast lane still alert reviewers
+      if (newsItem.is_breaking) await notifyBreaking(newsItem, draftId);
+    }
+
+    await markJobSucceeded(job);
+
+  } catch (error) {
+    console.error(`Job ${job.id} (news ${job.news_id}) failed on attempt ${job.attempts}:`, error.message);
+
+    try {
+      const { deadLettered, retryInSeconds } = await markJobFailed(job, error);
+      if (deadLettered) {
+        summary.dead_lettered++;
+      } else {
+        summary.retrying++;
+        console.log(`Job ${job.id} will retry in ${retryInSeconds}s`);
+      }
+    } catch (markError) {
+      console.error(`Could not record failure for job ${job.id}:`, markError.message);
+    }
+  }
+}
+
+async function releaseJob(job) {
+  const { error } = await supabase
+    .from('draft_jobs')
+    .update({ status: 'pending', attempts: job.attempts - 1, locked_at: null, updated_at: new Date().toISOString() })
+    .eq('id', job.id);
+
+  if (error) console.error(`Could not release job ${job.id}:`, error.message);
+}
@@ -0,0 +1,124 @@
+import { supabase } from '../utils/supabase.js';
+import { requireRole } from '../utils/auth.js';
+
+// Prompt template / persona versioning from the dashboard's Prompts tab (admins only).
+// Saves always create a new version; version numbers are assigned here, not by the client.
+// POST { action: 'save_template', name, body }
+// POST { action: 'activate_template', id }
+// POST { action: 'save_persona', key, description }   -> new version (first version of a key is active)
+// POST { action: 'activate_persona', key, id }
+// POST { action: 'deactivate_persona', key }
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed. Only POST is accepted.' });
+  }
+
+  const user = await requireRole(req, res, 'admin');
+  if (!user) return;
+
+  const { action, ...body } = req.body || {};
+
+  try {
+    switch (action) {
+      case 'save_template': return await saveTemplate(res, body);
+      case 'activate_template': return await activateTemplate(res, body);
+      case 'save_persona': return await savePersona(res, body);
+      case 'activate_persona': return await activatePersona(res, body);
+      case 'deactivate_persona': return await deactivatePersona(res, body);
+      default: return res.status(400).json({ error: `Unknown action: ${action}` });
+    }
+  } catch (error) {
+    console.error(`Prompt ${action} error:`, error.message);
+    return res.status(500).json({ error: 'Could not save prompt change.', details: error.message });
+  }
+}
+
+async function latestVersion(table, filter = {}) {
+  let query = supabase.from(table).select('version').order('version', { ascending: false }).limit(1);
+  for (const [column, value] of Object.entries(filter)) query = query.eq(column, value);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data?.version || 0;
+}
+
+async function saveTemplate(res, { name, body }) {
+  if (!body || !body.trim()) return res.status(400).json({ error: 'Template body cannot be empty.' });
+
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .insert({ name: (name || '').trim() || 'default', body, version: (await latestVersion('prompt_templates')) + 1, is_active: false })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ template: data });
+}
+
+async function activateTemplate(res, { id }) {
+  if (!id) return res.status(400).json({ error: 'Bad Request: id is required.' });
+
+  // Only one template may be active at a time
+  const { error: resetError } = await supabase
+    .from('prompt_templates')
+    .update({ is_active: false })
+    .eq('is_active', true);
+  if (resetError) throw resetError;
+
+  const { error } = await supabase
+    .from('prompt_templates')
+    .update({ is_active: true })
+    .eq('id', id);
+
+  if (error) throw error;
+  return res.status(200).json({ message: 'Activated.' });
+}
+
+async function savePersona(res, { key, description }) {
+  const personaKey = (key || '').trim().toLowerCase();
+  if (!personaKey || !description || !description.trim()) {
+    return res.status(400).json({ error: 'Key and description are required.' });
+  }
+
+  const version = (await latestVersion('personas', { key: personaKey })) + 1;
+
+  const { data, error } = await supabase
+    .from('personas')
+    .insert({ key: personaKey, description: description.trim(), version, is_active: version === 1 })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ persona: data });
+}
+
+async function activatePersona(res, { key, id }) {
+  if (!key || !id) return res.status(400).json({ error: 'Bad Request: key and id are required.' });
+
+  // One active version per persona key
+  const { error: resetError } = await supabase
+    .from('personas')
+    .update({ is_active: false })
+    .eq('key', key);
+  if (resetError) throw resetError;
+
+  const { error } = await supabase
+    .from('personas')
+    .update({ is_active: true })
+    .eq('id', id);
+
+  if (error) throw error;
+  return res.status(200).json({ message: 'Activated.' });
+}
+
+async function deactivatePersona(res, { key }) {
+  if (!key) return res.status(400).json({ error: 'Bad Request: key is required.' });
+
+  const { error } = await supabase
+    .from('personas')
+    .update({ is_active: false })
+    .eq('key', key);
+
+  if (error) throw error;
+  return res.status(200).json({ message: 'Deactivated.' });
+}
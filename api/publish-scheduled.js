@@ -0,0 +1,27 @@
+import { publishDue } from '../utils/publishing.js';
+
+// Cron: sends every publication whose scheduled time has passed, holding back stale ones
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  // Vercel Cron sends CRON_SECRET as a bearer token when it is configured
+  if (process.env.CRON_SECRET && req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await publishDue();
+
+    return res.status(200).json({
+      message: 'Scheduled publishing run complete.',
+      published: results.filter(r => r.status === 'published').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      held_stale: results.filter(r => r.status === 'held').length,
+    });
+  } catch (error) {
+    console.error('Scheduled publishing error:', error.message);
+    return res.status(500).json({ error: 'Scheduled publishing failed', details: error.message });
+  }
+}
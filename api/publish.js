@@ -0,0 +1,92 @@
+import { supabase } from '../utils/supabase.js';
+import { requireRole } from '../utils/auth.js';
+import { getPublisher, getConfiguredPublishers } from '../utils/publishers/index.js';
+import { schedulePublications, runPublication, publishBlocker } from '../utils/publishing.js';
+import { loadScheduleSettings, takenTimes, checkSlot } from '../utils/scheduler.js';
+import { recordAudit } from '../utils/audit.js';
+
+// GET  -> the networks the dashboard can offer
+// POST { draft_id, networks: ['x', 'bluesky'], scheduled_for? } -> post now, or schedule for later
+//                                                                  (same slot rules as api/schedule.js)
+// POST { publication_id } -> retry one failed publication
+export default async function handler(req, res) {
+  // Anyone signed in may see the networks; posting is for editors and up
+  const user = await requireRole(req, res, req.method === 'GET' ? 'reviewer' : 'editor');
+  if (!user) return;
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      networks: getConfiguredPublishers().map(({ name, label, maxLength }) => ({ name, label, maxLength })),
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { draft_id: draftId, networks, scheduled_for: scheduledFor, publication_id: publicationId } = req.body || {};
+
+  try {
+    // --- Retry a Single Publication ---
+    if (publicationId) {
+      const { data: publication, error } = await supabase
+        .from('publications')
+        .select('*')
+        .eq('id', publicationId)
+        .single();
+
+      if (error) return res.status(404).json({ error: 'Publication not found.', details: error.message });
+
+      const result = await runPublication(publication, user);
+      return res.status(result.status === 'failed' ? 502 : 200).json({ publications: [result] });
+    }
+
+    // --- Publish or Schedule a Draft ---
+    if (!draftId || !Array.isArray(networks) || networks.length === 0) {
+      return res.status(400).json({ error: 'Bad Request: draft_id and a non-empty networks array are required.' });
+    }
+
+    const unknown = networks.filter(name => !getPublisher(name)?.isConfigured());
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unavailable network(s): ${unknown.join(', ')}` });
+    }
+
+    if (scheduledFor && Number.isNaN(new Date(scheduledFor).getTime())) {
+      return res.status(400).json({ error: 'Bad Request: scheduled_for is not a valid date.' });
+    }
+
+    const blocker = await publishBlocker(draftId);
+    if (blocker) return res.status(409).json({ error: blocker });
+
+    const isScheduled = scheduledFor && new Date(scheduledFor).getTime() > Date.now();
+    if (isScheduled) {
+      const conflict = checkSlot(await loadScheduleSettings(), await takenTimes(draftId), new Date(scheduledFor));
+      if (conflict) return res.status(409).json({ error: conflict });
+    }
+
+    const publications = await schedulePublications(draftId, networks, scheduledFor);
+    if (publications.length === 0) {
+      return res.status(409).json({ error: 'Draft is already published (or publishing) on every requested network.' });
+    }
+
+    if (isScheduled) {
+      await recordAudit({ draftId, actor: user, action: 'scheduled', details: { networks, scheduled_for: scheduledFor } });
+      return res.status(200).json({ message: `Scheduled for ${new Date(scheduledFor).toISOString()}.`, publications });
+    }
+
+    const results = [];
+    for (const publication of publications) {
+      results.push(await runPublication(publication, user));
+    }
+
+    const failed = results.filter(r => r.status === 'failed');
+    return res.status(failed.length === results.length ? 502 : 200).json({
+      message: failed.length ? `${failed.length} of ${results.length} network(s) failed.` : 'Published.',
+      publications: results,
+    });
+
+  } catch (error) {
+    console.error('Publish error:', error.message);
+    return res.status(500).json({ error: 'Publishing failed.', details: error.message });
+  }
+}
@@ -0,0 +1,179 @@
+import { supabase } from '../utils/supabase.js';
+import { requireRole } from '../utils/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { getPublisher } from '../utils/publishers/index.js';
+import { schedulePublications, publishBlocker } from '../utils/publishing.js';
+import {
+  loadScheduleSettings, takenTimes, openSlots, checkSlot, staleReason, DEFAULT_SCHEDULE_SETTINGS,
+} from '../utils/scheduler.js';
+
+// Posting calendar for the dashboard.
+// GET                                              -> settings, booked posts, unscheduled approvals, open slots
+// POST  { draft_id, networks, scheduled_for? }     -> book a draft into a slot (next free one if omitted)
+// PATCH { draft_id, scheduled_for }                -> move a booked draft
+// PATCH { draft_id, release: true }                -> send a held (stale) draft anyway
+// PUT   { timezone, slots, min_gap_minutes, daily_cap, stale_after_hours } -> update settings
+// Role needed per method: everyone can look, editors plan posts, admins change the rules
+const REQUIRED_ROLE = { GET: 'reviewer', POST: 'editor', PATCH: 'editor', PUT: 'admin' };
+
+export default async function handler(req, res) {
+  const user = await requireRole(req, res, REQUIRED_ROLE[req.method] || 'admin');
+  if (!user) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': return await getCalendar(req, res);
+      case 'POST': return await bookDraft(req, res, user);
+      case 'PATCH': return await updateBooking(req, res, user);
+      case 'PUT': return await saveSettings(req, res);
+      default: return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+  } catch (error) {
+    console.error('Schedule error:', error.message);
+    return res.status(500).json({ error: 'Schedule request failed.', details: error.message });
+  }
+}
+
+async function getCalendar(req, res) {
+  const settings = await loadScheduleSettings();
+  const from = new Date(Date.now() - 86400000).toISOString();
+
+  const { data: booked, error: bookedError } = await supabase
+    .from('publications')
+    .select('id, draft_id, network, status, scheduled_for, stale_reason, post_url, error, draft_posts (final_approved_post, trending_news (title, created_at))')
+    .gte('scheduled_for', from)
+    .order('scheduled_for', { ascending: true })
+    .limit(200);
+
+  if (bookedError) throw bookedError;
+
+  // Approved drafts that have never been booked on any network
+  const { data: approved, error: approvedError } = await supabase
+    .from('draft_posts')
+    .select('id, final_approved_post, posted_date, publications (id), trending_news (title, created_at)')
+    .eq('is_reviewed', true)
+    .order('posted_date', { ascending: false })
+    .limit(50);
+
+  if (approvedError) throw approvedError;
+
+  const unscheduled = approved
+    .filter(d => d.publications.length === 0)
+    .map(({ publications, ...draft }) => ({ ...draft, stale_reason: staleReason(settings, draft.trending_news?.created_at) }));
+
+  return res.status(200).json({
+    settings,
+    booked,
+    unscheduled,
+    open_slots: openSlots(settings, await takenTimes(), new Date(), 8),
+  });
+}
+
+async function bookDraft(req, res, user) {
+  const { draft_id: draftId, networks, scheduled_for: requested } = req.body || {};
+
+  if (!draftId || !Array.isArray(networks) || networks.length === 0) {
+    return res.status(400).json({ error: 'Bad Request: draft_id and a non-empty networks array are required.' });
+  }
+
+  const unknown = networks.filter(name => !getPublisher(name)?.isConfigured());
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unavailable network(s): ${unknown.join(', ')}` });
+  }
+
+  const blocker = await publishBlocker(draftId);
+  if (blocker) return res.status(409).json({ error: blocker });
+
+  const settings = await loadScheduleSettings();
+  const taken = await takenTimes(draftId);
+
+  let time;
+  if (requested) {
+    time = new Date(requested);
+    if (Number.isNaN(time.getTime())) return res.status(400).json({ error: 'Bad Request: scheduled_for is not a valid date.' });
+    const conflict = checkSlot(settings, taken, time);
+    if (conflict) return res.status(409).json({ error: conflict });
+  } else {
+    [time] = openSlots(settings, taken);
+    if (!time) return res.status(409).json({ error: 'No free slot in the planning horizon.' });
+  }
+
+  const publications = await schedulePublications(draftId, networks, time);
+  if (publications.length === 0) {
+    return res.status(409).json({ error: 'Draft is already published (or publishing) on every requested network.' });
+  }
+  await recordAudit({ draftId, actor: user, action: 'scheduled', details: { networks, scheduled_for: time.toISOString() } });
+  return res.status(200).json({ message: `Scheduled for ${time.toISOString()}.`, publications });
+}
+
+async function updateBooking(req, res, user) {
+  const { draft_id: draftId, scheduled_for: requested, release } = req.body || {};
+  if (!draftId) return res.status(400).json({ error: 'Bad Request: draft_id is required.' });
+
+  let changes;
+  if (release) {
+    // Reviewer confirmed the post is still relevant; don't hold it again
+    changes = { status: 'scheduled', stale_override: true, stale_reason: null };
+  } else {
+    if (!requested) return res.status(400).json({ error: 'Bad Request: scheduled_for is required.' });
+
+    const settings = await loadScheduleSettings();
+    const time = new Date(requested);
+    if (Number.isNaN(time.getTime())) return res.status(400).json({ error: 'Bad Request: scheduled_for is not a valid date.' });
+    const conflict = checkSlot(settings, await takenTimes(draftId), time);
+    if (conflict) return res.status(409).json({ error: conflict });
+
+    changes = { status: 'scheduled', scheduled_for: time.toISOString() };
+  }
+
+  const { data, error } = await supabase
+    .from('publications')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('draft_id', draftId)
+    .in('status', ['scheduled', 'held'])
+    .select();
+
+  if (error) throw error;
+  if (data.length === 0) return res.status(404).json({ error: 'No scheduled posts found for this draft.' });
+
+  await recordAudit({
+    draftId, actor: user, action: 'scheduled',
+    details: release ? { released: true } : { scheduled_for: changes.scheduled_for },
+  });
+
+  return res.status(200).json({ publications: data });
+}
+
+async function saveSettings(req, res) {
+  const body = req.body || {};
+  const settings = {};
+
+  for (const key of Object.keys(DEFAULT_SCHEDULE_SETTINGS)) {
+    if (body[key] !== undefined) settings[key] = body[key];
+  }
+
+  if (settings.slots && (!Array.isArray(settings.slots) || !settings.slots.every(s => /^([01]\d|2[0-3]):[0-5]\d$/.test(s)))) {
+    return res.status(400).json({ error: 'slots must be an array of "HH:MM" times.' });
+  }
+  if (settings.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+    } catch (e) {
+      return res.status(400).json({ error: `Unknown timezone: ${settings.timezone}` });
+    }
+  }
+  for (const key of ['min_gap_minutes', 'daily_cap', 'stale_after_hours']) {
+    if (settings[key] !== undefined && !(Number(settings[key]) >= 0)) {
+      return res.status(400).json({ error: `${key} must be a non-negative number.` });
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('schedule_settings')
+    .upsert({ id: 1, ...settings, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ settings: data });
+}
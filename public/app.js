@@ -4,11 +4,125 @@ const SUPABASE_ANON_KEY = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiOiJzdXBh
 
 const supabase = window.supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+// Feed, article and model text is interpolated into innerHTML templates; escape it on the way in
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Links from feeds only become hrefs if they are http(s); anything else (javascript:, data:) is dropped
+function safeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? escapeHtml(parsed.href) : '#';
+    } catch {
+        return '#';
+    }
+}
+
 const container = document.getElementById('drafts-container');
 const refreshBtn = document.getElementById('refresh-btn');
 
 let currentTab = 'inbox'; // Default to 'inbox'
 
+// Variants per draft id, so the pick/merge buttons can look up the full text
+const variantsByDraft = {};
+
+// Per-format length limits, mirroring utils/formats.js
+const FORMAT_LIMITS = {
+    tweet: { label: 'Tweet', max: 280 },
+    thread: { label: 'Thread', max: 280 },
+    linkedin: { label: 'LinkedIn post', max: 3000 },
+    newsletter: { label: 'Newsletter blurb', max: 700 }
+};
+
+// Rejection categories, matching api/drafts.js
+const REJECTION_REASONS = {
+    off_topic: 'Off-topic',
+    wrong_take: 'Wrong take',
+    factually_wrong: 'Factually wrong',
+    too_hypey: 'Too hypey',
+    duplicate: 'Duplicate'
+};
+
+// Topic tags, matching TOPIC_KEYWORDS in utils/tagging.js
+const TOPIC_LABELS = {
+    regulation: 'Regulation',
+    defi: 'DeFi',
+    security: 'Security incident',
+    macro: 'Macro',
+    etf: 'ETFs',
+    stablecoins: 'Stablecoins',
+    layer2: 'Layer 2',
+    nft: 'NFTs'
+};
+
+// Networks the server has publishers configured for (see /api/publish)
+let availableNetworks = [];
+
+// --- Sign-in (Supabase Auth) ---
+// The anon key can only read, and only once signed in with a role (RLS); every write goes
+// through /api with the user's access token, where the role is checked again.
+const ROLES = ['reviewer', 'editor', 'admin'];
+let currentUser = null; // { id, email, role }
+
+const can = (role) => Boolean(currentUser) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+
+async function apiFetch(url, options = {}) {
+    const { data: { session } } = await supabase.auth.getSession();
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${session?.access_token || ''}` }
+    });
+}
+
+function showLogin(message = '') {
+    currentUser = null;
+    document.getElementById('app-view').style.display = 'none';
+    document.getElementById('login-view').style.display = '';
+    document.getElementById('login-error').innerText = message;
+}
+
+async function startSession(user) {
+    const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+    if (error || !data) {
+        await supabase.auth.signOut();
+        return showLogin(error ? error.message : `${user.email} has no dashboard role yet. Ask an admin to add one.`);
+    }
+
+    currentUser = { id: user.id, email: user.email, role: data.role };
+    document.getElementById('login-view').style.display = 'none';
+    document.getElementById('app-view').style.display = '';
+    document.getElementById('user-badge').innerText = `${currentUser.email} · ${currentUser.role}`;
+    document.getElementById('tab-prompts').style.display = can('admin') ? '' : 'none';
+
+    await Promise.all([loadNetworks(), loadFilterOptions()]);
+    subscribeToDrafts();
+    switchTab(currentTab === 'prompts' && !can('admin') ? 'inbox' : currentTab);
+}
+
+window.signIn = async (event) => {
+    event.preventDefault();
+    const email = document.getElementById('login-email').value.trim();
+    const password = document.getElementById('login-password').value;
+
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) return showLogin(error.message);
+    startSession(data.user);
+};
+
+window.signOut = async () => {
+    currentUser = null;
+    if (realtimeChannel) supabase.removeChannel(realtimeChannel);
+    realtimeChannel = null;
+    await supabase.auth.signOut();
+    showLogin();
+};
+
 // --- Tab Switching Logic ---
 window.switchTab = (tab) => {
     currentTab = tab;
@@ -16,150 +130,1830 @@ window.switchTab = (tab) => {
     // Update UI classes for the tabs
     document.getElementById('tab-inbox').classList.toggle('active', tab === 'inbox');
     document.getElementById('tab-history').classList.toggle('active', tab === 'history');
-    
+    document.getElementById('tab-rejected').classList.toggle('active', tab === 'rejected');
+    document.getElementById('tab-calendar').classList.toggle('active', tab === 'calendar');
+    document.getElementById('tab-jobs').classList.toggle('active', tab === 'jobs');
+    document.getElementById('tab-analytics').classList.toggle('active', tab === 'analytics');
+    document.getElementById('tab-prompts').classList.toggle('active', tab === 'prompts');
+
+    // Search and filters only apply to the draft lists
+    document.getElementById('filter-bar').style.display = DATE_COLUMN[tab] ? '' : 'none';
+    renderSortOptions();
+    writeUrlState();
+
     fetchDrafts();
 };
 
-// --- Fetch Logic (Handles both Inbox and History) ---
-async function fetchDrafts() {
-    container.innerHTML = '<div class="loading">Loading...</div>';
+// --- Search, Filters, Sorting and Pagination (draft tabs) ---
+// The view state lives in the URL (?tab=inbox&q=etf&sort=relevance...), so a filtered view can be
+// bookmarked or shared. Pages are fetched with a keyset cursor on (sort column, id).
+const PAGE_SIZE = 25;
+const FILTER_KEYS = ['q', 'source', 'sentiment', 'persona', 'asset', 'topic', 'from', 'to', 'min_score', 'sort'];
+let filters = {};
+let nextCursor = null; // { value, id } of the last card shown; null when there is nothing more to load
+let loadingPage = false;
+let linkedDraftId = null; // card to scroll to after the first page loads (?focus=)
+
+const SORTS = {
+    newest: { label: 'Newest first', ascending: false },
+    oldest: { label: 'Oldest first', ascending: true },
+    relevance: { label: 'Highest relevance', column: 'relevance_score', ascending: false },
+    priority: { label: 'Priority first (routing rules)', column: 'priority', ascending: false, tabs: ['inbox'] },
+    engagement: { label: 'Top engagement (with metrics)', column: 'engagement_score', ascending: false, tabs: ['history'] }
+};
+
+// The date each draft tab sorts by for newest / oldest
+const DATE_COLUMN = { inbox: 'created_at', history: 'posted_date', rejected: 'rejected_at' };
+
+function sortSpec() {
+    const available = SORTS[filters.sort] && (!SORTS[filters.sort].tabs || SORTS[filters.sort].tabs.includes(currentTab));
+    const sort = available ? filters.sort : 'newest';
+    return { ...SORTS[sort], key: sort, column: SORTS[sort].column || DATE_COLUMN[currentTab] };
+}
+
+function readUrlState() {
+    const params = new URLSearchParams(location.search);
+    currentTab = params.get('tab') || 'inbox';
+    filters = Object.fromEntries(FILTER_KEYS.map(key => [key, params.get(key) || '']).filter(([, value]) => value));
+    // Breaking-news alerts link to ?focus=<draft id>; writeUrlState drops it once it has been shown
+    linkedDraftId = params.get('focus');
+
+    FILTER_KEYS.forEach(key => {
+        const input = document.getElementById(`filter-${key}`);
+        if (input && key !== 'sort') input.value = filters[key] || '';
+    });
+}
+
+function writeUrlState() {
+    const params = new URLSearchParams({ tab: currentTab, ...filters });
+    window.history.replaceState(null, '', `${location.pathname}?${params}`);
+}
+
+function renderSortOptions() {
+    const select = document.getElementById('filter-sort');
+    select.innerHTML = Object.entries(SORTS)
+        .filter(([, sort]) => !sort.tabs || sort.tabs.includes(currentTab))
+        .map(([key, sort]) => `<option value="${key}">${sort.label}</option>`)
+        .join('');
+    select.value = sortSpec().key;
+}
+
+// Source and persona choices for the filter dropdowns (personas also feed the Regenerate form)
+let personaChoices = [];
+
+async function loadFilterOptions() {
+    const [sourcesResult, personasResult] = await Promise.all([
+        supabase.from('trending_news').select('source_name, assets').order('created_at', { ascending: false }).limit(1000),
+        supabase.from('personas').select('key')
+    ]);
+
+    const fill = (id, values) => {
+        const select = document.getElementById(id);
+        // The current filter stays selectable even if it isn't in the sample (e.g. from a shared URL)
+        const unique = [...new Set([...values, filters[id.replace('filter-', '')]].filter(Boolean))].sort();
+        select.innerHTML = select.options[0].outerHTML + unique.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+        select.value = filters[id.replace('filter-', '')] || '';
+    };
+
+    fill('filter-source', (sourcesResult.data || []).map(row => row.source_name));
+    fill('filter-asset', (sourcesResult.data || []).flatMap(row => row.assets || []));
+    // Built-in persona keys (utils/prompts.js) are used until the personas table has rows
+    const personaKeys = (personasResult.data || []).map(row => row.key);
+    personaChoices = [...new Set(personaKeys.length ? personaKeys : ['veteran', 'researcher', 'macro'])].sort();
+    fill('filter-persona', personaChoices);
+}
+
+function applyFilters(query) {
+    if (filters.q) query = query.textSearch('search_vector', filters.q, { type: 'websearch', config: 'english' });
+    if (filters.source) query = query.eq('trending_news.source_name', filters.source);
+    if (filters.sentiment) query = query.eq('trending_news.sentiment', filters.sentiment);
+    // Approved drafts are filed under the persona the reviewer picked, others under the pre-selected one
+    if (filters.persona) query = query.eq(currentTab === 'history' ? 'selected_persona' : 'persona', filters.persona);
+    if (filters.from) query = query.gte('created_at', new Date(`${filters.from}T00:00`).toISOString());
+    if (filters.to) query = query.lt('created_at', new Date(new Date(`${filters.to}T00:00`).getTime() + 86400000).toISOString());
+    if (filters.min_score) query = query.gte('relevance_score', Number(filters.min_score));
+    if (filters.asset) query = query.contains('assets', [filters.asset]);
+    if (filters.topic) query = query.contains('topics', [filters.topic]);
+    return query;
+}
+
+function applySort(query, sort) {
+    if (sort.key === 'engagement') query = query.not('engagement_score', 'is', null);
+
+    if (nextCursor) {
+        const op = sort.ascending ? 'gt' : 'lt';
+        const value = `"${nextCursor.value}"`;
+        query = query.or(`${sort.column}.${op}.${value},and(${sort.column}.eq.${value},id.${op}.${nextCursor.id})`);
+    }
+
+    return query
+        .order(sort.column, { ascending: sort.ascending })
+        .order('id', { ascending: sort.ascending });
+}
+
+let filterTimer;
+function onFilterChange() {
+    filters = Object.fromEntries(FILTER_KEYS
+        .map(key => [key, document.getElementById(`filter-${key}`).value.trim()])
+        .filter(([, value]) => value));
+    writeUrlState();
+
+    // Debounced so typing in the search box doesn't fire a query per keystroke
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => fetchDrafts(), 300);
+}
+
+window.clearFilters = () => {
+    FILTER_KEYS.forEach(key => {
+        if (key !== 'sort') document.getElementById(`filter-${key}`).value = '';
+    });
+    onFilterChange();
+};
+
+document.getElementById('filter-bar').addEventListener('input', onFilterChange);
+
+// Infinite scroll: fetch the next page when the "Load more" button scrolls into view
+const loadMoreBtn = document.getElementById('load-more');
+loadMoreBtn.addEventListener('click', () => fetchDrafts(true));
+new IntersectionObserver((entries) => {
+    if (entries[0].isIntersecting && nextCursor && !loadingPage) fetchDrafts(true);
+}).observe(loadMoreBtn);
+
+// Columns (and embeds) every draft card needs; trending_news becomes an inner join when filtered on
+function draftSelect() {
+    return `
+        id,
+        gemini_draft,
+        gemini_insight,
+        final_approved_post,
+        output_format,
+        draft_content,
+        violations,
+        final_approved_content,
+        created_at,
+        posted_date,
+        engagement_score,
+        learning_examples,
+        selected_persona,
+        persona,
+        relevance_score,
+        assets,
+        topics,
+        priority,
+        market_context,
+        rejected_at,
+        rejection_reason,
+        rejection_note,
+        revision,
+        revision_guidance,
+        revision_pinned,
+        draft_revisions (
+            revision,
+            gemini_draft,
+            output_format,
+            persona,
+            guidance,
+            pinned,
+            created_at
+        ),
+        publications (
+            id,
+            network,
+            status,
+            scheduled_for,
+            post_url,
+            error
+        ),
+        draft_variants!draft_variants_draft_id_fkey (
+            id,
+            position,
+            persona,
+            draft_text,
+            content,
+            insight,
+            violations
+        ),
+        trending_news${filters.source || filters.sentiment ? '!inner' : ''} (
+            title,
+            url,
+            source_name,
+            sentiment,
+            article_status,
+            article_summary,
+            is_breaking,
+            urgency,
+            story_clusters (
+                trending_news (
+                    url,
+                    source_name
+                )
+            )
+        )
+    `;
+}
+
+// Which drafts each tab shows:
+// Inbox = is_reviewed is false and not rejected
+// History = is_reviewed is true
+// Rejected = rejected_at is set (soft-rejected, restorable)
+// Superseded drafts (replaced by a regeneration) never show up.
+function applyTabScope(query) {
+    query = query.is('superseded_at', null);
+    if (currentTab === 'rejected') return query.not('rejected_at', 'is', null);
+    return query
+        .eq('is_reviewed', currentTab === 'history')
+        .is('rejected_at', null);
+}
+
+// Same rule for a raw row from a realtime event
+function belongsToTab(row) {
+    if (row.superseded_at) return false;
+    if (currentTab === 'inbox') return !row.is_reviewed && !row.rejected_at;
+    if (currentTab === 'history') return Boolean(row.is_reviewed);
+    if (currentTab === 'rejected') return Boolean(row.rejected_at);
+    return false;
+}
+
+// --- Fetch Logic (Inbox, History and Rejected; other tabs dispatch to their own loaders) ---
+async function fetchDrafts(append = false) {
+    if (!append) {
+        nextCursor = null;
+        selectedDrafts.clear();
+        focusedCardId = null;
+        renderBulkBar();
+        loadMoreBtn.style.display = 'none';
+        container.innerHTML = '<div class="loading">Loading...</div>';
+    }
+
+    if (currentTab === 'calendar') return fetchCalendar();
+    if (currentTab === 'jobs') return fetchJobs();
+    if (currentTab === 'analytics') return fetchAnalytics();
+    if (currentTab === 'prompts') return fetchPrompts();
+
+    const sort = sortSpec();
+    loadingPage = true;
+    const query = supabase.from('draft_posts').select(draftSelect());
+    const { data, error } = await applySort(applyFilters(applyTabScope(query)), sort).limit(PAGE_SIZE);
+    loadingPage = false;
+
+    if (error) {
+        console.error('Error fetching drafts:', error);
+        container.innerHTML = `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    // A full page means there may be more; the last row is the cursor for the next one
+    const last = data[data.length - 1];
+    nextCursor = data.length === PAGE_SIZE ? { value: last[sort.column], id: last.id } : null;
+    loadMoreBtn.style.display = nextCursor ? '' : 'none';
+
+    renderDrafts(data, append);
+    if (!append && linkedDraftId) focusLinkedDraft();
+}
+
+// The linked card may be further down than the first page: fetch it and put it on top
+async function focusLinkedDraft() {
+    const id = linkedDraftId;
+    linkedDraftId = null;
+
+    let card = document.getElementById(`draft-${id}`);
+    if (!card) {
+        const query = supabase.from('draft_posts').select(draftSelect()).eq('id', id);
+        const { data } = await applyTabScope(query).maybeSingle();
+        if (!data) return;
+
+        container.querySelector('.empty')?.remove();
+        renderDraftCard(data, 'prepend');
+        card = document.getElementById(`draft-${id}`);
+    }
+    focusCard(card);
+}
+
+// --- Render Logic ---
+function renderDrafts(drafts, append = false) {
+    if (append) return drafts.forEach(draft => renderDraftCard(draft));
+
+    if (!drafts || drafts.length === 0) {
+        const emptyText = { inbox: 'No new drafts to review! 🎉', history: 'No history found.', rejected: 'No rejected drafts.' };
+        const filtered = Object.keys(filters).some(key => key !== 'sort');
+        container.innerHTML = `<div class="empty">${filtered ? 'No drafts match these filters.' : emptyText[currentTab]}</div>`;
+        return;
+    }
+
+    container.innerHTML = '';
+
+    if (currentTab === 'history' && can('editor')) container.appendChild(renderMetricsImport());
+
+    drafts.forEach(draft => renderDraftCard(draft));
+}
+
+// position: 'append', 'prepend', or an existing card element to replace in place
+function renderDraftCard(draft, position = 'append') {
+    const news = draft.trending_news;
+    const card = document.createElement('div');
+    card.id = `draft-${draft.id}`;
+    card.dataset.id = draft.id;
+    card.dataset.revision = draft.revision || 1;
+    
+    // Use different styling for history items (green border)
+    card.className = currentTab === 'history' ? 'card history-card' : currentTab === 'rejected' ? 'card rejected-card' : 'card';
+
+    // The variant saved in gemini_draft is pre-selected; after a guided regeneration none match
+    // and the draft's own text (and persona) is what gets approved
+    const variants = (draft.draft_variants || []).sort((a, b) => a.position - b.position);
+    variantsByDraft[draft.id] = variants;
+    const selectedVariant = variants.find(v => v.draft_text === draft.gemini_draft);
+    if (selectedVariant) card.dataset.variantId = selectedVariant.id;
+    if (selectedVariant?.persona || draft.persona) card.dataset.persona = selectedVariant?.persona || draft.persona;
     
-    // Determine which posts to fetch based on the tab
-    // Inbox = is_reviewed is false
-    // History = is_reviewed is true
-    const isReviewed = currentTab === 'history';
+    // Logic: For history, show the FINAL text. For inbox, show the DRAFT.
+    const textContent = currentTab === 'history' ? draft.final_approved_post : draft.gemini_draft;
+    const structuredContent = currentTab === 'history' ? draft.final_approved_content : draft.draft_content;
+    const format = draft.output_format || 'tweet';
+    card.dataset.format = format;
+    
+    // Logic: Actions HTML changes based on tab
+    let actionsHtml = '';
+    
+    if (currentTab === 'inbox') {
+        // INBOX Buttons: Reject, Copy, Approve
+        actionsHtml = `
+            <button class="btn-reject" onclick="toggleRejectForm('${draft.id}')" style="background-color: #ef4444; color: white; margin-right: auto;">Reject</button> 
+            <button class="btn-copy" onclick="toggleReviseForm('${draft.id}')">✍️ Regenerate</button>
+            <button class="btn-copy" onclick="copyToClipboard('${draft.id}')">Copy</button>
+            <button class="btn-approve" onclick="approveDraft('${draft.id}')">Approve & Save</button>
+            ${availableNetworks.length && can('editor') ? `<button class="btn-publish" onclick="approveDraft('${draft.id}', true)">Approve & Post</button>` : ''}
+        `;
+    } else if (currentTab === 'rejected') {
+        // REJECTED: why, and a way back to the inbox
+        actionsHtml = `
+            <span class="rejection-label">🚫 ${REJECTION_REASONS[draft.rejection_reason] || escapeHtml(draft.rejection_reason)} · ${new Date(draft.rejected_at).toLocaleDateString()}${draft.rejection_note ? ` · ${escapeHtml(draft.rejection_note)}` : ''}</span>
+            <button class="btn-approve" onclick="restoreDraft('${draft.id}')">Restore</button>
+        `;
+    } else {
+        // HISTORY Buttons: Just Copy (and show timestamp)
+        const dateStr = draft.posted_date ? new Date(draft.posted_date).toLocaleDateString() : 'Unknown date';
+        actionsHtml = `
+            <span style="margin-right: auto; color: #10b981; font-size: 0.85rem;">✅ Approved on ${dateStr}${draft.selected_persona ? ` · ${escapeHtml(draft.selected_persona)}` : ''}${draft.engagement_score != null ? ` · 📈 ${draft.engagement_score}` : ''}</span>
+            <button class="btn-copy" onclick="copyToClipboard('${draft.id}')">Copy Tweet</button>
+        `;
+    }
+
+    // Build the Card HTML
+    card.innerHTML = `
+        <div class="news-meta">
+            <span>
+                ${currentTab === 'inbox' ? `<input type="checkbox" class="select-draft" onchange="toggleSelected('${draft.id}', this.checked)" ${selectedDrafts.has(draft.id) ? 'checked' : ''}>` : ''}
+                ${new Date(draft.created_at).toLocaleString()}
+            </span>
+            <span>
+                ${news?.is_breaking ? `<span class="breaking-badge" title="Urgency ${news.urgency?.score ?? '?'}${news.urgency?.reasons?.length ? `: ${escapeHtml(news.urgency.reasons.join(', '))}` : ''}">🚨 Breaking</span>` : ''}
+                Source: ${escapeHtml(news?.source_name || 'Unknown')}
+            </span>
+        </div>
+        <h3 class="news-title">
+            <a href="${safeUrl(news?.url)}" target="_blank" style="color:white;text-decoration:none;">${escapeHtml(news?.title || 'Untitled')} 🔗</a>
+        </h3>
+        
+        ${renderTags(draft)}
+
+        ${renderLinkedSources(news)}
+
+        ${renderArticle(news)}
+
+        <div class="insight-box">
+            <div class="insight-text"><strong>💡 Insight:</strong> ${escapeHtml(draft.gemini_insight || 'No insight available')}</div>
+            ${renderMarketSnapshot(draft.market_context)}
+        </div>
+
+        ${currentTab === 'inbox' ? `<div id="violations-${draft.id}">${renderViolations(draft.violations)}</div>` : ''}
+
+        ${renderLearningExamples(draft.learning_examples)}
+
+        ${currentTab === 'inbox' ? renderVariants(draft.id, variants, selectedVariant?.id) : ''}
 
+        ${renderEditor(draft.id, format, textContent, structuredContent, currentTab !== 'inbox' || !can('editor'))}
+
+        ${currentTab === 'inbox' && can('editor') ? renderPublishOptions(draft.id) : ''}
+
+        <div id="pubs-${draft.id}">${renderPublications(draft.id, draft.publications)}</div>
+
+        ${currentTab === 'inbox' ? renderRevisions(draft) : ''}
+
+        ${currentTab === 'inbox' ? renderReviseForm(draft, format) : ''}
+
+        ${currentTab === 'inbox' ? renderRejectForm(draft.id) : ''}
+
+        <div class="actions">
+            ${actionsHtml}
+        </div>
+    `;
+    if (position === 'prepend') container.prepend(card);
+    else if (position instanceof Element) position.replaceWith(card);
+    else container.appendChild(card);
+}
+
+// --- Format-Aware Editor ---
+// Threads get one textarea per post; every format shows a live character count.
+// `text-<id>` always holds the full plain text, so copy/approve work the same for every format.
+function renderEditor(draftId, format, text, content, readonly) {
+    const limits = FORMAT_LIMITS[format] || FORMAT_LIMITS.tweet;
+    const ro = readonly ? 'readonly' : '';
+
+    if (format === 'thread' && content?.posts) {
+        const segments = content.posts.map((post, index) => `
+            <div class="thread-segment-wrap">
+                <textarea class="thread-segment" data-draft="${draftId}" data-max="${limits.max}" ${ro}>${escapeHtml(post)}</textarea>
+                ${renderCharCount(post, limits.max, `${index + 1}/${content.posts.length}`)}
+            </div>
+        `).join('');
+
+        return `
+            <div class="format-label">🧵 ${limits.label} (${content.posts.length} posts)</div>
+            <div id="thread-${draftId}">${segments}</div>
+            <textarea id="text-${draftId}" style="display:none;">${escapeHtml(text)}</textarea>
+        `;
+    }
+
+    return `
+        ${format !== 'tweet' ? `<div class="format-label">📝 ${limits.label}</div>` : ''}
+        <textarea id="text-${draftId}" class="${format === 'linkedin' ? 'long-form' : ''}" data-max="${limits.max}" ${ro}>${escapeHtml(text)}</textarea>
+        ${renderCharCount(text, limits.max)}
+    `;
+}
+
+function renderCharCount(text, max, prefix = '') {
+    const length = (text || '').length;
+    return `<div class="char-count ${length > max ? 'over' : ''}">${prefix ? `${prefix} · ` : ''}${length}/${max}</div>`;
+}
+
+function threadPosts(draftId) {
+    return [...document.querySelectorAll(`#thread-${draftId} .thread-segment`)].map(el => el.value);
+}
+
+// The structured form saved alongside final_approved_post
+function editorContent(draftId, format) {
+    if (format === 'thread') return { posts: threadPosts(draftId) };
+    return { text: document.getElementById(`text-${draftId}`).value };
+}
+
+// Live character counts, and keep the hidden full-text field in sync with thread segments
+container.addEventListener('input', (event) => {
+    const target = event.target;
+    if (!target.dataset.max) return;
+
+    const counter = target.nextElementSibling;
+    if (counter?.classList.contains('char-count')) {
+        const prefix = counter.innerText.includes('·') ? counter.innerText.split(' · ')[0] : '';
+        counter.outerHTML = renderCharCount(target.value, Number(target.dataset.max), prefix);
+    }
+
+    if (target.classList.contains('thread-segment')) {
+        document.getElementById(`text-${target.dataset.draft}`).value = threadPosts(target.dataset.draft).join('\n\n');
+    }
+});
+
+// Side-by-side persona variants; "Use" replaces the editor text, "Merge" appends to it
+function renderVariants(draftId, variants, selectedId) {
+    if (variants.length < 2) return '';
+
+    const columns = variants.map(variant => `
+        <div class="variant ${variant.id === selectedId ? 'selected' : ''}" id="variant-${variant.id}">
+            <div class="variant-persona">${escapeHtml(variant.persona)}${variant.violations?.length ? ` <span class="violation-badge" title="${escapeHtml(variant.violations.map(v => v.message).join(' '))}">⚠️ ${variant.violations.length}</span>` : ''}</div>
+            <div class="variant-text">${escapeHtml(variant.draft_text)}</div>
+            <div class="variant-actions">
+                <button class="btn-variant" onclick="useVariant('${draftId}', '${variant.id}', false)">Use</button>
+                ${variant.content?.posts || !can('editor') ? '' : `<button class="btn-variant" onclick="useVariant('${draftId}', '${variant.id}', true)">Merge</button>`}
+            </div>
+        </div>
+    `).join('');
+
+    return `<div class="variants-grid">${columns}</div>`;
+}
+
+window.useVariant = (draftId, variantId, merge) => {
+    const variant = variantsByDraft[draftId].find(v => v.id === variantId);
+    const textarea = document.getElementById(`text-${draftId}`);
+    const card = textarea.closest('.card');
+
+    if (variant.content?.posts) {
+        // Threads are swapped wholesale: rebuild the per-post editor
+        document.getElementById(`thread-${draftId}`).outerHTML = '<div id="thread-placeholder"></div>';
+        textarea.remove();
+        card.querySelector('.format-label').remove();
+        card.querySelector('#thread-placeholder').outerHTML =
+            renderEditor(draftId, 'thread', variant.draft_text, variant.content, false);
+    } else {
+        textarea.value = merge ? `${textarea.value.trim()} ${variant.draft_text}` : variant.draft_text;
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    // The last variant picked is what gets credited on approval
+    card.dataset.variantId = variant.id;
+    card.dataset.persona = variant.persona;
+    card.querySelectorAll('.variant').forEach(el => el.classList.toggle('selected', el.id === `variant-${variantId}`));
+    card.querySelector('.insight-text').innerHTML = `<strong>💡 Insight:</strong> ${escapeHtml(variant.insight || 'No insight available')}`;
+    document.getElementById(`violations-${draftId}`).innerHTML = renderViolations(variant.violations);
+};
+
+// Guardrail problems that survived automatic regeneration (see utils/guardrails.js)
+function renderViolations(violations) {
+    if (!violations || violations.length === 0) return '';
+
+    return `
+        <div class="violations">
+            <strong>⚠️ Guardrails flagged this draft:</strong>
+            <ul>${violations.map(v => `<li>${escapeHtml(v.message)}</li>`).join('')}</ul>
+        </div>
+    `;
+}
+
+// Past posts that were fed to Gemini as examples for this draft
+function renderLearningExamples(examples) {
+    if (!examples || examples.length === 0) return '';
+
+    const items = examples.map(example => {
+        const label = example.kind === 'similar'
+            ? `🔎 Similar (${Math.round(example.similarity * 100)}%)`
+            : example.kind === 'rejected'
+                ? `🚫 Avoid (${REJECTION_REASONS[example.reason] || escapeHtml(example.reason)})`
+                : '🏆 Top performer';
+        const score = example.engagement_score != null ? ` · 📈 ${example.engagement_score}` : '';
+        return `<li><span class="example-label">${label}${score}</span> ${escapeHtml(example.text)}</li>`;
+    }).join('');
+
+    return `
+        <details class="learning-examples">
+            <summary>Influenced by ${examples.length} past post(s)</summary>
+            <ul>${items}</ul>
+        </details>
+    `;
+}
+
+// What the generator read from the linked page, so reviewers can tell grounded drafts from title-only ones
+function renderArticle(news) {
+    if (!news?.article_status) return '';
+
+    if (!news.article_summary) {
+        const reason = news.article_status === 'paywalled' ? 'paywalled' : 'could not be read';
+        return `<div class="article-summary">📄 Article ${reason}; draft is based on the title only.</div>`;
+    }
+
+    const note = news.article_status === 'paywalled' ? ' (paywalled teaser)' : '';
+    return `
+        <details class="article-summary">
+            <summary>📄 Article summary${note}</summary>
+            <p>${escapeHtml(news.article_summary)}</p>
+        </details>
+    `;
+}
+
+// Other outlets covering the same story cluster (the draft was written once for all of them)
+function renderLinkedSources(news) {
+    const siblings = (news?.story_clusters?.trending_news || []).filter(item => item.url !== news.url);
+    if (siblings.length === 0) return '';
+
+    const links = siblings
+        .map(item => `<a href="${safeUrl(item.url)}" target="_blank">${escapeHtml(item.source_name || 'Unknown')}</a>`)
+        .join(', ');
+
+    return `<div class="linked-sources">📰 Also covered by: ${links}</div>`;
+}
+
+// Asset and topic tags (utils/tagging.js) as chips; clicking one filters the list by it
+function renderTags(draft) {
+    const chip = (key, value, label) =>
+        `<button class="tag-chip ${filters[key] === value ? 'active' : ''}" data-key="${key}" data-value="${escapeHtml(value)}" onclick="filterByTag(this.dataset.key, this.dataset.value)">${escapeHtml(label)}</button>`;
+
+    const chips = [
+        ...(draft.assets || []).map(asset => chip('asset', asset, `$${asset}`)),
+        ...(draft.topics || []).map(topic => chip('topic', topic, TOPIC_LABELS[topic] || topic))
+    ];
+    if (draft.priority > 0 && currentTab === 'inbox') chips.unshift(`<span class="priority-badge" title="Set by a routing rule">⬆ Priority ${draft.priority}</span>`);
+    if (chips.length === 0) return '';
+
+    return `<div class="tag-chips">${chips.join('')}</div>`;
+}
+
+// The price snapshot the draft was written from (utils/market); variants share it, so it stays put when one is picked
+const compactUsd = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 2 });
+
+function renderMarketSnapshot(context) {
+    if (!context?.quotes?.length) return '';
+
+    const price = (value) => value == null ? 'n/a' : value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: value < 1 ? 4 : 2 });
+    const change = (value, label) => value == null ? '' :
+        `<span class="${value >= 0 ? 'market-up' : 'market-down'}">${value >= 0 ? '▲' : '▼'} ${Math.abs(value).toFixed(1)}% ${label}</span>`;
+
+    return `
+        <div class="market-snapshot">
+            ${context.quotes.map(quote => `
+                <div class="market-quote">
+                    <strong>$${escapeHtml(quote.symbol)}</strong> ${price(quote.price)} ${change(quote.change_24h, '24h')} ${change(quote.change_7d, '7d')}
+                    <span class="market-muted">${quote.volume_24h != null ? `Vol ${compactUsd.format(quote.volume_24h)}` : ''}${quote.market_cap != null ? ` · MCap ${compactUsd.format(quote.market_cap)}` : ''}</span>
+                </div>
+            `).join('')}
+            <div class="market-muted">📊 Market snapshot via ${escapeHtml(context.provider)} · ${new Date(context.as_of).toLocaleString()}</div>
+        </div>
+    `;
+}
+
+// Clicking the active chip again clears that filter
+window.filterByTag = (key, value) => {
+    const select = document.getElementById(`filter-${key}`);
+    if (![...select.options].some(option => option.value === value)) select.add(new Option(value, value));
+    select.value = filters[key] === value ? '' : value;
+    onFilterChange();
+};
+
+// --- Action: Approve ---
+// Approves a card with whatever its editor and variant picker currently hold
+function submitApproval(id) {
+    const card = document.getElementById(`draft-${id}`);
+
+    return draftAction({
+        action: 'approve',
+        draft_id: id,
+        text: document.getElementById(`text-${id}`).value,
+        content: editorContent(id, card.dataset.format),
+        variant_id: card.dataset.variantId || null,
+        persona: card.dataset.persona || null
+    });
+}
+
+window.approveDraft = async (id, publish = false) => {
+    // The realtime update for is_reviewed arrives while we are still publishing; this keeps
+    // handleDraftChange from removing the card before the per-network outcome is shown on it
+    const card = document.getElementById(`draft-${id}`);
+    if (publish && card) card.dataset.publishing = 'true';
+
+    try {
+        await submitApproval(id);
+    } catch (e) {
+        if (card) delete card.dataset.publishing;
+        return alert('Error saving: ' + e.message);
+    }
+
+    // Keep the card up if any network failed, so the error is visible right away
+    if (publish && !(await publishDraft(id))) return;
+
+    // Remove card from UI immediately (and refresh if empty)
+    removeCard(id);
+};
+
+// --- Publishing ---
+function renderPublishOptions(draftId) {
+    if (availableNetworks.length === 0) return '';
+
+    const checkboxes = availableNetworks.map(network => `
+        <label><input type="checkbox" name="network-${draftId}" value="${network.name}" checked> ${network.label}</label>
+    `).join('');
+
+    return `
+        <div class="publish-options">
+            ${checkboxes}
+            <label style="margin-left: auto;">Schedule: <input type="datetime-local" id="schedule-${draftId}"></label>
+        </div>
+    `;
+}
+
+function renderPublications(draftId, publications) {
+    if (!publications || publications.length === 0) return '';
+
+    const rows = publications.map(pub => {
+        if (pub.status === 'published') {
+            return `<div class="pub pub-published">✅ ${pub.network}: <a href="${safeUrl(pub.post_url)}" target="_blank">${escapeHtml(pub.post_url)}</a></div>`;
+        }
+        if (pub.status === 'failed') {
+            return `<div class="pub pub-failed">❌ ${pub.network}: ${escapeHtml(pub.error || 'Unknown error')}
+                <button class="btn-copy" onclick="retryPublication('${draftId}', '${pub.id}')">Retry</button></div>`;
+        }
+        if (pub.status === 'scheduled') {
+            return `<div class="pub">🕒 ${pub.network}: scheduled for ${new Date(pub.scheduled_for).toLocaleString()}</div>`;
+        }
+        if (pub.status === 'held') {
+            return `<div class="pub pub-failed">⚠️ ${pub.network}: held as stale (see Calendar)</div>`;
+        }
+        return `<div class="pub">⏳ ${pub.network}: ${pub.status}</div>`;
+    }).join('');
+
+    return `<div class="publications">${rows}</div>`;
+}
+
+async function callPublishApi(body) {
+    const response = await apiFetch('/api/publish', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!result.publications) throw new Error(result.error || `HTTP ${response.status}`);
+    return result.publications;
+}
+
+// Returns true when every selected network succeeded (or was scheduled)
+async function publishDraft(id) {
+    const networks = [...document.querySelectorAll(`input[name="network-${id}"]:checked`)].map(input => input.value);
+    const scheduleValue = document.getElementById(`schedule-${id}`)?.value;
+
+    if (networks.length === 0) {
+        alert('Approved, but no networks were selected to post to.');
+        return true;
+    }
+
+    try {
+        const publications = await callPublishApi({
+            draft_id: id,
+            networks,
+            scheduled_for: scheduleValue ? new Date(scheduleValue).toISOString() : null
+        });
+        const area = document.getElementById(`pubs-${id}`);
+        if (area) {
+            area.innerHTML = renderPublications(id, publications);
+        } else {
+            // The card is gone (e.g. the tab was switched); report failures some other way
+            const failed = publications.filter(pub => pub.status === 'failed');
+            if (failed.length) alert(`Approved, but posting failed on ${failed.map(pub => `${pub.network}: ${pub.error}`).join('; ')}`);
+        }
+        return publications.every(pub => pub.status !== 'failed');
+    } catch (e) {
+        alert('Approved, but publishing failed: ' + e.message);
+        return false;
+    }
+}
+
+window.retryPublication = async (draftId, publicationId) => {
+    try {
+        const [publication] = await callPublishApi({ publication_id: publicationId });
+        const area = document.getElementById(`pubs-${draftId}`);
+        const others = [...area.querySelectorAll('.pub')].length > 1;
+        // Re-fetching keeps multi-network cards accurate; single-network cards update in place
+        if (others) fetchDrafts();
+        else area.innerHTML = renderPublications(draftId, [publication]);
+    } catch (e) {
+        alert('Retry failed: ' + e.message);
+    }
+};
+
+async function loadNetworks() {
+    try {
+        const response = await apiFetch('/api/publish');
+        if (response.ok) availableNetworks = (await response.json()).networks || [];
+    } catch (e) {
+        console.warn('Publishing unavailable:', e.message);
+    }
+}
+
+// --- Action: Reject (soft; a reason is required, restorable from the Rejected tab) ---
+function renderRejectForm(draftId) {
+    const options = Object.entries(REJECTION_REASONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    return `
+        <div class="reject-form" id="reject-form-${draftId}" style="display:none;">
+            <select id="reject-reason-${draftId}">
+                <option value="">Why? (required)</option>
+                ${options}
+            </select>
+            <input id="reject-note-${draftId}" class="text-input" placeholder="Note (optional) - e.g. what the take got wrong">
+            <button class="btn-reject" onclick="rejectDraft('${draftId}')">Confirm Reject</button>
+        </div>
+    `;
+}
+
+window.toggleRejectForm = (id) => {
+    const form = document.getElementById(`reject-form-${id}`);
+    form.style.display = form.style.display === 'none' ? '' : 'none';
+};
+
+async function draftAction(body) {
+    const response = await apiFetch('/api/drafts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    return result;
+}
+
+function removeCard(id) {
+    const card = document.getElementById(`draft-${id}`);
+    if (card && card.id === focusedCardId) {
+        // Keep keyboard triage going on the next card down (or the one above at the end of the list)
+        const next = card.nextElementSibling?.id.startsWith('draft-') ? card.nextElementSibling : card.previousElementSibling;
+        focusCard(next?.id.startsWith('draft-') ? next : null);
+    }
+    card?.remove();
+
+    selectedDrafts.delete(id);
+    renderBulkBar();
+    if (container.children.length === 0) fetchDrafts();
+}
+
+window.rejectDraft = async (id) => {
+    const reason = document.getElementById(`reject-reason-${id}`).value;
+    const note = document.getElementById(`reject-note-${id}`).value.trim();
+    if (!reason) return alert('Pick a reason - it is used to improve future drafts and news filtering.');
+
+    try {
+        await draftAction({ action: 'reject', draft_id: id, reason, note: note || null });
+        removeCard(id);
+    } catch (e) {
+        alert('Error rejecting: ' + e.message);
+    }
+};
+
+window.restoreDraft = async (id) => {
+    try {
+        await draftAction({ action: 'restore', draft_id: id });
+        removeCard(id);
+    } catch (e) {
+        alert('Error restoring: ' + e.message);
+    }
+};
+
+// --- Action: Regenerate with Guidance (same draft, new version; replaced ones become revisions) ---
+function renderReviseForm(draft, format) {
+    const personas = personaChoices.includes(draft.persona) || !draft.persona ? personaChoices : [draft.persona, ...personaChoices];
+    const personaOptions = personas
+        .map(key => `<option value="${escapeHtml(key)}" ${key === draft.persona ? 'selected' : ''}>${escapeHtml(key)}</option>`)
+        .join('');
+    const formatOptions = Object.entries(FORMAT_LIMITS)
+        .map(([key, limits]) => `<option value="${key}" ${key === format ? 'selected' : ''}>${limits.label}</option>`)
+        .join('');
+
+    return `
+        <div class="revise-form" id="revise-form-${draft.id}" style="display:none;">
+            <input id="revise-guidance-${draft.id}" class="text-input" maxlength="500" placeholder="Instructions (optional) - e.g. more bearish, focus on ETH L2s">
+            <select id="revise-persona-${draft.id}">${personaOptions}</select>
+            <select id="revise-format-${draft.id}">${formatOptions}</select>
+            <label title="Refine the text in the editor instead of starting over"><input type="checkbox" id="revise-pin-${draft.id}"> Start from current text</label>
+            <button class="btn-approve" onclick="reviseDraft('${draft.id}')">Regenerate</button>
+        </div>
+    `;
+}
+
+// Earlier versions of this draft, newest first
+function renderRevisions(draft) {
+    const revisions = (draft.draft_revisions || []).sort((a, b) => b.revision - a.revision);
+    if (revisions.length === 0) return '';
+
+    const describe = (guidance, pinned) => `${guidance ? ` · "${escapeHtml(guidance)}"` : ''}${pinned ? ' · 📌 refined' : ''}`;
+    const items = revisions.map(r => `
+        <li>
+            <span class="example-label">v${r.revision} · ${escapeHtml(r.persona || 'default')} · ${(FORMAT_LIMITS[r.output_format] || FORMAT_LIMITS.tweet).label}${describe(r.guidance, r.pinned)}</span>
+            ${escapeHtml(r.gemini_draft)}
+        </li>
+    `).join('');
+
+    return `
+        <details class="learning-examples revisions">
+            <summary>Version ${draft.revision}${describe(draft.revision_guidance, draft.revision_pinned)} · ${revisions.length} earlier version(s)</summary>
+            <ul>${items}</ul>
+        </details>
+    `;
+}
+
+window.toggleReviseForm = (id) => {
+    const form = document.getElementById(`revise-form-${id}`);
+    form.style.display = form.style.display === 'none' ? '' : 'none';
+    if (form.style.display === '') document.getElementById(`revise-guidance-${id}`).focus();
+};
+
+// Generation runs in the request (one variant), so this takes a few seconds
+window.reviseDraft = async (id) => {
+    const button = document.querySelector(`#revise-form-${id} button`);
+    const pinned = document.getElementById(`revise-pin-${id}`).checked;
+    button.disabled = true;
+    button.innerText = 'Writing...';
+
+    try {
+        await draftAction({
+            action: 'revise',
+            draft_id: id,
+            guidance: document.getElementById(`revise-guidance-${id}`).value.trim(),
+            persona: document.getElementById(`revise-persona-${id}`).value || null,
+            format: document.getElementById(`revise-format-${id}`).value,
+            pinned_text: pinned ? document.getElementById(`text-${id}`).value : null
+        });
+        await reloadCard(id);
+    } catch (e) {
+        alert('Error regenerating: ' + e.message);
+        button.disabled = false;
+        button.innerText = 'Regenerate';
+    }
+};
+
+// Re-reads one draft and swaps its card in place, keeping keyboard focus and selection
+async function reloadCard(id) {
+    const { data, error } = await supabase.from('draft_posts').select(draftSelect()).eq('id', id).maybeSingle();
+    const card = document.getElementById(`draft-${id}`);
+    if (error || !data || !card) return;
+
+    renderDraftCard(data, card);
+    if (focusedCardId === card.id) document.getElementById(card.id).classList.add('card-focused');
+}
+
+// --- Bulk Actions (Inbox multi-select) ---
+const selectedDrafts = new Set();
+
+window.toggleSelected = (id, checked) => {
+    if (checked) selectedDrafts.add(id);
+    else selectedDrafts.delete(id);
+    renderBulkBar();
+};
+
+function renderBulkBar() {
+    const bar = document.getElementById('bulk-bar');
+    bar.style.display = selectedDrafts.size > 0 && currentTab === 'inbox' ? '' : 'none';
+    document.getElementById('bulk-count').innerText = `${selectedDrafts.size} selected`;
+}
+
+window.clearSelection = () => {
+    selectedDrafts.clear();
+    container.querySelectorAll('.select-draft').forEach(box => { box.checked = false; });
+    renderBulkBar();
+};
+
+// Runs one draft action per selected card; cards that succeed are removed, failures are listed
+async function runBulk(label, action) {
+    const ids = [...selectedDrafts];
+    const results = await Promise.allSettled(ids.map(action));
+
+    const failed = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') removeCard(ids[index]);
+        else failed.push(`${document.querySelector(`#draft-${ids[index]} .news-title`)?.innerText.trim() || ids[index]}: ${result.reason.message}`);
+    });
+
+    if (failed.length) alert(`${label}: ${failed.length} of ${ids.length} failed.\n\n${failed.join('\n')}`);
+}
+
+window.bulkApprove = () => runBulk('Approve', submitApproval);
+
+window.bulkReject = () => {
+    const reason = document.getElementById('bulk-reason').value;
+    if (!reason) return alert('Pick a rejection reason for the selected drafts.');
+    return runBulk('Reject', id => draftAction({ action: 'reject', draft_id: id, reason }));
+};
+
+window.bulkRegenerate = () => {
+    if (!confirm(`Replace ${selectedDrafts.size} draft(s) with freshly generated ones?`)) return;
+    return runBulk('Regenerate', id => draftAction({ action: 'regenerate', draft_id: id }));
+};
+
+// --- Realtime Updates ---
+// New drafts appear at the top of the inbox; cards leave as soon as anyone approves, rejects or
+// regenerates them. Rows that newly qualify for History/Rejected show up on the next refresh.
+let realtimeChannel = null;
+
+function subscribeToDrafts() {
+    if (realtimeChannel) return;
+    realtimeChannel = supabase
+        .channel('draft-posts')
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'draft_posts' }, handleDraftChange)
+        .subscribe();
+}
+
+async function handleDraftChange({ eventType, new: row, old }) {
+    if (!DATE_COLUMN[currentTab]) return;
+
+    const id = row?.id || old?.id;
+    const card = document.getElementById(`draft-${id}`);
+
+    if (eventType === 'DELETE' || (card && !belongsToTab(row))) {
+        // approveDraft removes (or keeps) a card it is publishing once the outcome is known
+        if (card && !card.dataset.publishing) removeCard(id);
+        return;
+    }
+
+    // Someone (maybe us) regenerated it with guidance: show the new version in place
+    if (card && row.revision && row.revision !== Number(card.dataset.revision)) {
+        return reloadCard(id);
+    }
+
+    if (!card && currentTab === 'inbox' && belongsToTab(row)) {
+        // Re-read through the normal query so embeds and the active filters apply
+        const query = supabase.from('draft_posts').select(draftSelect()).eq('id', id);
+        const { data } = await applyFilters(applyTabScope(query)).maybeSingle();
+        if (!data || document.getElementById(`draft-${id}`)) return;
+
+        container.querySelector('.empty, .loading')?.remove();
+        renderDraftCard(data, 'prepend');
+        document.getElementById(`draft-${id}`).classList.add('card-new');
+    }
+}
+
+// --- Keyboard Triage (Inbox) ---
+// j/k move between cards, a approves, r opens the reject form (Enter confirms), g opens the
+// regenerate form (Enter confirms), e edits, x toggles selection, Esc leaves a text field.
+let focusedCardId = null;
+
+function focusCard(card) {
+    document.getElementById(focusedCardId)?.classList.remove('card-focused');
+    focusedCardId = card?.id || null;
+    if (!card) return;
+    card.classList.add('card-focused');
+    card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+document.addEventListener('keydown', (event) => {
+    if (!currentUser || currentTab !== 'inbox') return;
+
+    const target = event.target;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        if (event.key === 'Escape') target.blur();
+        const rejectForm = target.closest('.reject-form');
+        if (event.key === 'Enter' && rejectForm) {
+            event.preventDefault();
+            rejectDraft(rejectForm.id.replace('reject-form-', ''));
+        }
+        const reviseForm = target.closest('.revise-form');
+        if (event.key === 'Enter' && reviseForm) {
+            event.preventDefault();
+            reviseDraft(reviseForm.id.replace('revise-form-', ''));
+        }
+        return;
+    }
+    if (event.metaKey || event.ctrlKey || event.altKey) return;
+
+    const cards = [...container.querySelectorAll('.card[id^="draft-"]')];
+    const index = cards.findIndex(card => card.id === focusedCardId);
+    const card = cards[index];
+
+    switch (event.key) {
+        case 'j':
+            focusCard(cards[Math.min(index + 1, cards.length - 1)]);
+            break;
+        case 'k':
+            focusCard(cards[Math.max(index - 1, 0)]);
+            break;
+        case 'a':
+            if (card) approveDraft(card.dataset.id);
+            break;
+        case 'r':
+            if (!card) return;
+            document.getElementById(`reject-form-${card.dataset.id}`).style.display = '';
+            document.getElementById(`reject-reason-${card.dataset.id}`).focus();
+            break;
+        case 'g':
+            if (card) toggleReviseForm(card.dataset.id);
+            break;
+        case 'e':
+            card?.querySelector('.thread-segment, textarea:not([style*="display:none"])')?.focus();
+            break;
+        case 'x': {
+            const box = card?.querySelector('.select-draft');
+            if (!box) return;
+            box.checked = !box.checked;
+            toggleSelected(card.dataset.id, box.checked);
+            break;
+        }
+        default:
+            return;
+    }
+    event.preventDefault();
+});
+
+// --- Engagement Metrics Import (History tab) ---
+// Accepts a CSV with a header row (draft_id,impressions,likes,reposts,replies[,recorded_at])
+// or a JSON array of the same objects, and sends it to /api/ingest-metrics.
+function renderMetricsImport() {
+    const panel = document.createElement('div');
+    panel.className = 'card metrics-import';
+    panel.innerHTML = `
+        <div class="news-meta">
+            <span>📈 Import engagement metrics (CSV or JSON)</span>
+            <span id="metrics-status"></span>
+        </div>
+        <div class="actions">
+            <input type="file" id="metrics-file" accept=".csv,.json,text/csv,application/json" style="margin-right: auto;">
+            <button class="btn-approve" onclick="importMetrics()">Import</button>
+        </div>
+    `;
+    return panel;
+}
+
+function parseMetricsCsv(text) {
+    // The extra comma terminates the last cell, so a trailing empty cell isn't lost with the final empty match
+    const splitRow = (line) => `${line},`.match(/("([^"]|"")*"|[^,]*)(,|$)/g)
+        .slice(0, -1)
+        .map(cell => cell.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"').trim());
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const headers = splitRow(lines[0]).map(h => h.toLowerCase());
+
+    return lines.slice(1).map(line => {
+        const cells = splitRow(line);
+        return Object.fromEntries(headers.map((header, i) => [header, cells[i]]));
+    });
+}
+
+window.importMetrics = async () => {
+    const file = document.getElementById('metrics-file').files[0];
+    const status = document.getElementById('metrics-status');
+    if (!file) return alert('Choose a CSV or JSON file first.');
+
+    let metrics;
+    try {
+        const text = await file.text();
+        metrics = file.name.endsWith('.json') ? JSON.parse(text) : parseMetricsCsv(text);
+    } catch (e) {
+        return alert('Could not read file: ' + e.message);
+    }
+
+    status.innerText = `Importing ${metrics.length} rows...`;
+
+    const response = await apiFetch('/api/ingest-metrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ metrics })
+    });
+    const result = await response.json();
+
+    if (!response.ok && !result.recorded) {
+        status.innerText = '';
+        return alert('Import failed: ' + (result.error || result.failed?.[0]?.error || response.status));
+    }
+
+    status.innerText = `✅ ${result.recorded} imported${result.failed.length ? `, ${result.failed.length} failed` : ''}`;
+    if (result.failed.length) console.warn('Metrics rows that failed:', result.failed);
+    setTimeout(fetchDrafts, 1500);
+};
+
+// --- Calendar Tab (slot planning for approved posts) ---
+async function scheduleApi(method, body) {
+    const response = await apiFetch('/api/schedule', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    return result;
+}
+
+async function fetchCalendar() {
+    let calendar;
+    try {
+        calendar = await scheduleApi('GET');
+    } catch (e) {
+        container.innerHTML = `<div class="error">Error: ${escapeHtml(e.message)}</div>`;
+        return;
+    }
+
+    const { settings, booked, unscheduled, open_slots: openSlots } = calendar;
+    const tz = settings.timezone;
+    const dayOf = (iso) => new Intl.DateTimeFormat('en-CA', { timeZone: tz }).format(new Date(iso));
+    const timeOf = (iso) => new Intl.DateTimeFormat([], { timeZone: tz, hour: '2-digit', minute: '2-digit' }).format(new Date(iso));
+
+    // Group publications per draft (one post, possibly several networks), then per day
+    const posts = Object.values(booked.reduce((acc, pub) => {
+        acc[pub.draft_id] = acc[pub.draft_id] || { ...pub, networks: [] };
+        acc[pub.draft_id].networks.push(pub.network);
+        if (pub.status === 'held') acc[pub.draft_id].status = 'held';
+        return acc;
+    }, {}));
+
+    const days = Array.from({ length: 7 }, (_, i) => dayOf(new Date(Date.now() + i * 86400000).toISOString()));
+
+    const columns = days.map(day => {
+        const items = posts.filter(p => dayOf(p.scheduled_for) === day).map(post => `
+            <div class="slot-item status-${post.status}">
+                <div class="slot-time">${timeOf(post.scheduled_for)} · ${post.networks.join(', ')} · ${post.status}</div>
+                <div>${escapeHtml(post.draft_posts?.trending_news?.title || 'Untitled')}</div>
+                ${post.status === 'held' ? `
+                    <div class="slot-warning">⚠️ ${escapeHtml(post.stale_reason)}</div>
+                    <button class="btn-copy" onclick="releaseHeld('${post.draft_id}')">Post anyway</button>
+                ` : ''}
+                ${['scheduled', 'held'].includes(post.status) ? `<button class="btn-copy" onclick="moveBooking('${post.draft_id}', '${post.scheduled_for}')">Move</button>` : ''}
+            </div>
+        `).join('');
+
+        return `
+            <div class="calendar-day">
+                <div class="calendar-day-title">${day}${day === days[0] ? ' (today)' : ''}</div>
+                ${items || `<div class="slot-empty">${settings.daily_cap} slots open</div>`}
+            </div>
+        `;
+    }).join('');
+
+    const slotOptions = openSlots.map(slot => `<option value="${slot}">${dayOf(slot)} ${timeOf(slot)}</option>`).join('');
+    const networkBoxes = (draftId) => availableNetworks.map(network => `
+        <label><input type="checkbox" name="cal-network-${draftId}" value="${network.name}" checked> ${network.label}</label>
+    `).join('');
+
+    const queue = unscheduled.map(draft => `
+        <div class="card">
+            <div class="news-meta">
+                <span>Approved ${new Date(draft.posted_date).toLocaleString()}</span>
+                ${draft.stale_reason ? `<span class="slot-warning">⚠️ ${escapeHtml(draft.stale_reason)}</span>` : ''}
+            </div>
+            <h3 class="news-title">${escapeHtml(draft.trending_news?.title || 'Untitled')}</h3>
+            <div class="variant-text">${escapeHtml(draft.final_approved_post)}</div>
+            <div class="publish-options">
+                ${networkBoxes(draft.id)}
+                <select id="slot-${draft.id}" style="margin-left: auto;">
+                    <option value="">Next free slot</option>
+                    ${slotOptions}
+                </select>
+                <button class="btn-approve" onclick="bookDraft('${draft.id}')">Schedule</button>
+            </div>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="card">
+            <div class="news-meta"><span>🗓️ Posting rules (${tz})</span></div>
+            <div class="settings-grid">
+                <label>Timezone <input id="set-timezone" class="text-input" value="${escapeHtml(settings.timezone)}"></label>
+                <label>Daily slots <input id="set-slots" class="text-input" value="${settings.slots.join(', ')}"></label>
+                <label>Min gap (min) <input id="set-gap" class="text-input" type="number" value="${settings.min_gap_minutes}"></label>
+                <label>Daily cap <input id="set-cap" class="text-input" type="number" value="${settings.daily_cap}"></label>
+                <label>Stale after (h) <input id="set-stale" class="text-input" type="number" value="${settings.stale_after_hours}"></label>
+            </div>
+            ${can('admin') ? '<div class="actions"><button class="btn-approve" onclick="saveScheduleSettings()">Save Rules</button></div>' : ''}
+        </div>
+
+        <div class="calendar-grid">${columns}</div>
+
+        <h3 class="section-title">Approved, not scheduled (${unscheduled.length})</h3>
+        ${availableNetworks.length ? queue || '<div class="empty">Everything approved is scheduled. 🎉</div>'
+            : '<div class="empty">No publishers configured.</div>'}
+    `;
+}
+
+window.bookDraft = async (draftId) => {
+    const networks = [...document.querySelectorAll(`input[name="cal-network-${draftId}"]:checked`)].map(input => input.value);
+    const slot = document.getElementById(`slot-${draftId}`).value;
+    if (networks.length === 0) return alert('Select at least one network.');
+
+    try {
+        await scheduleApi('POST', { draft_id: draftId, networks, scheduled_for: slot || null });
+        fetchCalendar();
+    } catch (e) {
+        alert('Could not schedule: ' + e.message);
+    }
+};
+
+window.moveBooking = async (draftId, current) => {
+    const input = prompt('New time (your local time, YYYY-MM-DD HH:MM):', new Date(current).toLocaleString('sv-SE').slice(0, 16));
+    if (!input) return;
+
+    try {
+        await scheduleApi('PATCH', { draft_id: draftId, scheduled_for: new Date(input.replace(' ', 'T')).toISOString() });
+        fetchCalendar();
+    } catch (e) {
+        alert('Could not move: ' + e.message);
+    }
+};
+
+window.releaseHeld = async (draftId) => {
+    if (!confirm('This news is older than the stale limit. Post it anyway?')) return;
+
+    try {
+        await scheduleApi('PATCH', { draft_id: draftId, release: true });
+        fetchCalendar();
+    } catch (e) {
+        alert('Could not release: ' + e.message);
+    }
+};
+
+window.saveScheduleSettings = async () => {
+    try {
+        await scheduleApi('PUT', {
+            timezone: document.getElementById('set-timezone').value.trim(),
+            slots: document.getElementById('set-slots').value.split(',').map(s => s.trim()).filter(Boolean),
+            min_gap_minutes: Number(document.getElementById('set-gap').value),
+            daily_cap: Number(document.getElementById('set-cap').value),
+            stale_after_hours: Number(document.getElementById('set-stale').value)
+        });
+        fetchCalendar();
+    } catch (e) {
+        alert('Could not save rules: ' + e.message);
+    }
+};
+
+// --- Failed Jobs (draft generation queue) ---
+async function fetchJobs() {
     const { data, error } = await supabase
-        .from('draft_posts')
+        .from('draft_jobs')
         .select(`
             id,
-            gemini_draft,
-            gemini_insight,
-            final_approved_post,
-            created_at,
-            posted_date,
+            status,
+            attempts,
+            last_error,
+            updated_at,
             trending_news (
                 title,
                 url,
                 source_name
             )
         `)
-        .eq('is_reviewed', isReviewed) 
-        .order(isReviewed ? 'posted_date' : 'created_at', { ascending: false }) // Sort history by posted date
-        .limit(50); 
+        .in('status', ['failed', 'dead_lettered'])
+        .order('updated_at', { ascending: false })
+        .limit(50);
 
     if (error) {
-        console.error('Error fetching drafts:', error);
-        container.innerHTML = `<div class="error">Error: ${error.message}</div>`;
+        console.error('Error fetching jobs:', error);
+        container.innerHTML = `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
         return;
     }
 
-    renderDrafts(data);
-}
-
-// --- Render Logic ---
-function renderDrafts(drafts) {
-    if (!drafts || drafts.length === 0) {
-        container.innerHTML = `<div class="empty">${currentTab === 'inbox' ? 'No new drafts to review! 🎉' : 'No history found.'}</div>`;
+    if (!data || data.length === 0) {
+        container.innerHTML = '<div class="empty">No failed jobs. ✅</div>';
         return;
     }
 
     container.innerHTML = '';
 
-    drafts.forEach(draft => {
-        const news = draft.trending_news;
+    data.forEach(job => {
+        const news = job.trending_news;
         const card = document.createElement('div');
-        
-        // Use different styling for history items (green border)
-        card.className = currentTab === 'history' ? 'card history-card' : 'card';
-        
-        // Logic: For history, show the FINAL text. For inbox, show the DRAFT.
-        const textContent = currentTab === 'history' ? draft.final_approved_post : draft.gemini_draft;
-        
-        // Logic: Actions HTML changes based on tab
-        let actionsHtml = '';
-        
-        if (currentTab === 'inbox') {
-            // INBOX Buttons: Reject, Copy, Approve
-            actionsHtml = `
-                <button class="btn-reject" onclick="rejectDraft('${draft.id}')" style="background-color: #ef4444; color: white; margin-right: auto;">Reject</button> 
-                <button class="btn-copy" onclick="copyToClipboard('${draft.id}')">Copy</button>
-                <button class="btn-approve" onclick="approveDraft('${draft.id}')">Approve & Save</button>
-            `;
-        } else {
-            // HISTORY Buttons: Just Copy (and show timestamp)
-            const dateStr = draft.posted_date ? new Date(draft.posted_date).toLocaleDateString() : 'Unknown date';
-            actionsHtml = `
-                <span style="margin-right: auto; color: #10b981; font-size: 0.85rem;">✅ Approved on ${dateStr}</span>
-                <button class="btn-copy" onclick="copyToClipboard('${draft.id}')">Copy Tweet</button>
-            `;
-        }
+        card.className = 'card job-card';
+        card.id = `job-${job.id}`;
+
+        // 'failed' jobs will still retry on their own; 'dead_lettered' ones need a manual re-queue
+        const statusLabel = job.status === 'dead_lettered' ? '☠️ Dead-lettered' : '⏳ Retrying';
 
-        // Build the Card HTML
         card.innerHTML = `
             <div class="news-meta">
-                <span>${new Date(draft.created_at).toLocaleString()}</span>
-                <span>Source: ${news?.source_name || 'Unknown'}</span>
+                <span>${statusLabel} · ${job.attempts} attempt(s)</span>
+                <span>${new Date(job.updated_at).toLocaleString()}</span>
             </div>
             <h3 class="news-title">
-                <a href="${news?.url || '#'}" target="_blank" style="color:white;text-decoration:none;">${news?.title || 'Untitled'} 🔗</a>
+                <a href="${safeUrl(news?.url)}" target="_blank" style="color:white;text-decoration:none;">${escapeHtml(news?.title || 'Untitled')} 🔗</a>
             </h3>
-            
-            <div class="insight-box">
-                <strong>💡 Insight:</strong> ${draft.gemini_insight || 'No insight available'}
+            <div class="job-error">${escapeHtml(job.last_error || 'No error recorded')}</div>
+            ${can('editor') ? `<div class="actions">
+                <button class="btn-approve" onclick="requeueJob('${job.id}')">Re-queue</button>
+            </div>` : ''}
+        `;
+        container.appendChild(card);
+    });
+}
+
+// --- Action: Re-queue a Failed Job ---
+window.requeueJob = async (id) => {
+    const response = await apiFetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ job_id: id })
+    });
+
+    if (!response.ok) {
+        alert('Error re-queuing: ' + ((await response.json()).error || response.status));
+    } else {
+        document.getElementById(`job-${id}`)?.remove();
+        if (container.children.length === 0) fetchDrafts();
+    }
+};
+
+// --- Analytics Tab (pipeline runs and content performance) ---
+// Reads the analytics_drafts view and collector_runs (see the pipeline_analytics migration) for the
+// chosen range and aggregates in the browser; every chart's table can be downloaded as CSV.
+const ANALYTICS_RANGES = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days' };
+const CHART_COLORS = { approved: '#10b981', rejected: '#ef4444', pending: '#a1a1aa', primary: '#3b82f6', secondary: '#93c5fd' };
+let analyticsDays = 30;
+let analyticsData = {};   // chart key -> rows, for CSV export
+const analyticsCharts = []; // Chart.js instances, destroyed before every re-render
+
+// PostgREST returns at most 1000 rows per request, so page through with range()
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += 1000) {
+        const { data, error } = await buildQuery().range(from, from + 999);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < 1000) return rows;
+    }
+}
+
+async function fetchAnalytics() {
+    const since = new Date(Date.now() - analyticsDays * 86400000).toISOString();
+
+    let drafts, runs;
+    try {
+        [drafts, runs] = await Promise.all([
+            fetchAllRows(() => supabase.from('analytics_drafts').select('*').gte('created_at', since).order('created_at')),
+            fetchAllRows(() => supabase.from('collector_runs').select('*').gte('started_at', since).order('started_at'))
+        ]);
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        container.innerHTML = `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    analyticsData = {
+        daily_volume: dailyVolume(drafts, runs, since),
+        approval_by_source: approvalBy(drafts, 'source_name'),
+        approval_by_sentiment: approvalBy(drafts, 'sentiment'),
+        approval_by_persona: approvalBy(drafts, 'persona'),
+        time_to_approval: timeToApproval(drafts),
+        engagement_by_topic: engagementByTopic(drafts),
+        pipeline_runs: pipelineDaily(runs),
+        drafts,
+        runs
+    };
+
+    renderAnalytics(drafts, runs);
+}
+
+const utcDay = (timestamp) => timestamp ? timestamp.slice(0, 10) : null;
+const percent = (part, whole) => whole ? Math.round((part / whole) * 1000) / 10 : null;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Approval rate counts decided drafts only: approved / (approved + rejected)
+function approvalBy(drafts, key) {
+    const groups = {};
+    drafts.forEach(draft => {
+        const value = draft[key] || 'unknown';
+        groups[value] = groups[value] || { [key]: value, drafts: 0, approved: 0, rejected: 0, pending: 0 };
+        groups[value].drafts++;
+        groups[value][draft.outcome]++;
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, approval_rate: percent(group.approved, group.approved + group.rejected) }))
+        .sort((a, b) => b.drafts - a.drafts)
+        .slice(0, 12);
+}
+
+function timeToApproval(drafts) {
+    const byDay = {};
+    drafts.filter(d => d.hours_to_approval != null).forEach(draft => {
+        const day = utcDay(draft.approved_at);
+        (byDay[day] = byDay[day] || []).push(Number(draft.hours_to_approval));
+    });
+
+    return Object.keys(byDay).sort().map(day => ({
+        day,
+        approved: byDay[day].length,
+        median_hours: Math.round(median(byDay[day]) * 10) / 10,
+        average_hours: Math.round((byDay[day].reduce((sum, h) => sum + h, 0) / byDay[day].length) * 10) / 10
+    }));
+}
+
+// Topic tags from utils/tagging.js; drafts can count towards several
+function engagementByTopic(drafts) {
+    const groups = {};
+    drafts.filter(d => d.engagement_score != null).forEach(draft => {
+        const topics = draft.topics?.length ? draft.topics : ['untagged'];
+        topics.forEach(topic => {
+            groups[topic] = groups[topic] || { topic, posts: 0, total_engagement: 0 };
+            groups[topic].posts++;
+            groups[topic].total_engagement += Number(draft.engagement_score);
+        });
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, average_engagement: Math.round((group.total_engagement / group.posts) * 10) / 10 }))
+        .sort((a, b) => b.average_engagement - a.average_engagement)
+        .slice(0, 12);
+}
+
+function dailyVolume(drafts, runs, since) {
+    const days = {};
+    for (let t = new Date(since).getTime(); t <= Date.now(); t += 86400000) {
+        const day = new Date(t).toISOString().slice(0, 10);
+        days[day] = { day, ingested: 0, drafts: 0, approved: 0, rejected: 0 };
+    }
+
+    runs.filter(run => run.kind === 'collect').forEach(run => {
+        if (days[utcDay(run.started_at)]) days[utcDay(run.started_at)].ingested += run.inserted;
+    });
+    drafts.forEach(draft => {
+        if (days[utcDay(draft.created_at)]) days[utcDay(draft.created_at)].drafts++;
+        if (draft.outcome === 'approved' && days[utcDay(draft.approved_at)]) days[utcDay(draft.approved_at)].approved++;
+        if (draft.outcome === 'rejected' && days[utcDay(draft.rejected_at)]) days[utcDay(draft.rejected_at)].rejected++;
+    });
+
+    return Object.values(days);
+}
+
+function pipelineDaily(runs) {
+    const days = {};
+    runs.forEach(run => {
+        const day = utcDay(run.started_at);
+        const totals = days[day] = days[day] || {
+            day, collect_runs: 0, worker_runs: 0, failed_runs: 0, fetched: 0, filtered: 0, duplicates: 0,
+            queue_errors: 0, drafts_generated: 0, draft_errors: 0, llm_calls: 0, llm_errors: 0,
+            llm_latency_ms: 0, llm_prompt_tokens: 0, llm_output_tokens: 0
+        };
+
+        totals[run.kind === 'collect' ? 'collect_runs' : 'worker_runs']++;
+        if (run.status === 'failed') totals.failed_runs++;
+        ['fetched', 'filtered', 'duplicates', 'queue_errors', 'drafts_generated', 'draft_errors', 'llm_calls',
+            'llm_errors', 'llm_latency_ms', 'llm_prompt_tokens', 'llm_output_tokens']
+            .forEach(key => { totals[key] += Number(run[key]) || 0; });
+    });
+
+    return Object.values(days).map(totals => ({
+        ...totals,
+        avg_llm_latency_ms: totals.llm_calls ? Math.round(totals.llm_latency_ms / totals.llm_calls) : null
+    }));
+}
+
+function renderAnalytics(drafts, runs) {
+    analyticsCharts.splice(0).forEach(chart => chart.destroy());
+
+    const decided = drafts.filter(d => d.outcome !== 'pending');
+    const approved = drafts.filter(d => d.outcome === 'approved');
+    const llmCalls = runs.reduce((sum, run) => sum + run.llm_calls, 0);
+    const llmLatency = runs.reduce((sum, run) => sum + Number(run.llm_latency_ms), 0);
+    const rangeOptions = Object.entries(ANALYTICS_RANGES)
+        .map(([days, label]) => `<option value="${days}" ${Number(days) === analyticsDays ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    const chartCard = (key, title) => `
+        <div class="card analytics-card">
+            <div class="news-meta">
+                <span>${title}</span>
+                <button class="btn-variant" onclick="exportCsv('${key}')">CSV</button>
             </div>
+            <div class="chart-wrap"><canvas id="chart-${key}"></canvas></div>
+        </div>
+    `;
 
-            <textarea id="text-${draft.id}" ${currentTab === 'history' ? 'readonly' : ''}>${textContent}</textarea>
+    container.innerHTML = `
+        <div class="card analytics-summary">
+            <div class="analytics-controls">
+                <select onchange="setAnalyticsRange(this.value)">${rangeOptions}</select>
+                <button class="btn-copy" onclick="exportCsv('drafts')">Export drafts CSV</button>
+                <button class="btn-copy" onclick="exportCsv('runs')">Export runs CSV</button>
+            </div>
+            <div class="analytics-stats">
+                <div><strong>${drafts.length}</strong><span>drafts</span></div>
+                <div><strong>${decided.length ? `${percent(approved.length, decided.length)}%` : '–'}</strong><span>approval rate</span></div>
+                <div><strong>${approved.length ? Math.round(median(approved.map(d => Number(d.hours_to_approval))) * 10) / 10 : '–'}h</strong><span>median time to approval</span></div>
+                <div><strong>${runs.filter(r => r.kind === 'collect').length}</strong><span>collector runs</span></div>
+                <div><strong>${llmCalls ? `${Math.round(llmLatency / llmCalls)}ms` : '–'}</strong><span>avg LLM call</span></div>
+            </div>
+        </div>
+        ${chartCard('daily_volume', '📦 Daily volume')}
+        ${chartCard('approval_by_source', '✅ Approval rate by source')}
+        ${chartCard('approval_by_sentiment', '✅ Approval rate by sentiment')}
+        ${chartCard('approval_by_persona', '✅ Approval rate by persona')}
+        ${chartCard('time_to_approval', '⏱️ Hours from ingestion to approval')}
+        ${chartCard('engagement_by_topic', '📈 Average engagement by topic')}
+        ${chartCard('pipeline_runs', '⚙️ Pipeline runs: errors and LLM usage')}
+    `;
 
-            <div class="actions">
-                ${actionsHtml}
+    if (!window.Chart) {
+        container.querySelectorAll('canvas').forEach(canvas => { canvas.parentElement.outerHTML = '<div class="empty">Charts unavailable (Chart.js failed to load); CSV export still works.</div>'; });
+        return;
+    }
+
+    Chart.defaults.color = '#a1a1aa';
+    Chart.defaults.borderColor = '#2d3748';
+
+    const draw = (key, type, labelKey, datasets, options = {}) => {
+        const rows = analyticsData[key];
+        analyticsCharts.push(new Chart(document.getElementById(`chart-${key}`), {
+            type,
+            data: {
+                labels: rows.map(row => row[labelKey]),
+                datasets: datasets.map(({ key: valueKey, label, color, ...rest }) => ({
+                    label,
+                    data: rows.map(row => row[valueKey]),
+                    backgroundColor: color,
+                    borderColor: color,
+                    ...rest
+                }))
+            },
+            options: { responsive: true, maintainAspectRatio: false, ...options }
+        }));
+    };
+
+    const rateChart = (key, labelKey) => draw(key, 'bar', labelKey, [
+        { key: 'approval_rate', label: 'Approval rate %', color: CHART_COLORS.approved },
+        { key: 'drafts', label: 'Drafts', color: CHART_COLORS.pending, yAxisID: 'count' }
+    ], { scales: { y: { min: 0, max: 100 }, count: { position: 'right', grid: { display: false } } } });
+
+    draw('daily_volume', 'bar', 'day', [
+        { key: 'ingested', label: 'Ingested', color: CHART_COLORS.secondary },
+        { key: 'drafts', label: 'Drafts', color: CHART_COLORS.primary },
+        { key: 'approved', label: 'Approved', color: CHART_COLORS.approved },
+        { key: 'rejected', label: 'Rejected', color: CHART_COLORS.rejected }
+    ]);
+    rateChart('approval_by_source', 'source_name');
+    rateChart('approval_by_sentiment', 'sentiment');
+    rateChart('approval_by_persona', 'persona');
+    draw('time_to_approval', 'line', 'day', [
+        { key: 'median_hours', label: 'Median hours', color: CHART_COLORS.primary },
+        { key: 'average_hours', label: 'Average hours', color: CHART_COLORS.secondary }
+    ]);
+    draw('engagement_by_topic', 'bar', 'topic', [
+        { key: 'average_engagement', label: 'Average engagement', color: CHART_COLORS.approved }
+    ], { indexAxis: 'y' });
+    draw('pipeline_runs', 'line', 'day', [
+        { key: 'avg_llm_latency_ms', label: 'Avg LLM latency (ms)', color: CHART_COLORS.primary, yAxisID: 'latency' },
+        { key: 'llm_output_tokens', label: 'Output tokens', color: CHART_COLORS.secondary, yAxisID: 'tokens' },
+        { key: 'draft_errors', label: 'Draft errors', color: CHART_COLORS.rejected },
+        { key: 'queue_errors', label: 'Queue errors', color: CHART_COLORS.pending }
+    ], { scales: { y: { min: 0 }, latency: { position: 'right', grid: { display: false } }, tokens: { position: 'right', display: false } } });
+}
+
+window.setAnalyticsRange = (days) => {
+    analyticsDays = Number(days);
+    fetchDrafts();
+};
+
+function toCsv(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = (value) => {
+        const text = value == null ? '' : Array.isArray(value) ? value.join('; ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n');
+}
+
+window.exportCsv = (key) => {
+    const rows = analyticsData[key] || [];
+    if (rows.length === 0) return alert('Nothing to export for this range.');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv' }));
+    link.download = `${key}-${analyticsDays}d-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+// --- Prompts Tab (versioned templates and personas) ---
+// Every save creates a new version; generation only uses the active one, and each draft records which it used.
+async function fetchPrompts() {
+    const [templatesResult, personasResult] = await Promise.all([
+        supabase
+            .from('prompt_templates')
+            .select('id, name, version, body, is_active, created_at')
+            .order('version', { ascending: false })
+            .limit(20),
+        supabase
+            .from('personas')
+            .select('id, key, version, description, is_active, created_at')
+            .order('key', { ascending: true })
+            .order('version', { ascending: false })
+    ]);
+
+    const error = templatesResult.error || personasResult.error;
+    if (error) {
+        console.error('Error fetching prompts:', error);
+        container.innerHTML = `<div class="error">Error: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    const templates = templatesResult.data;
+    const personas = personasResult.data;
+    const current = templates.find(t => t.is_active) || templates[0];
+
+    const templateVersions = templates.map(t => `
+        <li>
+            v${t.version} · ${escapeHtml(t.name)} · ${new Date(t.created_at).toLocaleDateString()}
+            ${t.is_active ? '<span class="badge">Active</span>' : `<button class="btn-copy" onclick="activateTemplate('${t.id}')">Activate</button>`}
+        </li>
+    `).join('');
+
+    // Group persona versions under their key, newest first
+    const personaKeys = [...new Set(personas.map(p => p.key))];
+    const personaCards = personaKeys.map(key => {
+        const versions = personas.filter(p => p.key === key);
+        const active = versions.find(p => p.is_active);
+        const latest = active || versions[0];
+
+        return `
+            <div class="card">
+                <div class="news-meta">
+                    <span>Persona: <strong>${escapeHtml(key)}</strong></span>
+                    <span>${active ? `Active v${active.version}` : 'Inactive'}</span>
+                </div>
+                <textarea id="persona-${key}">${escapeHtml(latest.description)}</textarea>
+                <ul class="version-list">
+                    ${versions.map(p => `
+                        <li>
+                            v${p.version}
+                            ${p.is_active
+                                ? `<span class="badge">Active</span> <button class="btn-copy" onclick="deactivatePersona('${key}')">Deactivate</button>`
+                                : `<button class="btn-copy" onclick="activatePersona('${key}', '${p.id}')">Activate</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="actions">
+                    <button class="btn-approve" onclick="savePersonaVersion('${key}')">Save as New Version</button>
+                </div>
             </div>
         `;
-        container.appendChild(card);
+    }).join('');
+
+    container.innerHTML = `
+        <div class="card">
+            <h3 class="news-title">Prompt Template</h3>
+            <div class="news-meta">
+                <span>Placeholders: {{persona}} {{title}} {{url}} {{sentiment}} {{article}} {{market}} {{learning_context}} {{rejections}} {{task}}</span>
+            </div>
+            <input id="template-name" class="text-input" placeholder="Template name" value="${escapeHtml(current?.name || 'default')}">
+            <textarea id="template-body" class="prompt-editor" placeholder="No template saved yet - the built-in default is in use.">${escapeHtml(current?.body || '')}</textarea>
+            <ul class="version-list">${templateVersions || '<li>No saved versions (built-in default active)</li>'}</ul>
+            <div class="actions">
+                <button class="btn-approve" onclick="saveTemplateVersion()">Save as New Version</button>
+            </div>
+        </div>
+
+        <h3 class="section-title">Personas</h3>
+        ${personaCards || '<div class="empty">No personas saved yet - the built-in defaults are in use.</div>'}
+
+        <div class="card">
+            <h3 class="news-title">Add Persona</h3>
+            <input id="new-persona-key" class="text-input" placeholder="Key (e.g. contrarian)">
+            <textarea id="new-persona-description" placeholder="A contrarian trader who..."></textarea>
+            <div class="actions">
+                <button class="btn-approve" onclick="addPersona()">Add Persona</button>
+            </div>
+        </div>
+    `;
+}
+
+// All prompt changes go through /api/prompts (admins only), which assigns version numbers
+async function promptsApi(body) {
+    const response = await apiFetch('/api/prompts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
     });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    return result;
 }
 
-// --- Action: Approve ---
-window.approveDraft = async (id) => {
-    const textarea = document.getElementById(`text-${id}`);
-    const newText = textarea.value;
+window.saveTemplateVersion = async () => {
+    const name = document.getElementById('template-name').value.trim() || 'default';
+    const body = document.getElementById('template-body').value;
+    if (!body.trim()) return alert('Template body cannot be empty.');
 
-    const { error } = await supabase
-        .from('draft_posts')
-        .update({ 
-            final_approved_post: newText,
-            is_reviewed: true,
-            posted_date: new Date().toISOString()
-        })
-        .eq('id', id);
+    try {
+        await promptsApi({ action: 'save_template', name, body });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error saving template: ' + e.message);
+    }
+};
 
-    if (error) {
-        alert('Error saving: ' + error.message);
-    } else {
-        // Remove card from UI immediately
-        textarea.closest('.card').remove();
-        // Refresh if empty
-        if (container.children.length === 0) fetchDrafts();
+window.activateTemplate = async (id) => {
+    try {
+        await promptsApi({ action: 'activate_template', id });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error activating template: ' + e.message);
     }
 };
 
-// --- Action: Reject (Delete) ---
-window.rejectDraft = async (id) => {
-    if (!confirm('Are you sure you want to delete this draft? It will not be used for learning.')) return;
+window.savePersonaVersion = async (key) => {
+    const description = document.getElementById(`persona-${key}`).value.trim();
+    if (!description) return alert('Persona description cannot be empty.');
 
-    const { error } = await supabase
-        .from('draft_posts')
-        .delete()
-        .eq('id', id);
+    try {
+        await promptsApi({ action: 'save_persona', key, description });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error saving persona: ' + e.message);
+    }
+};
 
-    if (error) {
-        alert('Error deleting: ' + error.message);
-    } else {
-        const textarea = document.getElementById(`text-${id}`);
-        if(textarea) {
-             textarea.closest('.card').remove();
-        }
-        if (container.children.length === 0) fetchDrafts();
+window.addPersona = async () => {
+    const key = document.getElementById('new-persona-key').value.trim().toLowerCase();
+    const description = document.getElementById('new-persona-description').value.trim();
+    if (!key || !description) return alert('Key and description are required.');
+
+    try {
+        await promptsApi({ action: 'save_persona', key, description });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error adding persona: ' + e.message);
+    }
+};
+
+window.activatePersona = async (key, id) => {
+    try {
+        await promptsApi({ action: 'activate_persona', key, id });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error activating persona: ' + e.message);
+    }
+};
+
+window.deactivatePersona = async (key) => {
+    try {
+        await promptsApi({ action: 'deactivate_persona', key });
+        fetchPrompts();
+    } catch (e) {
+        alert('Error deactivating persona: ' + e.message);
     }
 };
 
@@ -175,7 +1969,16 @@ window.copyToClipboard = (id) => {
     setTimeout(() => btn.innerText = originalText, 2000);
 };
 
-refreshBtn.addEventListener('click', fetchDrafts);
+refreshBtn.addEventListener('click', () => fetchDrafts());
+
+// Initial Load: restore the view from the URL, then resume a stored session or ask for a sign-in
+readUrlState();
+supabase.auth.getSession().then(({ data: { session } }) => {
+    if (session) startSession(session.user);
+    else showLogin();
+});
 
-// Initial Load
-fetchDrafts();
\ No newline at end of file
+// Expired refresh tokens and sign-outs in another tab end up here
+supabase.auth.onAuthStateChange((event) => {
+    if (event === 'SIGNED_OUT' && currentUser) showLogin('Your session ended. Please sign in again.');
+});
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Namespace existing CryptoPanic IDs so they line up with the new per-source cp_id format
+update trending_news
+set cp_id = 'cryptopanic:' || cp_id
+where cp_id not like '%:%';
+
+-- Hand-curated stories picked up by the "manual" source adapter
+create table if not exists curated_news (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  url text not null,
+  source_name text,
+  sentiment text default 'neutral',
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,14 @@
+-- One row per real-world story; every outlet's coverage links to it via trending_news.cluster_id
+create table if not exists story_clusters (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table trending_news
+  add column if not exists cluster_id uuid references story_clusters (id) on delete set null,
+  add column if not exists normalized_title text,
+  add column if not exists canonical_url text;
+
+create index if not exists trending_news_cluster_id_idx on trending_news (cluster_id);
+create index if not exists trending_news_created_at_idx on trending_news (created_at desc);
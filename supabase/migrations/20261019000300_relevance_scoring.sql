@@ -0,0 +1,23 @@
+-- Tunable relevance scoring; the newest active row wins. `config` overrides DEFAULT_SCORING_CONFIG in utils/scoring.js, e.g.
+-- { "threshold": 6, "halfLifeHours": 8, "sourceTrust": { "CoinDesk": 1.3 }, "keywordBoosts": { "ETF": 3 }, "blockedKeywords": ["giveaway"] }
+create table if not exists scoring_config (
+  id uuid primary key default gen_random_uuid(),
+  config jsonb not null default '{}'::jsonb,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table trending_news
+  add column if not exists relevance_score numeric,
+  add column if not exists score_breakdown jsonb;
+
+-- Latest score for every evaluated item, including those that never cleared the threshold
+create table if not exists relevance_audit (
+  cp_id text primary key,
+  title text,
+  source_name text,
+  score numeric not null,
+  passed boolean not null,
+  breakdown jsonb not null,
+  evaluated_at timestamptz not null default now()
+);
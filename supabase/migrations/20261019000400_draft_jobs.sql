@@ -0,0 +1,16 @@
+-- Durable draft generation queue, drained by /api/process-jobs
+create table if not exists draft_jobs (
+  id uuid primary key default gen_random_uuid(),
+  news_id uuid not null unique references trending_news (id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'running', 'succeeded', 'failed', 'dead_lettered')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_run_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists draft_jobs_due_idx on draft_jobs (status, next_run_at);
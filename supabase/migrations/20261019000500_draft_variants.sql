@@ -0,0 +1,17 @@
+-- One row per persona take on a draft; draft_posts.gemini_draft keeps the first for compatibility
+create table if not exists draft_variants (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid not null references draft_posts (id) on delete cascade,
+  position integer not null default 0,
+  persona text not null,
+  draft_text text not null,
+  insight text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists draft_variants_draft_id_idx on draft_variants (draft_id);
+
+-- What the reviewer actually picked, so persona win rates can be measured
+alter table draft_posts
+  add column if not exists selected_variant_id uuid references draft_variants (id) on delete set null,
+  add column if not exists selected_persona text;
@@ -0,0 +1,37 @@
+-- Versioned prompt templates; exactly one should be active. Placeholders: {{persona}} {{title}} {{url}} {{sentiment}} {{learning_context}}
+create table if not exists prompt_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null default 'default',
+  version integer not null,
+  body text not null,
+  is_active boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (version)
+);
+
+-- Versioned personas; at most one active version per key
+create table if not exists personas (
+  id uuid primary key default gen_random_uuid(),
+  key text not null,
+  version integer not null,
+  description text not null,
+  is_active boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (key, version)
+);
+
+create unique index if not exists personas_one_active_per_key on personas (key) where is_active;
+
+insert into personas (key, version, description, is_active) values
+  ('veteran', 1, 'A skeptical market veteran who has seen every cycle since 2016.', true),
+  ('researcher', 1, 'A deep-tech researcher focused on protocol utility and developer adoption.', true),
+  ('macro', 1, 'A macro-focused investor looking at liquidity flows and market structure.', true)
+on conflict (key, version) do nothing;
+
+-- Which template and persona produced each draft (null = built-in default)
+alter table draft_posts
+  add column if not exists prompt_template_id uuid references prompt_templates (id),
+  add column if not exists persona_id uuid references personas (id);
+
+alter table draft_variants
+  add column if not exists persona_id uuid references personas (id);
@@ -0,0 +1,18 @@
+-- Engagement snapshots for approved posts; every import is kept so growth can be tracked
+create table if not exists post_metrics (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid not null references draft_posts (id) on delete cascade,
+  impressions integer not null default 0,
+  likes integer not null default 0,
+  reposts integer not null default 0,
+  replies integer not null default 0,
+  engagement_score numeric not null,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists post_metrics_draft_recorded_idx on post_metrics (draft_id, recorded_at desc);
+
+-- engagement_score already exists on draft_posts; it now holds the latest normalized 0-100 score
+alter table draft_posts
+  add column if not exists engagement_score numeric,
+  add column if not exists engagement_updated_at timestamptz;
@@ -0,0 +1,38 @@
+create extension if not exists vector;
+
+-- Embeddings of approved posts (text-embedding-004, 768 dims), filled lazily by utils/learning.js
+alter table draft_posts
+  add column if not exists embedding vector(768),
+  add column if not exists learning_examples jsonb;
+
+create index if not exists draft_posts_embedding_idx
+  on draft_posts using hnsw (embedding vector_cosine_ops);
+
+-- Approved posts closest to a query embedding (cosine similarity)
+create or replace function match_learning_examples(
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int
+)
+returns table (
+  id uuid,
+  final_approved_post text,
+  engagement_score numeric,
+  posted_date timestamptz,
+  similarity float
+)
+language sql stable
+as $$
+  select
+    d.id,
+    d.final_approved_post,
+    d.engagement_score,
+    d.posted_date,
+    1 - (d.embedding <=> query_embedding) as similarity
+  from draft_posts d
+  where d.final_approved_post is not null
+    and d.embedding is not null
+    and 1 - (d.embedding <=> query_embedding) >= match_threshold
+  order by d.embedding <=> query_embedding
+  limit match_count;
+$$;
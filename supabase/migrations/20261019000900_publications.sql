@@ -0,0 +1,18 @@
+-- One row per draft per network; holds schedule, outcome and the live post's ID/URL
+create table if not exists publications (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid not null references draft_posts (id) on delete cascade,
+  network text not null,
+  status text not null default 'scheduled'
+    check (status in ('scheduled', 'publishing', 'published', 'failed')),
+  scheduled_for timestamptz not null default now(),
+  published_at timestamptz,
+  post_id text,
+  post_url text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (draft_id, network)
+);
+
+create index if not exists publications_due_idx on publications (status, scheduled_for);
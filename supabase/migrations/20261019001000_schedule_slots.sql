@@ -0,0 +1,20 @@
+-- Single-row posting rules used by the slot planner (utils/scheduler.js)
+create table if not exists schedule_settings (
+  id integer primary key default 1 check (id = 1),
+  timezone text not null default 'UTC',
+  slots text[] not null default array['09:00', '13:00', '17:00', '21:00'],
+  min_gap_minutes integer not null default 90,
+  daily_cap integer not null default 4,
+  stale_after_hours integer not null default 24,
+  updated_at timestamptz not null default now()
+);
+
+insert into schedule_settings (id) values (1) on conflict (id) do nothing;
+
+-- Stale posts are parked as 'held' until a reviewer releases them
+alter table publications drop constraint if exists publications_status_check;
+alter table publications
+  add constraint publications_status_check
+    check (status in ('scheduled', 'held', 'publishing', 'published', 'failed')),
+  add column if not exists stale_reason text,
+  add column if not exists stale_override boolean not null default false;
@@ -0,0 +1,27 @@
+-- Output format per draft: tweet | thread | linkedin | newsletter (see utils/formats.js).
+-- Structured content ({ text } or { posts: [...] }) sits next to the plain-text columns.
+alter table draft_posts
+  add column if not exists output_format text not null default 'tweet',
+  add column if not exists draft_content jsonb,
+  add column if not exists final_approved_content jsonb;
+
+alter table draft_variants
+  add column if not exists content jsonb;
+
+-- Per-item override, set by curators or the dashboard
+alter table trending_news
+  add column if not exists requested_format text;
+
+alter table curated_news
+  add column if not exists format text;
+
+-- Rules picking a format when an item has no explicit request; highest priority match wins
+create table if not exists format_rules (
+  id uuid primary key default gen_random_uuid(),
+  format text not null check (format in ('tweet', 'thread', 'linkedin', 'newsletter')),
+  min_relevance_score numeric,
+  keywords text[],
+  priority integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
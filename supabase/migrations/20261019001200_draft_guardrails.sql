@@ -0,0 +1,6 @@
+-- Guardrail violations ([{ rule, message }]) left after automatic regeneration; empty means clean
+alter table draft_posts
+  add column if not exists violations jsonb not null default '[]'::jsonb;
+
+alter table draft_variants
+  add column if not exists violations jsonb not null default '[]'::jsonb;
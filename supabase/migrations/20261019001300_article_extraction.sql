@@ -0,0 +1,7 @@
+-- Article body extracted from the linked page (see utils/article.js), filled in lazily before drafting.
+-- article_status: ok | paywalled | empty | failed; null means not fetched yet
+alter table trending_news
+  add column if not exists article_status text,
+  add column if not exists article_excerpt text,
+  add column if not exists article_summary text,
+  add column if not exists article_fetched_at timestamptz;
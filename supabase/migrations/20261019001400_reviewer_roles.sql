@@ -0,0 +1,64 @@
+-- Per-user dashboard access through Supabase Auth. Create users in the Auth dashboard, then give
+-- each one a role:  insert into user_roles (user_id, role) values ('<auth user id>', 'editor');
+-- reviewer < editor < admin (see utils/auth.js for what each may do).
+create table if not exists user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null check (role in ('reviewer', 'editor', 'admin')),
+  created_at timestamptz not null default now()
+);
+
+-- Role of the signed-in user, for policies. security definer so it can read user_roles under RLS.
+create or replace function dashboard_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from user_roles where user_id = auth.uid()
+$$;
+
+-- Who approved, edited, rejected, scheduled or published each draft, with the text before and after.
+-- No foreign key on draft_id: entries must outlive rejected (deleted) drafts.
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid,
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_email text not null default 'system',
+  action text not null check (action in ('approved', 'edited', 'rejected', 'scheduled', 'published')),
+  before_text text,
+  after_text text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_draft_idx on audit_log (draft_id, created_at desc);
+
+alter table draft_posts
+  add column if not exists reviewed_by uuid references auth.users (id) on delete set null;
+
+-- Row-level security: the dashboard's anon key can only read, and only for signed-in users with a role.
+-- There are no insert/update/delete policies on purpose; every write goes through /api, which uses
+-- the service role key (bypasses RLS) after checking the caller's role.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'trending_news', 'story_clusters', 'draft_posts', 'draft_variants', 'draft_jobs', 'prompt_templates',
+    'personas', 'post_metrics', 'publications', 'schedule_settings', 'format_rules', 'scoring_config',
+    'relevance_audit', 'curated_news', 'audit_log'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('drop policy if exists "dashboard read" on %I', t);
+    execute format('create policy "dashboard read" on %I for select to authenticated using (dashboard_role() is not null)', t);
+  end loop;
+end $$;
+
+-- Users can see their own role (the dashboard uses it to hide actions); admins can see everyone's
+alter table user_roles enable row level security;
+
+drop policy if exists "own role" on user_roles;
+create policy "own role" on user_roles
+  for select to authenticated
+  using (user_id = auth.uid() or dashboard_role() = 'admin');
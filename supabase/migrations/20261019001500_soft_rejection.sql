@@ -0,0 +1,15 @@
+-- Rejection is a soft state: the draft stays for negative examples and collector tuning, and can be restored.
+-- Inbox = not reviewed and not rejected; rejected_at set = Rejected tab.
+alter table draft_posts
+  add column if not exists rejected_at timestamptz,
+  add column if not exists rejection_reason text
+    check (rejection_reason in ('off_topic', 'wrong_take', 'factually_wrong', 'too_hypey', 'duplicate')),
+  add column if not exists rejection_note text,
+  add column if not exists rejected_by uuid references auth.users (id) on delete set null;
+
+create index if not exists draft_posts_rejected_idx on draft_posts (rejection_reason, rejected_at desc)
+  where rejected_at is not null;
+
+alter table audit_log drop constraint if exists audit_log_action_check;
+alter table audit_log add constraint audit_log_action_check
+  check (action in ('approved', 'edited', 'rejected', 'restored', 'scheduled', 'published'));
@@ -0,0 +1,52 @@
+-- Dashboard search, filters and keyset pagination over draft_posts.
+-- relevance_score and persona are copied onto the draft so they can be sorted on and paged through
+-- without ordering by an embedded table; search_vector covers the news title and all draft text.
+alter table draft_posts
+  add column if not exists relevance_score numeric not null default 0,
+  add column if not exists persona text,
+  add column if not exists search_vector tsvector;
+
+create or replace function draft_posts_search_refresh()
+returns trigger
+language plpgsql
+as $$
+declare
+  news_title text;
+  news_score numeric;
+begin
+  select title, relevance_score into news_title, news_score from trending_news where id = new.news_id;
+
+  if tg_op = 'INSERT' or new.news_id is distinct from old.news_id then
+    new.relevance_score := coalesce(news_score, 0);
+  end if;
+
+  new.search_vector :=
+    setweight(to_tsvector('english', coalesce(news_title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(new.gemini_draft, '') || ' ' || coalesce(new.final_approved_post, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(new.gemini_insight, '')), 'C');
+
+  return new;
+end;
+$$;
+
+drop trigger if exists draft_posts_search_refresh on draft_posts;
+create trigger draft_posts_search_refresh
+  before insert or update of news_id, gemini_draft, final_approved_post, gemini_insight on draft_posts
+  for each row execute function draft_posts_search_refresh();
+
+-- Backfill existing rows
+update draft_posts d
+set relevance_score = coalesce(n.relevance_score, 0)
+from trending_news n
+where n.id = d.news_id;
+
+update draft_posts d
+set persona = v.persona
+from draft_variants v
+where v.draft_id = d.id and v.position = 0 and d.persona is null;
+
+update draft_posts set gemini_draft = gemini_draft;
+
+create index if not exists draft_posts_search_idx on draft_posts using gin (search_vector);
+create index if not exists draft_posts_created_idx on draft_posts (created_at desc, id desc);
+create index if not exists draft_posts_relevance_idx on draft_posts (relevance_score desc, id desc);
@@ -0,0 +1,19 @@
+-- Live dashboard updates: stream draft_posts changes to signed-in clients (RLS still applies)
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'draft_posts'
+  ) then
+    alter publication supabase_realtime add table draft_posts;
+  end if;
+end $$;
+
+-- Regeneration replaces an inbox draft with a fresh one from the job queue; the old row is kept
+-- (superseded_at set) and hidden from the dashboard lists.
+alter table draft_posts
+  add column if not exists superseded_at timestamptz;
+
+alter table audit_log drop constraint if exists audit_log_action_check;
+alter table audit_log add constraint audit_log_action_check
+  check (action in ('approved', 'edited', 'rejected', 'restored', 'regenerated', 'scheduled', 'published'));
@@ -0,0 +1,31 @@
+-- On-demand regeneration of a single draft from the dashboard ("write with guidance").
+-- The draft keeps its id; each replaced version is copied here first, so the card can show its history.
+create table if not exists draft_revisions (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid not null references draft_posts (id) on delete cascade,
+  revision integer not null,
+  gemini_draft text,
+  gemini_insight text,
+  output_format text,
+  draft_content jsonb,
+  persona text,
+  violations jsonb not null default '[]'::jsonb,
+  guidance text,              -- reviewer instructions that produced this version (null for the original)
+  pinned boolean not null default false,  -- whether it was refined from the text before it
+  replaced_by uuid,           -- dashboard user who asked for the next version
+  created_at timestamptz not null default now(),
+  unique (draft_id, revision)
+);
+
+-- revision counts up from 1 (the generated original); revision_guidance is what produced the current text
+alter table draft_posts
+  add column if not exists revision integer not null default 1,
+  add column if not exists revision_guidance text,
+  add column if not exists revision_pinned boolean not null default false;
+
+alter table draft_revisions enable row level security;
+
+drop policy if exists "dashboard read" on draft_revisions;
+create policy "dashboard read" on draft_revisions
+  for select to authenticated
+  using (dashboard_role() is not null);
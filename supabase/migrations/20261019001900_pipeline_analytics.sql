@@ -0,0 +1,72 @@
+-- One row per collector run (api/collect-news.js) and per job-worker run (api/process-jobs.js),
+-- so the Analytics tab can chart what the pipeline did instead of digging through function logs.
+create table if not exists collector_runs (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null default 'collect' check (kind in ('collect', 'worker')),
+  status text not null default 'ok' check (status in ('ok', 'failed')),
+  started_at timestamptz not null,
+  finished_at timestamptz not null default now(),
+  duration_ms integer,
+  -- collect runs
+  fetched integer not null default 0,
+  filtered integer not null default 0,          -- below the relevance threshold
+  existing integer not null default 0,
+  inserted integer not null default 0,
+  duplicates integer not null default 0,
+  clustered integer not null default 0,
+  drafts_queued integer not null default 0,
+  queue_errors integer not null default 0,
+  -- worker runs
+  drafts_generated integer not null default 0,
+  draft_errors integer not null default 0,      -- jobs that failed (retrying or dead-lettered)
+  gemini_calls integer not null default 0,
+  gemini_errors integer not null default 0,
+  gemini_latency_ms bigint not null default 0,  -- summed over calls
+  gemini_prompt_tokens bigint not null default 0,
+  gemini_output_tokens bigint not null default 0,
+  details jsonb not null default '{}'::jsonb,   -- per-source counters, or the worker summary
+  error text
+);
+
+create index if not exists collector_runs_started_at_idx on collector_runs (started_at desc);
+
+alter table collector_runs enable row level security;
+
+drop policy if exists "dashboard read" on collector_runs;
+create policy "dashboard read" on collector_runs
+  for select to authenticated
+  using (dashboard_role() is not null);
+
+-- One row per (non-superseded) draft with its review outcome and the dimensions the charts group by.
+-- security_invoker keeps the underlying tables' RLS in force for dashboard reads.
+-- Topics are the keyword / currency rules the item matched when it was scored.
+create or replace view analytics_drafts
+with (security_invoker = true) as
+select
+  d.id,
+  d.created_at,
+  n.created_at as ingested_at,
+  d.posted_date as approved_at,
+  d.rejected_at,
+  case
+    when d.is_reviewed then 'approved'
+    when d.rejected_at is not null then 'rejected'
+    else 'pending'
+  end as outcome,
+  d.rejection_reason,
+  n.source_name,
+  lower(coalesce(n.sentiment, 'neutral')) as sentiment,
+  coalesce(d.selected_persona, d.persona) as persona,
+  d.output_format,
+  d.engagement_score,
+  case when d.is_reviewed then round((extract(epoch from d.posted_date - n.created_at) / 3600)::numeric, 2) end as hours_to_approval,
+  array(
+    select split_part(boost.key, ':', 2)
+    from jsonb_each(coalesce(n.score_breakdown -> 'boosts', '{}'::jsonb)) as boost
+    where (boost.key like 'keyword:%' or boost.key like 'currency:%')
+      and jsonb_typeof(boost.value) = 'number'
+      and (boost.value)::numeric > 0
+  ) as topics
+from draft_posts d
+join trending_news n on n.id = d.news_id
+where d.superseded_at is null;
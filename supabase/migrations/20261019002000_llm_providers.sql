@@ -0,0 +1,21 @@
+-- Pluggable LLM providers (utils/llm): record which provider/model wrote each draft ("gemini:gemini-2.5-pro"),
+-- since a fallback may have produced it, and count usage for every provider, not just Gemini.
+alter table draft_posts
+  add column if not exists generated_by text;
+
+alter table draft_variants
+  add column if not exists generated_by text;
+
+do $$
+declare
+  metric text;
+begin
+  foreach metric in array array['calls', 'errors', 'latency_ms', 'prompt_tokens', 'output_tokens'] loop
+    if exists (
+      select 1 from information_schema.columns
+      where table_name = 'collector_runs' and column_name = 'gemini_' || metric
+    ) then
+      execute format('alter table collector_runs rename column %I to %I', 'gemini_' || metric, 'llm_' || metric);
+    end if;
+  end loop;
+end $$;
@@ -0,0 +1,101 @@
+-- Asset / topic tags on news items (utils/tagging.js) and per-tag routing rules (utils/routing.js).
+-- tag_sources records how each tag was found: { "BTC": "api", "defi": "keyword", "macro": "llm" }.
+alter table trending_news
+  add column if not exists assets text[] not null default '{}',
+  add column if not exists topics text[] not null default '{}',
+  add column if not exists tag_sources jsonb not null default '{}'::jsonb,
+  add column if not exists requested_persona text,
+  add column if not exists inbox_priority integer not null default 0,
+  add column if not exists routing jsonb;   -- what the rules decided, and which rules matched
+
+create index if not exists trending_news_assets_idx on trending_news using gin (assets);
+create index if not exists trending_news_topics_idx on trending_news using gin (topics);
+
+-- Highest priority first; for each setting the first matching rule that sets it (non-null) wins. E.g.
+--   insert into routing_rules (name, match_topics, skip_draft, priority) values ('no NFTs', '{nft}', true, 100);
+--   insert into routing_rules (name, match_topics, persona, format, inbox_priority)
+--     values ('macro explainers', '{macro}', 'macro', 'thread', 5);
+--   insert into routing_rules (name, match_assets, match_topics, inbox_priority)
+--     values ('ETH L2s up top', '{ETH,ARB,OP}', '{layer2}', 10);
+create table if not exists routing_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  match_assets text[],          -- any of these (empty/null = any asset)
+  match_topics text[],          -- and any of these (empty/null = any topic)
+  skip_draft boolean,           -- true: store the item but don't draft it
+  persona text,                 -- persona key every variant is written as
+  format text check (format in ('tweet', 'thread', 'linkedin', 'newsletter')),
+  inbox_priority integer,       -- higher sorts first with the inbox "Priority" sort
+  priority integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table routing_rules enable row level security;
+
+drop policy if exists "dashboard read" on routing_rules;
+create policy "dashboard read" on routing_rules
+  for select to authenticated
+  using (dashboard_role() is not null);
+
+-- Copied onto the draft (like relevance_score) so the dashboard can filter and sort without embeds
+alter table draft_posts
+  add column if not exists assets text[] not null default '{}',
+  add column if not exists topics text[] not null default '{}',
+  add column if not exists priority integer not null default 0;
+
+create or replace function draft_posts_search_refresh()
+returns trigger
+language plpgsql
+as $$
+declare
+  news trending_news%rowtype;
+begin
+  select * into news from trending_news where id = new.news_id;
+
+  if tg_op = 'INSERT' or new.news_id is distinct from old.news_id then
+    new.relevance_score := coalesce(news.relevance_score, 0);
+    new.assets := coalesce(news.assets, '{}');
+    new.topics := coalesce(news.topics, '{}');
+    new.priority := coalesce(news.inbox_priority, 0);
+  end if;
+
+  new.search_vector :=
+    setweight(to_tsvector('english', coalesce(news.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(new.gemini_draft, '') || ' ' || coalesce(new.final_approved_post, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(new.gemini_insight, '')), 'C');
+
+  return new;
+end;
+$$;
+
+create index if not exists draft_posts_assets_idx on draft_posts using gin (assets);
+create index if not exists draft_posts_topics_idx on draft_posts using gin (topics);
+create index if not exists draft_posts_priority_idx on draft_posts (priority desc, id desc);
+
+-- Engagement by topic now uses the real topic tags
+create or replace view analytics_drafts
+with (security_invoker = true) as
+select
+  d.id,
+  d.created_at,
+  n.created_at as ingested_at,
+  d.posted_date as approved_at,
+  d.rejected_at,
+  case
+    when d.is_reviewed then 'approved'
+    when d.rejected_at is not null then 'rejected'
+    else 'pending'
+  end as outcome,
+  d.rejection_reason,
+  n.source_name,
+  lower(coalesce(n.sentiment, 'neutral')) as sentiment,
+  coalesce(d.selected_persona, d.persona) as persona,
+  d.output_format,
+  d.engagement_score,
+  case when d.is_reviewed then round((extract(epoch from d.posted_date - n.created_at) / 3600)::numeric, 2) end as hours_to_approval,
+  n.topics,
+  n.assets
+from draft_posts d
+join trending_news n on n.id = d.news_id
+where d.superseded_at is null;
@@ -0,0 +1,9 @@
+-- Breaking-news fast lane (utils/breaking.js). Items that cross the urgency threshold
+-- (utils/scoring.js scoreUrgency) are drafted inline by the collector and alerted on through
+-- the Slack / Discord / Telegram connectors in utils/notifiers.
+alter table trending_news
+  add column if not exists is_breaking boolean not null default false,
+  add column if not exists urgency jsonb,          -- { score, reasons: ["42.0 votes/h", "topic:security"] }
+  add column if not exists notified_at timestamptz; -- set when the alert is claimed, so it goes out once
+
+create index if not exists trending_news_breaking_idx on trending_news (created_at desc) where is_breaking;
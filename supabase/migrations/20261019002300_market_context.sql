@@ -0,0 +1,10 @@
+-- Price snapshot each draft was written from (utils/market):
+-- { "provider": "coingecko", "as_of": "...", "quotes": [{ "symbol": "BTC", "price": 67250, "change_24h": 2.41,
+--   "change_7d": -1.12, "volume_24h": 31200000000, "market_cap": 1330000000000 }] }
+-- null when the story had no tagged assets or no price data was available.
+alter table draft_posts
+  add column if not exists market_context jsonb;
+
+-- A guided regeneration takes a fresh snapshot; the replaced version keeps its own
+alter table draft_revisions
+  add column if not exists market_context jsonb;
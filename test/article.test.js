@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import axios from 'axios';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { stripTags, extractMainText, isPaywalled, summarize, fetchArticle } = await import('../utils/article.js');
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/articles/${name}.html`, import.meta.url), 'utf8');
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('stripTags', () => {
+  it('removes tags and collapses whitespace', () => {
+    expect(stripTags('<b>Bitcoin</b>\n  <i>rallies</i>')).toBe('Bitcoin rallies');
+  });
+
+  it('decodes entities before stripping, so encoded markup is removed too', () => {
+    expect(stripTags('Payload &lt;img src=x onerror=alert(1)&gt; here')).toBe('Payload here');
+    expect(stripTags('&lt;script&gt;alert(1)&lt;/script&gt;')).toBe('alert(1)');
+  });
+
+  it('keeps a decoded "<" that does not start a tag', () => {
+    expect(stripTags('fees &lt; 1% &amp; rising')).toBe('fees < 1% & rising');
+  });
+
+  it('decodes numeric and named entities', () => {
+    expect(stripTags('&#36;2&#x2E;1B &ldquo;up&rdquo; &mdash; &nbsp;ok')).toBe('$2.1B “up” — ok');
+  });
+});
+
+describe('extractMainText', () => {
+  it('keeps article paragraphs and drops navigation, footers and short lines', () => {
+    const text = extractMainText(fixture('article'));
+    const paragraphs = text.split('\n\n');
+
+    expect(paragraphs).toHaveLength(4);
+    expect(paragraphs[0]).toBe('The exchange said on Tuesday it will offer segregated custody accounts to pension funds and insurers.');
+    expect(text).not.toContain('newsletter');
+    expect(text).not.toContain('Copyright');
+    expect(text).not.toContain('Short.');
+  });
+
+  it('ignores scripts, styles, noscript, asides and comments', () => {
+    expect(extractMainText(fixture('script-heavy'))).toBe(
+      'The only real paragraph on this page explains that the protocol paused deposits after an audit.'
+    );
+  });
+
+  it('never returns markup from entity-encoded payloads', () => {
+    const text = extractMainText(fixture('entities'));
+
+    expect(text).not.toMatch(/<[a-z/!]/i);
+    expect(text).toContain('Researchers showed that a payload like survived the old sanitizer.');
+    expect(text).toContain('Fees fell < 1% after the upgrade & the team called it “a milestone” — volumes rose to $2.1 billion.');
+    // One decode only: a double-encoded tag stays visible as text
+    expect(text).toContain('A double-encoded &lt;script&gt;alert(1)&lt;/script&gt; example');
+  });
+
+  it('returns an empty string when nothing qualifies', () => {
+    expect(extractMainText('<html><body><div>Hi</div></body></html>')).toBe('');
+  });
+});
+
+describe('isPaywalled', () => {
+  it('spots schema.org and class-based paywall markers', () => {
+    expect(isPaywalled(fixture('paywall'))).toBe(true);
+    expect(isPaywalled(fixture('article'))).toBe(false);
+  });
+});
+
+describe('summarize', () => {
+  it('takes the lead sentences without splitting figures', () => {
+    expect(summarize('Volume hit $1.2B today. Second one. Third one. Fourth one.')).toBe('Volume hit $1.2B today. Second one. Third one.');
+  });
+});
+
+describe('fetchArticle', () => {
+  const serve = (data, status = 200) => vi.spyOn(axios, 'get').mockResolvedValue({ status, data });
+
+  it('extracts an excerpt and summary from a readable page', async () => {
+    serve(fixture('article'));
+    const article = await fetchArticle('https://example.com/a');
+
+    expect(article.status).toBe('ok');
+    expect(article.summary).toBe(
+      'The exchange said on Tuesday it will offer segregated custody accounts to pension funds and insurers. ' +
+      'Clients will be able to hold assets with a regulated trust company, a structure requested by large allocators. ' +
+      'Analysts expect the move to pressure rivals that still pool customer funds in omnibus wallets.'
+    );
+    expect(article.excerpt).toContain('licences are granted next year.');
+  });
+
+  it('keeps the teaser of a paywalled page but marks it', async () => {
+    serve(fixture('paywall'));
+    const article = await fetchArticle('https://example.com/p');
+
+    expect(article.status).toBe('paywalled');
+    expect(article.summary).toContain('Regulators are weighing new disclosure rules');
+  });
+
+  it('returns entity-encoded payloads as plain text', async () => {
+    serve(fixture('entities'));
+    const article = await fetchArticle('https://example.com/e');
+
+    expect(article.status).toBe('ok');
+    expect(article.summary).not.toMatch(/<img|onerror=alert\(document/);
+  });
+
+  it('treats 402/403 as paywalled and other errors as failed', async () => {
+    serve('', 403);
+    expect((await fetchArticle('https://example.com/x')).status).toBe('paywalled');
+
+    serve('', 404);
+    expect(await fetchArticle('https://example.com/x')).toEqual({ status: 'failed', error: 'HTTP 404' });
+
+    vi.spyOn(axios, 'get').mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+    expect(await fetchArticle('https://example.com/x')).toEqual({ status: 'failed', error: 'timeout of 10000ms exceeded' });
+  });
+
+  it('needs a URL', async () => {
+    expect(await fetchArticle('')).toEqual({ status: 'failed', error: 'No URL' });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+vi.mock('../utils/draft-generator.js', () => ({ generateDraft: vi.fn() }));
+vi.mock('../utils/jobs.js', () => ({ enqueueDraftJob: vi.fn() }));
+
+const { scoreUrgency } = await import('../utils/scoring.js');
+const { fastLane, notifyBreaking, draftLink } = await import('../utils/breaking.js');
+const { generateDraft } = await import('../utils/draft-generator.js');
+const { enqueueDraftJob } = await import('../utils/jobs.js');
+const { mockNotifications } = await import('../utils/notifiers/mock.js');
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(now - hours * 3600000).toISOString();
+
+const newsItem = {
+  id: 'news-1',
+  title: 'Bridge exploited for $40M',
+  source_name: 'CryptoPanic',
+  assets: ['ETH'],
+  topics: ['security'],
+  urgency: { score: 22, reasons: ['12.0 votes/h', 'topic:security'] },
+};
+
+describe('scoreUrgency', () => {
+  it('scores quiet news as not urgent', () => {
+    expect(scoreUrgency({ title: 'Exchange lists new token' }, undefined, now)).toEqual({ score: 0, urgent: false, reasons: [] });
+  });
+
+  it('never treats a keyword-only title as urgent', () => {
+    expect(scoreUrgency({ title: 'Protocol hacked overnight' }, undefined, now))
+      .toEqual({ score: 5, urgent: false, reasons: ['topic:security'] });
+    expect(scoreUrgency({ title: 'Senator warns of attack on Fed independence' }, undefined, now).urgent).toBe(false);
+    // Not even when the boost alone would clear the threshold
+    expect(scoreUrgency({ title: 'Lender halts withdrawals' }, { urgency: { keywordBoost: 50 } }, now))
+      .toEqual({ score: 50, urgent: false, reasons: ['keyword:halts withdrawals'] });
+  });
+
+  it('boosts breaking topics and keywords that already have vote activity', () => {
+    const item = { title: 'Protocol hacked overnight', votes: { positive: 5 }, published_at: hoursAgo(1) };
+    expect(scoreUrgency(item, undefined, now)).toEqual({ score: 10, urgent: true, reasons: ['5.0 votes/h', 'topic:security'] });
+  });
+
+  it('turns vote velocity urgent once it reaches the threshold', () => {
+    const item = (votes, hours) => ({ title: 'Token rallies', votes, published_at: hoursAgo(hours) });
+
+    expect(scoreUrgency(item({ positive: 9 }, 1), undefined, now)).toMatchObject({ score: 9, urgent: false });
+    expect(scoreUrgency(item({ positive: 10 }, 1), undefined, now)).toMatchObject({ score: 10, urgent: true, reasons: ['10.0 votes/h'] });
+    // The same votes spread over two hours are only half as urgent
+    expect(scoreUrgency(item({ positive: 10 }, 2), undefined, now)).toMatchObject({ score: 5, urgent: false });
+  });
+
+  it('treats brand-new items as a quarter hour old', () => {
+    const item = { title: 'Token rallies', votes: { positive: 2 }, published_at: hoursAgo(0) };
+    expect(scoreUrgency(item, undefined, now)).toMatchObject({ score: 8, urgent: false, reasons: ['8.0 votes/h'] });
+  });
+
+  it('weights "important" votes on top of velocity', () => {
+    const item = { title: 'Token rallies', votes: { important: 3 }, published_at: hoursAgo(1) };
+    expect(scoreUrgency(item, undefined, now)).toEqual({ score: 9, urgent: false, reasons: ['3.0 votes/h', '3 important'] });
+  });
+
+  it('honours a custom threshold', () => {
+    const item = { title: 'Token rallies', votes: { positive: 15 }, published_at: hoursAgo(1) };
+    expect(scoreUrgency(item, undefined, now).urgent).toBe(true);
+    expect(scoreUrgency(item, { urgency: { threshold: 20 } }, now).urgent).toBe(false);
+  });
+});
+
+describe('notifyBreaking', () => {
+  beforeEach(() => {
+    db.reset();
+    mockNotifications.length = 0;
+    vi.stubEnv('NOTIFY_MOCK_ENABLED', 'true');
+    vi.stubEnv('DASHBOARD_URL', 'https://desk.example.com/');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('links to the draft in the inbox', () => {
+    expect(draftLink('draft-1')).toBe('https://desk.example.com/?tab=inbox&focus=draft-1');
+  });
+
+  it('sends the alert only once per item', async () => {
+    // The first claim takes the row; after that notified_at is set and the guarded update matches nothing
+    let claimed = false;
+    db.on('trending_news', () => {
+      const data = claimed ? [] : [{ id: 'news-1' }];
+      claimed = true;
+      return { data };
+    });
+
+    expect(await notifyBreaking(newsItem, 'draft-1')).toBe(1);
+    expect(await notifyBreaking(newsItem, 'draft-1')).toBe(0);
+
+    expect(mockNotifications).toHaveLength(1);
+    expect(mockNotifications[0]).toMatchObject({
+      title: '🚨 Breaking: Bridge exploited for $40M',
+      text: 'CryptoPanic · urgency 22 (12.0 votes/h, topic:security)\nTags: ETH, security\nA draft is waiting in the inbox.',
+      url: 'https://desk.example.com/?tab=inbox&focus=draft-1',
+    });
+
+    const [claim] = db.find('trending_news', 'update');
+    expect(opArgs(claim, 'eq')).toEqual(['id', 'news-1']);
+    expect(opArgs(claim, 'is')).toEqual(['notified_at', null]);
+  });
+
+  it('sends nothing when the claim fails', async () => {
+    db.on('trending_news', { error: { message: 'connection reset' } });
+
+    expect(await notifyBreaking(newsItem, 'draft-1')).toBe(0);
+    expect(mockNotifications).toHaveLength(0);
+  });
+
+  it('skips the claim when no notifier is configured', async () => {
+    vi.stubEnv('NOTIFY_MOCK_ENABLED', 'false');
+
+    expect(await notifyBreaking(newsItem, 'draft-1')).toBe(0);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  it('does not throw when a notifier fails', async () => {
+    vi.stubEnv('NOTIFY_MOCK_FAIL', 'true');
+    db.on('trending_news', { data: [{ id: 'news-1' }] });
+
+    expect(await notifyBreaking(newsItem, 'draft-1')).toBe(0);
+  });
+});
+
+describe('fastLane', () => {
+  beforeEach(() => {
+    db.reset();
+    mockNotifications.length = 0;
+    generateDraft.mockReset();
+    enqueueDraftJob.mockReset();
+    vi.stubEnv('NOTIFY_MOCK_ENABLED', 'true');
+    vi.stubEnv('DASHBOARD_URL', 'https://desk.example.com');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('drafts the item and alerts reviewers', async () => {
+    generateDraft.mockResolvedValue({ draftId: 'draft-1' });
+    db.on('trending_news', { data: [{ id: 'news-1' }] });
+
+    expect(await fastLane(newsItem)).toBe('drafted');
+    expect(generateDraft).toHaveBeenCalledWith(newsItem);
+    expect(enqueueDraftJob).not.toHaveBeenCalled();
+    expect(mockNotifications.map(n => n.url)).toEqual(['https://desk.example.com/?tab=inbox&focus=draft-1']);
+  });
+
+  it('falls back to the job queue when generation fails', async () => {
+    generateDraft.mockRejectedValue(new Error('All LLM providers failed'));
+    enqueueDraftJob.mockResolvedValue({ id: 'job-1' });
+
+    expect(await fastLane(newsItem)).toBe('queued');
+    expect(enqueueDraftJob).toHaveBeenCalledWith('news-1');
+    // The worker sends the alert once its draft exists
+    expect(mockNotifications).toHaveLength(0);
+  });
+
+  it('reports a queue error instead of throwing when the fallback fails too', async () => {
+    generateDraft.mockRejectedValue(new Error('All LLM providers failed'));
+    enqueueDraftJob.mockRejectedValue(new Error('relation "draft_jobs" does not exist'));
+
+    expect(await fastLane(newsItem)).toBe('queue_error');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTitle, canonicalizeUrl, titleSimilarity, findClusterMatch, SIMILARITY_THRESHOLD } from '../utils/clustering.js';
+
+describe('normalizeTitle', () => {
+  it('lowercases, strips accents and punctuation, and drops stopwords', () => {
+    expect(normalizeTitle('BREAKING: SEC Approves Spot ETH ETFs — Café!')).toBe('sec approves spot eth etfs cafe');
+    expect(normalizeTitle('$BTC hits a new high')).toBe('$btc hits high');
+  });
+
+  it('copes with missing titles', () => {
+    expect(normalizeTitle(null)).toBe('');
+  });
+});
+
+describe('canonicalizeUrl', () => {
+  it('treats syndicated and AMP copies of an article as one URL', () => {
+    const canonical = 'example.com/news/story?a=1&b=2';
+
+    expect(canonicalizeUrl('http://www.Example.com/news/story/amp/?utm_source=x&b=2&a=1#top')).toBe(canonical);
+    expect(canonicalizeUrl('https://m.example.com/news/story?a=1&b=2&fbclid=abc')).toBe(canonical);
+    expect(canonicalizeUrl('https://amp.example.com/news/story/?b=2&ref=tw&a=1')).toBe(canonical);
+  });
+
+  it('keeps parameters that pick the article', () => {
+    expect(canonicalizeUrl('https://example.com/article?id=7')).not.toBe(canonicalizeUrl('https://example.com/article?id=8'));
+  });
+
+  it('falls back to the trimmed, lowercased text for anything unparsable', () => {
+    expect(canonicalizeUrl(' Not A URL ')).toBe('not a url');
+    expect(canonicalizeUrl(undefined)).toBe('');
+  });
+});
+
+describe('titleSimilarity', () => {
+  const similarity = (a, b) => titleSimilarity(normalizeTitle(a), normalizeTitle(b));
+
+  it('scores identical headlines 1 and empty ones 0', () => {
+    expect(similarity('SEC approves spot ETH ETFs', 'sec approves spot eth etfs!')).toBe(1);
+    expect(similarity('', 'SEC approves spot ETH ETFs')).toBe(0);
+  });
+
+  it('matches reworded coverage of the same event', () => {
+    expect(similarity('SEC approves spot ETH ETFs', 'Spot ETH ETFs get SEC approval')).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+  });
+
+  it('keeps unrelated stories apart', () => {
+    expect(similarity('SEC approves spot ETH ETFs', 'Solana validators upgrade client')).toBeLessThan(0.1);
+  });
+});
+
+describe('findClusterMatch', () => {
+  const candidate = (id, title, url) => ({ id, normalized_title: normalizeTitle(title), canonical_url: canonicalizeUrl(url) });
+  const candidates = [
+    candidate(1, 'Solana validators upgrade client', 'https://a.example.com/solana'),
+    candidate(2, 'SEC approves spot ETH ETFs', 'https://b.example.com/eth-etf'),
+  ];
+
+  it('picks the most similar story above the threshold', () => {
+    const item = candidate(null, 'Spot ETH ETFs get SEC approval', 'https://c.example.com/other');
+    expect(findClusterMatch(item, candidates)).toMatchObject({ match: { id: 2 } });
+  });
+
+  it('matches the same URL regardless of the headline', () => {
+    const item = candidate(null, 'Totally different wording', 'https://www.b.example.com/eth-etf?utm_source=x');
+    expect(findClusterMatch(item, candidates)).toEqual({ match: candidates[1], similarity: 1 });
+  });
+
+  it('starts a new story when nothing is close enough', () => {
+    expect(findClusterMatch(candidate(null, 'Bitcoin miners sell reserves', 'https://d.example.com/miners'), candidates)).toBeNull();
+    expect(findClusterMatch(candidate(null, 'Anything', 'https://d.example.com/x'), [])).toBeNull();
+  });
+});
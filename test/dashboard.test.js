@@ -0,0 +1,240 @@
+import { describe, it, expect } from 'vitest';
+import { db } from './helpers/supabase-stub.js';
+import { loadAppFunctions } from './helpers/app-script.js';
+
+// Pure helpers from the dashboard script (public/app.js)
+
+describe('parseMetricsCsv', () => {
+  const { fns: { parseMetricsCsv } } = loadAppFunctions(['parseMetricsCsv']);
+
+  it('maps rows onto lowercased, trimmed headers', () => {
+    const rows = parseMetricsCsv('Draft_ID, Impressions ,Likes\r\ndraft-1,1200,40\r\ndraft-2, 300 ,2\r\n');
+
+    expect(rows).toEqual([
+      { draft_id: 'draft-1', impressions: '1200', likes: '40' },
+      { draft_id: 'draft-2', impressions: '300', likes: '2' },
+    ]);
+  });
+
+  it('keeps commas and escaped quotes inside quoted cells', () => {
+    const [row] = parseMetricsCsv('draft_id,note,likes\ndraft-1,"Big day, ""viral"" even",9');
+
+    expect(row).toEqual({ draft_id: 'draft-1', note: 'Big day, "viral" even', likes: '9' });
+  });
+
+  it('skips blank lines and leaves missing trailing cells empty', () => {
+    const rows = parseMetricsCsv('draft_id,likes,replies\n\n   \ndraft-1,,\ndraft-2,5');
+
+    expect(rows).toEqual([
+      { draft_id: 'draft-1', likes: '', replies: '' },
+      { draft_id: 'draft-2', likes: '5', replies: undefined },
+    ]);
+  });
+
+  it('returns no rows for a header-only file', () => {
+    expect(parseMetricsCsv('draft_id,likes\n')).toEqual([]);
+  });
+});
+
+describe('draft list filters and sorting', () => {
+  const { fns: { sortSpec, applyFilters, applySort }, context: page } = loadAppFunctions(
+    ['SORTS', 'DATE_COLUMN', 'sortSpec', 'applyFilters', 'applySort'],
+    { currentTab: 'inbox', filters: {}, nextCursor: null },
+  );
+
+  // The dashboard builds queries on the Supabase client; the stub records what it was asked for
+  const build = (apply) => {
+    db.reset();
+    apply(db.client.from('draft_posts').select('*'));
+    return db.queries[0].ops.slice(1);
+  };
+
+  const show = (tab, filters = {}, nextCursor = null) => Object.assign(page, { currentTab: tab, filters, nextCursor });
+
+  it('sorts each tab by its own date column by default', () => {
+    show('inbox');
+    expect(sortSpec()).toMatchObject({ key: 'newest', column: 'created_at', ascending: false });
+
+    show('history', { sort: 'oldest' });
+    expect(sortSpec()).toMatchObject({ key: 'oldest', column: 'posted_date', ascending: true });
+
+    show('rejected');
+    expect(sortSpec().column).toBe('rejected_at');
+  });
+
+  it('falls back to newest for sorts the tab does not offer', () => {
+    show('inbox', { sort: 'engagement' });
+    expect(sortSpec().key).toBe('newest');
+
+    show('history', { sort: 'engagement' });
+    expect(sortSpec()).toMatchObject({ key: 'engagement', column: 'engagement_score' });
+
+    show('inbox', { sort: 'bogus' });
+    expect(sortSpec().key).toBe('newest');
+  });
+
+  it('turns each filter into a query condition', () => {
+    show('inbox', { q: 'etf outflows', source: 'CoinDesk', persona: 'macro', min_score: '7', asset: 'BTC', topic: 'regulation', from: '2026-10-01', to: '2026-10-18' });
+
+    expect(build(applyFilters)).toEqual([
+      ['textSearch', 'search_vector', 'etf outflows', { type: 'websearch', config: 'english' }],
+      ['eq', 'trending_news.source_name', 'CoinDesk'],
+      ['eq', 'persona', 'macro'],
+      ['gte', 'created_at', new Date('2026-10-01T00:00').toISOString()],
+      // The "to" day is inclusive
+      ['lt', 'created_at', new Date('2026-10-19T00:00').toISOString()],
+      ['gte', 'relevance_score', 7],
+      ['contains', 'assets', ['BTC']],
+      ['contains', 'topics', ['regulation']],
+    ]);
+  });
+
+  it('filters approved drafts by the persona the reviewer picked', () => {
+    show('history', { persona: 'macro' });
+    expect(build(applyFilters)).toEqual([['eq', 'selected_persona', 'macro']]);
+  });
+
+  it('orders by the sort column with the id as a tie-breaker', () => {
+    show('inbox', { sort: 'relevance' });
+    expect(build(query => applySort(query, sortSpec()))).toEqual([
+      ['order', 'relevance_score', { ascending: false }],
+      ['order', 'id', { ascending: false }],
+    ]);
+  });
+
+  it('continues after the cursor, including ties on the sort column', () => {
+    show('inbox', { sort: 'oldest' }, { value: '2026-10-18T09:00:00Z', id: 'draft-9' });
+    const [cursor] = build(query => applySort(query, sortSpec()));
+
+    expect(cursor).toEqual(['or', 'created_at.gt."2026-10-18T09:00:00Z",and(created_at.eq."2026-10-18T09:00:00Z",id.gt.draft-9)']);
+  });
+
+  it('only lists drafts with metrics when sorting by engagement', () => {
+    show('history', { sort: 'engagement' });
+    expect(build(query => applySort(query, sortSpec()))[0]).toEqual(['not', 'engagement_score', 'is', null]);
+  });
+});
+
+describe('tab membership', () => {
+  const { fns: { applyTabScope, belongsToTab }, context: page } = loadAppFunctions(['applyTabScope', 'belongsToTab'], { currentTab: 'inbox' });
+
+  const rows = {
+    inbox: { is_reviewed: false, rejected_at: null, superseded_at: null },
+    history: { is_reviewed: true, rejected_at: null, superseded_at: null },
+    rejected: { is_reviewed: false, rejected_at: '2026-10-19T10:00:00Z', superseded_at: null },
+    superseded: { is_reviewed: false, rejected_at: null, superseded_at: '2026-10-19T10:00:00Z' },
+  };
+
+  // A realtime event has to land on the same tab as the query that lists it
+  it.each([
+    ['inbox', [['eq', 'is_reviewed', false], ['is', 'rejected_at', null]]],
+    ['history', [['eq', 'is_reviewed', true], ['is', 'rejected_at', null]]],
+    ['rejected', [['not', 'rejected_at', 'is', null]]],
+  ])('scopes the %s tab the same way for queries and realtime rows', (tab, conditions) => {
+    page.currentTab = tab;
+    expect(Object.keys(rows).filter(kind => belongsToTab(rows[kind]))).toEqual([tab]);
+
+    db.reset();
+    applyTabScope(db.client.from('draft_posts'));
+    expect(db.queries[0].ops).toEqual([['is', 'superseded_at', null], ...conditions]);
+  });
+
+  it('ignores rows on tabs that are not draft lists', () => {
+    page.currentTab = 'calendar';
+    expect(belongsToTab(rows.inbox)).toBe(false);
+  });
+});
+
+describe('analytics', () => {
+  const { fns } = loadAppFunctions(
+    ['utcDay', 'percent', 'median', 'approvalBy', 'timeToApproval', 'engagementByTopic', 'dailyVolume', 'pipelineDaily', 'toCsv'],
+  );
+
+  it('computes approval rates over decided drafts only', () => {
+    const drafts = [
+      { source: 'CoinDesk', outcome: 'approved' },
+      { source: 'CoinDesk', outcome: 'rejected' },
+      { source: 'CoinDesk', outcome: 'pending' },
+      { source: null, outcome: 'pending' },
+    ];
+
+    expect(fns.approvalBy(drafts, 'source')).toEqual([
+      { source: 'CoinDesk', drafts: 3, approved: 1, rejected: 1, pending: 1, approval_rate: 50 },
+      { source: 'unknown', drafts: 1, approved: 0, rejected: 0, pending: 1, approval_rate: null },
+    ]);
+  });
+
+  it('reports median and average time to approval per day', () => {
+    const drafts = [
+      { approved_at: '2026-10-18T10:00:00Z', hours_to_approval: 1 },
+      { approved_at: '2026-10-18T12:00:00Z', hours_to_approval: 2 },
+      { approved_at: '2026-10-18T15:00:00Z', hours_to_approval: 9 },
+      { approved_at: '2026-10-17T09:00:00Z', hours_to_approval: '0.5' },
+      { approved_at: null, hours_to_approval: null },
+    ];
+
+    expect(fns.timeToApproval(drafts)).toEqual([
+      { day: '2026-10-17', approved: 1, median_hours: 0.5, average_hours: 0.5 },
+      { day: '2026-10-18', approved: 3, median_hours: 2, average_hours: 4 },
+    ]);
+    expect(fns.median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  it('counts a post towards every topic it is tagged with', () => {
+    const drafts = [
+      { topics: ['etf', 'regulation'], engagement_score: 80 },
+      { topics: ['etf'], engagement_score: 40 },
+      { topics: [], engagement_score: 10 },
+      { topics: ['defi'], engagement_score: null },
+    ];
+
+    expect(fns.engagementByTopic(drafts).map(g => [g.topic, g.posts, g.average_engagement])).toEqual([
+      ['regulation', 1, 80],
+      ['etf', 2, 60],
+      ['untagged', 1, 10],
+    ]);
+  });
+
+  it('fills every day in the range, including empty ones', () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const runs = [
+      { kind: 'collect', started_at: `${today}T08:00:00Z`, inserted: 5 },
+      { kind: 'worker', started_at: `${today}T08:10:00Z`, inserted: 99 },
+    ];
+    const drafts = [
+      { created_at: `${today}T08:10:00Z`, outcome: 'approved', approved_at: `${today}T09:00:00Z` },
+      { created_at: '2020-01-01T00:00:00Z', outcome: 'rejected', rejected_at: `${today}T09:00:00Z` },
+    ];
+
+    expect(fns.dailyVolume(drafts, runs, `${yesterday}T00:00:00Z`)).toEqual([
+      { day: yesterday, ingested: 0, drafts: 0, approved: 0, rejected: 0 },
+      { day: today, ingested: 5, drafts: 1, approved: 1, rejected: 1 },
+    ]);
+  });
+
+  it('sums pipeline counters per day and averages LLM latency per call', () => {
+    const runs = [
+      { kind: 'collect', status: 'ok', started_at: '2026-10-18T08:00:00Z', fetched: 40, llm_calls: 2, llm_latency_ms: 3000 },
+      { kind: 'worker', status: 'failed', started_at: '2026-10-18T08:10:00Z', drafts_generated: 3, llm_calls: 6, llm_latency_ms: 9000 },
+      { kind: 'worker', status: 'ok', started_at: '2026-10-19T08:10:00Z' },
+    ];
+
+    const [first, second] = fns.pipelineDaily(runs);
+    expect(first).toMatchObject({ day: '2026-10-18', collect_runs: 1, worker_runs: 1, failed_runs: 1, fetched: 40, drafts_generated: 3, llm_calls: 8, avg_llm_latency_ms: 1500 });
+    expect(second).toMatchObject({ day: '2026-10-19', worker_runs: 1, llm_calls: 0, avg_llm_latency_ms: null });
+  });
+
+  it('exports rows as CSV, quoting cells that need it', () => {
+    const csv = fns.toCsv([
+      { topic: 'etf', posts: 2, sources: ['CoinDesk', 'The Block'] },
+      { topic: 'say "hi", again', extra: { a: 1 }, posts: null },
+    ]);
+
+    expect(csv).toBe([
+      'topic,posts,sources,extra',
+      'etf,2,CoinDesk; The Block,',
+      '"say ""hi"", again",,,"{""a"":1}"',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+import { mockResponse } from './helpers/response.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+// Embeddings for the learning loop go straight to Gemini; without it retrieval falls back to top posts
+vi.mock('../utils/llm/gemini.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  geminiClient: () => { throw new Error('Gemini is not available in tests'); },
+}));
+
+const { generateDraft } = await import('../utils/draft-generator.js');
+const { overrideProviders, getProvider } = await import('../utils/llm/index.js');
+const { mockCalls } = await import('../utils/llm/mock.js');
+const { default: handler } = await import('../api/generate-draft.js');
+
+const newsItem = {
+  id: 'news-1',
+  title: 'Major exchange expands institutional custody',
+  url: 'https://example.com/custody',
+  sentiment: 'positive',
+  assets: [],
+  // Already fetched, so no article request goes out
+  article_status: 'empty',
+};
+
+beforeEach(() => {
+  db.reset();
+  mockCalls.length = 0;
+  db.on('draft_posts', query => opArgs(query, 'insert') ? { data: { id: 'draft-1' } } : { data: [] });
+  process.env.LLM_MOCK_ENABLED = 'true';
+  process.env.MARKET_COINGECKO_ENABLED = 'false';
+  process.env.WEBHOOK_SECRET_KEY = 'secret';
+  overrideProviders([{ provider: getProvider('mock'), model: 'mock' }]);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  overrideProviders(null);
+  vi.restoreAllMocks();
+  delete process.env.LLM_MOCK_ENABLED;
+  delete process.env.LLM_MOCK_RATE_LIMIT;
+});
+
+describe('generateDraft', () => {
+  it('writes one variant per default persona and saves the first clean one on the draft', async () => {
+    const result = await generateDraft(newsItem);
+
+    expect(result).toMatchObject({ draftId: 'draft-1', format: 'tweet', variants: 3 });
+
+    const [draftInsert] = db.find('draft_posts', 'insert');
+    const [draft] = opArgs(draftInsert, 'insert');
+    expect(draft).toMatchObject({
+      news_id: 'news-1',
+      output_format: 'tweet',
+      generated_by: 'mock:mock',
+      violations: [],
+      market_context: null,
+    });
+    expect(draft.gemini_draft).toBe(result.content.text);
+
+    const [variants] = opArgs(db.find('draft_variants', 'insert')[0], 'insert');
+    expect(variants.map(v => v.persona)).toEqual(['veteran', 'researcher', 'macro']);
+    expect(variants.every(v => v.draft_id === 'draft-1' && v.generated_by === 'mock:mock')).toBe(true);
+  });
+
+  it('renders the news item into the prompt', async () => {
+    await generateDraft(newsItem);
+
+    const prompts = mockCalls.map(call => call.prompt);
+    expect(prompts).toHaveLength(3);
+    expect(prompts.every(prompt => prompt.includes(newsItem.title) && prompt.includes(newsItem.url))).toBe(true);
+    expect(prompts[2]).toContain('macro-focused investor');
+  });
+
+  it('writes only the persona a routing rule asked for', async () => {
+    await generateDraft({ ...newsItem, requested_persona: 'researcher' });
+
+    const [variants] = opArgs(db.find('draft_variants', 'insert')[0], 'insert');
+    expect(variants.map(v => v.persona)).toEqual(['researcher']);
+  });
+
+  it('throws the quota error when every variant is rate limited', async () => {
+    process.env.LLM_MOCK_RATE_LIMIT = 'true';
+
+    await expect(generateDraft(newsItem)).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    expect(db.find('draft_posts', 'insert')).toHaveLength(0);
+  });
+
+  it('fails when the draft cannot be saved', async () => {
+    db.on('draft_posts', query => opArgs(query, 'insert') ? { data: null, error: { message: 'permission denied' } } : { data: [] });
+
+    await expect(generateDraft(newsItem)).rejects.toThrow('Failed to save draft to Supabase: permission denied');
+  });
+});
+
+describe('generateDraft variants', () => {
+  const clean = 'Custody for pensions is the real story: allocators who sat out need a regulated wrapper, and rivals that pool client funds will have to follow. Watch who copies it first.';
+  const hype = `${clean} Buckle up.`;
+
+  // Answers per persona, recognised by the persona description in the prompt
+  function usePersonaProvider(answers) {
+    const provider = {
+      name: 'fake',
+      defaultModel: () => 'fake',
+      isConfigured: () => true,
+      generateJson: vi.fn(async ({ prompt }) => {
+        const [, answer] = Object.entries(answers).find(([needle]) => prompt.includes(needle));
+        if (answer instanceof Error) throw answer;
+        return { data: { insight: 'Regulated custody unlocks pensions', draft_tweet: answer }, usage: {} };
+      }),
+    };
+    overrideProviders([{ provider, model: 'fake' }]);
+    return provider;
+  }
+
+  const savedVariants = () => opArgs(db.find('draft_variants', 'insert')[0], 'insert')[0];
+
+  it('puts clean variants first so the draft shows one that passed the guardrails', async () => {
+    usePersonaProvider({ 'market veteran': hype, 'deep-tech researcher': clean, 'macro-focused': clean });
+
+    await generateDraft(newsItem);
+
+    const [draft] = opArgs(db.find('draft_posts', 'insert')[0], 'insert');
+    expect(draft).toMatchObject({ persona: 'researcher', gemini_draft: clean, violations: [] });
+    expect(savedVariants().map(v => [v.position, v.persona, v.violations.map(x => x.rule)])).toEqual([
+      [0, 'researcher', []],
+      [1, 'macro', []],
+      [2, 'veteran', ['banned_phrase']],
+    ]);
+  });
+
+  it('retries a flagged variant with the violations as feedback', async () => {
+    const provider = usePersonaProvider({ 'market veteran': hype, 'deep-tech researcher': clean, 'macro-focused': clean });
+
+    await generateDraft(newsItem);
+
+    const veteranPrompts = provider.generateJson.mock.calls.map(([{ prompt }]) => prompt).filter(prompt => prompt.includes('market veteran'));
+    expect(veteranPrompts).toHaveLength(3);
+    expect(veteranPrompts[1]).toContain('"buckle up"');
+  });
+
+  it('saves the variants that succeeded when others fail', async () => {
+    usePersonaProvider({ 'market veteran': new Error('timeout'), 'deep-tech researcher': clean, 'macro-focused': new Error('timeout') });
+
+    expect(await generateDraft(newsItem)).toMatchObject({ draftId: 'draft-1', variants: 1 });
+    expect(savedVariants().map(v => v.persona)).toEqual(['researcher']);
+  });
+
+  it('keeps the draft when its variants cannot be saved', async () => {
+    usePersonaProvider({ 'market veteran': clean, 'deep-tech researcher': clean, 'macro-focused': clean });
+    db.on('draft_variants', { error: { message: 'permission denied' } });
+
+    expect(await generateDraft(newsItem)).toMatchObject({ draftId: 'draft-1', variants: 3 });
+    expect(console.error).toHaveBeenCalledWith('Error saving draft variants:', 'permission denied');
+  });
+
+  it('throws the first error when every variant fails without a quota error', async () => {
+    usePersonaProvider({ 'market veteran': new Error('timeout'), 'deep-tech researcher': new Error('bad json'), 'macro-focused': new Error('bad json') });
+
+    await expect(generateDraft(newsItem)).rejects.toThrow('timeout');
+  });
+});
+
+describe('api/generate-draft', () => {
+  const request = (overrides = {}) => ({
+    method: 'POST',
+    headers: { authorization: 'Bearer secret' },
+    body: { record: newsItem },
+    ...overrides,
+  });
+
+  it('only accepts POST', async () => {
+    const res = mockResponse();
+    await handler(request({ method: 'GET' }), res);
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('rejects a missing or wrong webhook secret', async () => {
+    const res = mockResponse();
+    await handler(request({ headers: { authorization: 'Bearer nope' } }), res);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('rejects a payload without a record', async () => {
+    const res = mockResponse();
+    await handler(request({ body: { type: 'INSERT' } }), res);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('generates and saves the draft', async () => {
+    const res = mockResponse();
+    await handler(request(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.insight).toEqual(expect.any(String));
+    expect(db.find('draft_posts', 'insert')).toHaveLength(1);
+  });
+
+  it('answers 429 when every provider is rate limited', async () => {
+    process.env.LLM_MOCK_RATE_LIMIT = 'true';
+    const res = mockResponse();
+    await handler(request(), res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.retry_after).toBe(60);
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+import { mockResponse } from './helpers/response.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+// The signed-in user is whoever the test says it is
+vi.mock('../utils/auth.js', async (importOriginal) => {
+  const auth = await importOriginal();
+  return { ...auth, requireRole: vi.fn() };
+});
+// Revisions are generated by the LLM; here they just echo what was asked for
+vi.mock('../utils/draft-generator.js', () => ({
+  generateRevision: vi.fn(async (draft, { pinnedText }) => ({
+    content: { text: pinnedText || 'A fresh take.' },
+    insight: 'insight',
+    format: 'tweet',
+    violations: [],
+    persona: { key: 'veteran', id: null },
+    template: { id: null },
+    generatedBy: 'mock:mock',
+    marketContext: null,
+  })),
+}));
+
+const { requireRole } = await import('../utils/auth.js');
+const { generateRevision } = await import('../utils/draft-generator.js');
+const { default: handler } = await import('../api/drafts.js');
+
+const reviewer = { id: 'user-1', email: 'reviewer@example.com', role: 'reviewer' };
+const editor = { id: 'user-2', email: 'editor@example.com', role: 'editor' };
+
+const inboxDraft = {
+  id: 'draft-1',
+  gemini_draft: 'Generated take on the custody news.',
+  is_reviewed: false,
+  rejected_at: null,
+  superseded_at: null,
+  draft_variants: [{ id: 'variant-2', draft_text: 'Second generated take.' }],
+};
+
+async function call(user, body) {
+  requireRole.mockResolvedValue(user);
+  const res = mockResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('approve', () => {
+  // The read returns the draft; the guarded update returns the rows it changed
+  const script = (updated) => db.on('draft_posts', query => opArgs(query, 'update')
+    ? { data: updated }
+    : { data: inboxDraft });
+
+  it('approves a generated variant as is', async () => {
+    script([{ id: 'draft-1' }]);
+    const res = await call(reviewer, { action: 'approve', draft_id: 'draft-1', text: 'Second generated take.', variant_id: 'variant-2' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ message: 'Approved.', edited: false });
+
+    const [update] = db.find('draft_posts', 'update');
+    expect(opArgs(update, 'update')[0]).toMatchObject({ is_reviewed: true, final_approved_post: 'Second generated take.', reviewed_by: 'user-1' });
+    expect(update.ops.filter(([op]) => op === 'is')).toEqual([['is', 'rejected_at', null], ['is', 'superseded_at', null]]);
+    expect(db.find('audit_log', 'insert').map(q => opArgs(q, 'insert')[0].action)).toEqual(['approved']);
+  });
+
+  it('only lets editors change the text', async () => {
+    script([{ id: 'draft-1' }]);
+
+    expect((await call(reviewer, { action: 'approve', draft_id: 'draft-1', text: 'My own words.' })).statusCode).toBe(403);
+    expect(db.find('draft_posts', 'update')).toHaveLength(0);
+
+    const res = await call(editor, { action: 'approve', draft_id: 'draft-1', text: 'My own words.' });
+    expect(res.body).toEqual({ message: 'Approved.', edited: true });
+    expect(db.find('audit_log', 'insert').map(q => opArgs(q, 'insert')[0].action)).toEqual(['edited', 'approved']);
+  });
+
+  it('answers 409 without audit entries when a concurrent action got there first', async () => {
+    script([]);
+    const res = await call(reviewer, { action: 'approve', draft_id: 'draft-1', text: inboxDraft.gemini_draft });
+
+    expect(res.statusCode).toBe(409);
+    expect(db.find('audit_log')).toHaveLength(0);
+  });
+
+  it('refuses drafts that already left the inbox', async () => {
+    db.on('draft_posts', { data: { ...inboxDraft, rejected_at: '2026-10-19T10:00:00Z' } });
+    const res = await call(reviewer, { action: 'approve', draft_id: 'draft-1', text: inboxDraft.gemini_draft });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Draft was rejected; restore it first.');
+  });
+
+  it('needs the text', async () => {
+    expect((await call(reviewer, { action: 'approve', draft_id: 'draft-1', text: '  ' })).statusCode).toBe(400);
+  });
+});
+
+describe('reject and restore', () => {
+  it('soft-rejects with a reason and a trimmed note', async () => {
+    db.on('draft_posts', { data: [{ id: 'draft-1', gemini_draft: inboxDraft.gemini_draft }] });
+    const res = await call(reviewer, { action: 'reject', draft_id: 'draft-1', reason: 'too_hypey', note: '  Reads like an ad.  ' });
+
+    expect(res.statusCode).toBe(200);
+    const [update] = db.find('draft_posts', 'update');
+    expect(opArgs(update, 'update')[0]).toMatchObject({ rejection_reason: 'too_hypey', rejection_note: 'Reads like an ad.', rejected_by: 'user-1' });
+    expect(opArgs(db.find('audit_log', 'insert')[0], 'insert')[0]).toMatchObject({ action: 'rejected', details: { reason: 'too_hypey' } });
+  });
+
+  it('needs a known reason', async () => {
+    const res = await call(reviewer, { action: 'reject', draft_id: 'draft-1', reason: 'boring' });
+
+    expect(res.statusCode).toBe(400);
+    expect(db.find('draft_posts')).toHaveLength(0);
+  });
+
+  it('answers 409 for drafts that are not in the inbox', async () => {
+    expect((await call(reviewer, { action: 'reject', draft_id: 'draft-1', reason: 'off_topic' })).statusCode).toBe(409);
+    expect((await call(reviewer, { action: 'restore', draft_id: 'draft-1' })).statusCode).toBe(409);
+    expect(db.find('audit_log')).toHaveLength(0);
+  });
+
+  it('restores a rejected draft and clears the reason', async () => {
+    db.on('draft_posts', { data: [{ id: 'draft-1', gemini_draft: inboxDraft.gemini_draft }] });
+    const res = await call(reviewer, { action: 'restore', draft_id: 'draft-1' });
+
+    expect(res.statusCode).toBe(200);
+    const [update] = db.find('draft_posts', 'update');
+    expect(opArgs(update, 'update')[0]).toEqual({ rejected_at: null, rejection_reason: null, rejection_note: null, rejected_by: null });
+    expect(opArgs(update, 'not')).toEqual(['rejected_at', 'is', null]);
+  });
+});
+
+describe('regenerate', () => {
+  it('supersedes the draft and queues a fresh one', async () => {
+    db.on('draft_posts', { data: [{ id: 'draft-1', news_id: 'news-1', gemini_draft: inboxDraft.gemini_draft }] });
+    const res = await call(reviewer, { action: 'regenerate', draft_id: 'draft-1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(opArgs(db.find('draft_posts', 'update')[0], 'update')[0]).toEqual({ superseded_at: expect.any(String) });
+    expect(opArgs(db.find('draft_jobs', 'upsert')[0], 'upsert')[0]).toMatchObject({ news_id: 'news-1', status: 'pending' });
+    expect(opArgs(db.find('audit_log', 'insert')[0], 'insert')[0].action).toBe('regenerated');
+  });
+
+  it('answers 409 without queueing when the draft already left the inbox', async () => {
+    const res = await call(reviewer, { action: 'regenerate', draft_id: 'draft-1' });
+
+    expect(res.statusCode).toBe(409);
+    expect(db.find('draft_jobs')).toHaveLength(0);
+  });
+});
+
+describe('revise', () => {
+  const draft = { ...inboxDraft, revision: 1, trending_news: { id: 'news-1', title: 'Custody news' } };
+  const script = (updated) => db.on('draft_posts', query => opArgs(query, 'update') ? { data: updated } : { data: draft });
+
+  beforeEach(() => {
+    generateRevision.mockClear();
+  });
+
+  it('saves the new version and snapshots the old one', async () => {
+    script([{ id: 'draft-1' }]);
+    const res = await call(reviewer, { action: 'revise', draft_id: 'draft-1', guidance: 'Shorter' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ message: 'Revised.', revision: 2 });
+    expect(db.find('draft_revisions', 'insert')).toHaveLength(1);
+    expect(db.find('audit_log', 'insert')).toHaveLength(1);
+  });
+
+  it('rejects pinned text that is not a string or too long', async () => {
+    script([{ id: 'draft-1' }]);
+
+    expect((await call(editor, { action: 'revise', draft_id: 'draft-1', pinned_text: { text: 'x' } })).statusCode).toBe(400);
+    expect((await call(editor, { action: 'revise', draft_id: 'draft-1', pinned_text: 'x'.repeat(3001) })).statusCode).toBe(400);
+    expect(generateRevision).not.toHaveBeenCalled();
+  });
+
+  it('only lets editors pin text they changed', async () => {
+    script([{ id: 'draft-1' }]);
+
+    const res = await call(reviewer, { action: 'revise', draft_id: 'draft-1', pinned_text: 'Text I wrote myself.' });
+    expect(res.statusCode).toBe(403);
+    expect(generateRevision).not.toHaveBeenCalled();
+
+    expect((await call(editor, { action: 'revise', draft_id: 'draft-1', pinned_text: 'Text I wrote myself.' })).statusCode).toBe(200);
+  });
+
+  it('lets reviewers pin the generated text or a variant', async () => {
+    script([{ id: 'draft-1' }]);
+
+    expect((await call(reviewer, { action: 'revise', draft_id: 'draft-1', pinned_text: `${inboxDraft.gemini_draft}\n` })).statusCode).toBe(200);
+    expect((await call(reviewer, { action: 'revise', draft_id: 'draft-1', pinned_text: 'Second generated take.' })).statusCode).toBe(200);
+  });
+
+  it('answers 409 and drops its snapshot when the draft changed underneath', async () => {
+    script([]);
+    const res = await call(reviewer, { action: 'revise', draft_id: 'draft-1' });
+
+    expect(res.statusCode).toBe(409);
+    const [cleanup] = db.find('draft_revisions', 'delete');
+    expect(cleanup.ops.filter(([op]) => op === 'eq')).toEqual([['eq', 'draft_id', 'draft-1'], ['eq', 'revision', 1]]);
+    expect(db.find('audit_log')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+import { mockResponse } from './helpers/response.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { computeEngagementScore, recencyWeightedScore, recordMetrics, LEARNING_HALF_LIFE_DAYS } = await import('../utils/engagement.js');
+const { default: handler } = await import('../api/ingest-metrics.js');
+
+describe('computeEngagementScore', () => {
+  it('scores weighted interactions per impression, 10% being 100', () => {
+    // 10 likes + 5 reposts * 2 + 2 replies * 3 = 26 weighted, on 1,000 impressions = 2.6%
+    expect(computeEngagementScore({ impressions: 1000, likes: 10, reposts: 5, replies: 2 })).toBe(26);
+    expect(computeEngagementScore({ impressions: 100, likes: 50 })).toBe(100);
+  });
+
+  it('falls back to a log scale without impressions', () => {
+    expect(computeEngagementScore({ likes: 9 })).toBe(20);
+    expect(computeEngagementScore({})).toBe(0);
+  });
+
+  it('ignores negative and non-numeric counts', () => {
+    expect(computeEngagementScore({ impressions: 'lots', likes: -5, reposts: '2' })).toBe(computeEngagementScore({ reposts: 2 }));
+  });
+});
+
+describe('recencyWeightedScore', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('halves a score every half-life', () => {
+    const postedAt = new Date(now - LEARNING_HALF_LIFE_DAYS * 86400000).toISOString();
+    expect(recencyWeightedScore(80, postedAt, now)).toBeCloseTo(40);
+  });
+
+  it('leaves undated and future posts alone', () => {
+    expect(recencyWeightedScore(80, null, now)).toBe(80);
+    expect(recencyWeightedScore(80, '2026-10-20T12:00:00Z', now)).toBe(80);
+  });
+});
+
+describe('recordMetrics', () => {
+  beforeEach(() => {
+    db.reset();
+    db.on('post_metrics', query => opArgs(query, 'single') ? { data: { engagement_score: 26, recorded_at: '2026-10-19T12:00:00.000Z' } } : {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  const entry = { draft_id: 'draft-1', impressions: 1000, likes: 10, reposts: 5, replies: 2, recorded_at: '2026-10-19T12:00:00Z' };
+
+  it('stores a snapshot for an approved post and refreshes its score', async () => {
+    db.on('draft_posts', query => opArgs(query, 'update') ? {} : { data: { id: 'draft-1', is_reviewed: true, superseded_at: null } });
+
+    expect(await recordMetrics(entry)).toMatchObject({ draft_id: 'draft-1', engagement_score: 26 });
+    expect(db.find('post_metrics', 'insert')).toHaveLength(1);
+    expect(opArgs(db.find('draft_posts', 'update')[0], 'update')[0]).toEqual({ engagement_score: 26, engagement_updated_at: '2026-10-19T12:00:00.000Z' });
+  });
+
+  it('refuses drafts that never went out', async () => {
+    db.on('draft_posts', { data: { id: 'draft-1', is_reviewed: false, superseded_at: null } });
+    await expect(recordMetrics(entry)).rejects.toThrow('Draft draft-1 is not an approved post.');
+
+    db.on('draft_posts', { data: null });
+    await expect(recordMetrics(entry)).rejects.toThrow('Draft draft-1 not found.');
+
+    expect(db.find('post_metrics', 'insert')).toHaveLength(0);
+  });
+
+  it('reports unapproved drafts per row from the API', async () => {
+    db.on('draft_posts', query => {
+      if (opArgs(query, 'update')) return {};
+      return { data: { id: opArgs(query, 'eq')[1], is_reviewed: opArgs(query, 'eq')[1] === 'draft-1', superseded_at: null } };
+    });
+    vi.stubEnv('WEBHOOK_SECRET_KEY', 'secret');
+
+    const res = mockResponse();
+    await handler({ method: 'POST', headers: { authorization: 'Bearer secret' }, body: [entry, { ...entry, draft_id: 'draft-2' }] }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      recorded: 1,
+      failed: [{ index: 1, draft_id: 'draft-2', error: 'Draft draft-2 is not an approved post.' }],
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { validateContent, contentToText } = await import('../utils/formats.js');
+
+const post = (length) => 'x'.repeat(length);
+
+describe('validateContent', () => {
+  it('accepts text within the format limits', () => {
+    expect(validateContent('tweet', { text: post(150) })).toEqual([]);
+    expect(validateContent('tweet', { text: post(280) })).toEqual([]);
+    expect(validateContent('newsletter', { text: post(700) })).toEqual([]);
+  });
+
+  it('reports text that is too short, too long or missing', () => {
+    expect(validateContent('tweet', { text: post(149) })).toEqual(['Text is 149 characters (min 150).']);
+    expect(validateContent('tweet', { text: post(281) })).toEqual(['Text is 281 characters (max 280).']);
+    expect(validateContent('linkedin', {})).toEqual(['Text is 0 characters (min 600).']);
+    expect(validateContent('tweet', { text: 42 })).toEqual(['Text is 0 characters (min 150).']);
+  });
+
+  it('accepts a thread of 3-6 posts within the per-post limit', () => {
+    expect(validateContent('thread', { posts: [post(280), post(10), post(10)] })).toEqual([]);
+    expect(validateContent('thread', { posts: Array(6).fill(post(100)) })).toEqual([]);
+  });
+
+  it('reports thread length and post problems', () => {
+    expect(validateContent('thread', { posts: [post(10), post(10)] })).toEqual(['Thread must have 3-6 posts (got 2).']);
+    expect(validateContent('thread', { posts: Array(7).fill(post(10)) })).toEqual(['Thread must have 3-6 posts (got 7).']);
+    expect(validateContent('thread', { posts: [post(10), '  ', post(281)] }))
+      .toEqual(['Post 2 is empty.', 'Post 3 is 281 characters (max 280).']);
+    expect(validateContent('thread', { posts: [post(10), null, 7] })).toEqual(['Post 2 is empty.', 'Post 3 is empty.']);
+  });
+
+  it('rejects a thread whose posts are missing or not a list', () => {
+    expect(validateContent('thread', {})).toEqual(['Thread must have 3-6 posts (got 0).']);
+    expect(validateContent('thread', { posts: null })).toEqual(['Thread must have 3-6 posts (got 0).']);
+    expect(validateContent('thread', { posts: 'one long post' })).toEqual(['Thread must have 3-6 posts (got 0).']);
+    // A thread answered with a plain text is still a thread without posts
+    expect(validateContent('thread', { text: post(200) })).toEqual(['Thread must have 3-6 posts (got 0).']);
+  });
+});
+
+describe('contentToText', () => {
+  it('joins thread posts with blank lines', () => {
+    expect(contentToText({ posts: ['1/ a', '2/ b'] })).toBe('1/ a\n\n2/ b');
+  });
+
+  it('never returns undefined', () => {
+    expect(contentToText({ text: 'Hello' })).toBe('Hello');
+    expect(contentToText({ posts: null })).toBe('');
+    expect(contentToText({})).toBe('');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { validateDraft } = await import('../utils/guardrails.js');
+
+const newsItem = {
+  title: 'Spot ETH ETF inflows hit $1.2B in first week',
+  assets: ['ETH'],
+  article_summary: 'Issuers reported 3.5 million in new shares and fees of 0.25% after 10,000 accounts signed up.',
+};
+
+// Length limits are not what these tests are about
+const rulesFor = (text, item = newsItem) => validateDraft('linkedin', { text }, item).filter(v => v.rule !== 'length');
+
+describe('validateDraft invented_number', () => {
+  it('accepts figures from the source, however they are written', () => {
+    expect(rulesFor('ETH funds took in 1.2 billion, 3.5m new shares, 0.25% fees and 10,000 accounts.')).toEqual([]);
+  });
+
+  it('flags money, percentages, magnitudes and grouped quantities not in the source', () => {
+    expect(rulesFor('ETH funds could see $5B, a 12% jump, 200k buyers and 25,000 wallets.')).toEqual([
+      { rule: 'invented_number', message: 'Numbers not in the source: 5b, 12%, 200k, 25000.' },
+    ]);
+    expect(rulesFor('ETH at $40 looks cheap.').map(v => v.rule)).toEqual(['invented_number']);
+  });
+
+  it('ignores years, time spans, counts and rankings', () => {
+    expect(rulesFor('Seen every ETH cycle since 2016: give it 24 hours, 3 days or 2 weeks before the top 10 funds react.')).toEqual([]);
+  });
+
+  it('ignores thread numbering', () => {
+    const violations = validateDraft('thread', { posts: ['1/ ETH flows are real.', '2/ Watch issuers.', '3/ More soon.'] }, newsItem);
+    expect(violations).toEqual([]);
+  });
+});
+
+describe('validateDraft style and tickers', () => {
+  it('flags hype, emoji, hashtags and tickers the story never mentions', () => {
+    expect(rulesFor('ETH to the moon 🚀 #crypto, and SOL next.').map(v => v.rule))
+      .toEqual(['banned_phrase', 'emoji', 'hashtag', 'invented_ticker']);
+  });
+});
@@ -0,0 +1,26 @@
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// public/app.js is a plain browser script (no exports, DOM and Supabase globals at the top level),
+// so tests can't import it. This pulls named top-level declarations out of its source and runs only
+// those in a sandbox. `globals` stands in for the page state they read (filters, currentTab, ...);
+// the returned `context` is that sandbox, so tests can change the state between calls.
+//   const { fns: { parseMetricsCsv } } = loadAppFunctions(['parseMetricsCsv']);
+
+const source = readFileSync(new URL('../../public/app.js', import.meta.url), 'utf8').split('\n');
+
+function declaration(name) {
+  const start = source.findIndex(line => line.startsWith(`function ${name}(`) || line.startsWith(`const ${name} =`));
+  if (start === -1) throw new Error(`${name} is not a top-level function or const in public/app.js`);
+
+  // One-liners end on their own line; blocks end at the closing brace in column 0
+  if (source[start].trimEnd().endsWith(';')) return source[start];
+  const end = source.findIndex((line, index) => index > start && line.startsWith('}'));
+  return source.slice(start, end + 1).join('\n');
+}
+
+export function loadAppFunctions(names, globals = {}) {
+  const context = vm.createContext({ console, URLSearchParams, ...globals });
+  const fns = vm.runInContext(`${names.map(declaration).join('\n\n')}\n({ ${names.join(', ')} });`, context);
+  return { fns, context };
+}
@@ -0,0 +1,7 @@
+// Minimal stand-in for the Vercel response object: records the status code and JSON body
+export function mockResponse() {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
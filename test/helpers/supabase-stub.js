@@ -0,0 +1,57 @@
+// Stand-in for utils/supabase.js. Every query-builder method chains and is recorded; awaiting the
+// query resolves to whatever the table's responder returns for it. Tests install it with
+//   vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+// and script responses with db.on('draft_posts', query => ({ data: ..., error: null })).
+
+// A recorded query: { table, ops: [['select', '*'], ['eq', 'id', 1], ...] }
+const opArgs = (query, name) => query.ops.find(([op]) => op === name)?.slice(1);
+
+function createSupabaseStub() {
+  const responders = {};
+  const queries = [];
+
+  const respond = (query) => {
+    const responder = responders[query.table];
+    const result = typeof responder === 'function' ? responder(query) : responder;
+    // Unscripted queries behave like an empty table
+    return { data: query.ops.some(([op]) => op === 'single' || op === 'maybeSingle') ? null : [], error: null, ...result };
+  };
+
+  const builder = (query) => new Proxy({}, {
+    get(_, prop) {
+      if (prop === 'then') return (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject);
+      return (...args) => {
+        query.ops.push([prop, ...args]);
+        return builder(query);
+      };
+    },
+  });
+
+  const start = (table) => {
+    const query = { table, ops: [] };
+    queries.push(query);
+    return builder(query);
+  };
+
+  return {
+    client: {
+      from: start,
+      rpc: (name, params) => start(`rpc:${name}`).rpc(params),
+    },
+    queries,
+    on(table, responder) {
+      responders[table] = responder;
+    },
+    // Queries against a table that used an operation, e.g. db.find('draft_posts', 'insert')
+    find(table, op) {
+      return queries.filter(query => query.table === table && (!op || opArgs(query, op)));
+    },
+    reset() {
+      queries.length = 0;
+      Object.keys(responders).forEach(table => delete responders[table]);
+    },
+  };
+}
+
+export const db = createSupabaseStub();
+export { opArgs };
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+import { mockResponse } from './helpers/response.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+vi.mock('../utils/draft-generator.js', () => ({ generateDraft: vi.fn(async () => ({ draftId: 'draft-1' })) }));
+
+const { backoffSeconds, claimDueJobs, markJobFailed, requeueForRegeneration, MAX_ATTEMPTS } = await import('../utils/jobs.js');
+const { generateDraft } = await import('../utils/draft-generator.js');
+const { default: worker } = await import('../api/process-jobs.js');
+
+beforeEach(() => {
+  db.reset();
+  generateDraft.mockClear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('backoffSeconds', () => {
+  it('doubles from one minute and caps at six hours', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect([1, 2, 3, 4].map(attempts => backoffSeconds(attempts))).toEqual([60, 120, 240, 480]);
+    expect(backoffSeconds(20)).toBe(6 * 60 * 60);
+    expect(backoffSeconds(0)).toBe(60);
+  });
+
+  it('adds up to 20% jitter', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.999);
+    expect(backoffSeconds(2)).toBe(144);
+  });
+
+  it('honours a longer retry-after hint', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(backoffSeconds(1, 900)).toBe(900);
+    expect(backoffSeconds(3, 30)).toBe(240);
+  });
+});
+
+describe('claimDueJobs', () => {
+  it('keeps only the jobs whose guarded claim succeeded', async () => {
+    db.on('draft_jobs', query => {
+      if (!opArgs(query, 'update')) return { data: [{ id: 'job-1', status: 'pending', attempts: 0 }, { id: 'job-2', status: 'failed', attempts: 2 }] };
+      // Another worker already took job-2
+      return { data: opArgs(query, 'eq')[1] === 'job-1' ? { id: 'job-1', attempts: 1 } : null };
+    });
+
+    expect(await claimDueJobs(5)).toEqual([{ id: 'job-1', attempts: 1 }]);
+
+    const claim = db.find('draft_jobs', 'update')[1];
+    expect(claim.ops.filter(([op]) => op === 'eq')).toEqual([['eq', 'id', 'job-2'], ['eq', 'status', 'failed'], ['eq', 'attempts', 2]]);
+    expect(opArgs(claim, 'update')[0]).toMatchObject({ status: 'running', attempts: 3 });
+  });
+});
+
+describe('markJobFailed', () => {
+  it('retries with backoff until the attempts run out', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(await markJobFailed({ id: 'job-1', attempts: 1, max_attempts: 3 }, { message: 'boom' })).toEqual({ deadLettered: false, retryInSeconds: 60 });
+    expect(await markJobFailed({ id: 'job-1', attempts: 3, max_attempts: 3 }, { message: 'boom' })).toEqual({ deadLettered: true, retryInSeconds: null });
+    expect(await markJobFailed({ id: 'job-1', attempts: MAX_ATTEMPTS }, { message: 'boom' })).toMatchObject({ deadLettered: true });
+
+    expect(db.find('draft_jobs', 'update').map(q => opArgs(q, 'update')[0].status)).toEqual(['failed', 'dead_lettered', 'dead_lettered']);
+  });
+});
+
+describe('requeueForRegeneration', () => {
+  it('resets the story\'s job, creating it if the draft came from the webhook', async () => {
+    await requeueForRegeneration(42);
+
+    const [upsert] = db.find('draft_jobs', 'upsert');
+    const [row, options] = opArgs(upsert, 'upsert');
+    expect(row).toMatchObject({ news_id: '42', status: 'pending', attempts: 0, max_attempts: MAX_ATTEMPTS, last_error: null, locked_at: null });
+    expect(options).toEqual({ onConflict: 'news_id' });
+  });
+
+  it('throws when the job cannot be queued', async () => {
+    db.on('draft_jobs', { error: { message: 'permission denied' } });
+
+    await expect(requeueForRegeneration('news-1')).rejects.toMatchObject({ message: 'permission denied' });
+  });
+});
+
+describe('api/process-jobs', () => {
+  const jobs = [
+    { id: 'job-1', news_id: 'news-1', attempts: 1, trending_news: { id: 'news-1', title: 'One' } },
+    { id: 'job-2', news_id: 'news-2', attempts: 1, trending_news: { id: 'news-2', title: 'Two' } },
+    { id: 'job-3', news_id: 'news-3', attempts: 1, trending_news: { id: 'news-3', title: 'Three' } },
+  ];
+
+  beforeEach(() => {
+    db.on('draft_jobs', query => {
+      if (!opArgs(query, 'update')) return { data: jobs.map(({ id }) => ({ id, status: 'pending', attempts: 0 })) };
+      return opArgs(query, 'maybeSingle') ? { data: jobs.find(job => job.id === opArgs(query, 'eq')[1]) } : {};
+    });
+  });
+
+  it('drafts every claimed job', async () => {
+    const res = mockResponse();
+    await worker({ method: 'GET', headers: {} }, res);
+
+    expect(res.body).toMatchObject({ claimed: 3, succeeded: 3 });
+    expect(generateDraft).toHaveBeenCalledTimes(3);
+  });
+
+  it('skips stories that already have a live draft, ignoring superseded ones', async () => {
+    db.on('draft_posts', query => ({ data: opArgs(query, 'eq')[1] === 'news-2' ? [{ id: 'draft-2' }] : [] }));
+
+    const res = mockResponse();
+    await worker({ method: 'GET', headers: {} }, res);
+
+    expect(res.body).toMatchObject({ claimed: 3, succeeded: 2, skipped_existing: 1 });
+    expect(db.find('draft_posts').every(query => opArgs(query, 'is')?.[0] === 'superseded_at')).toBe(true);
+  });
+
+  it('hands jobs back once a job could no longer finish inside the time budget', async () => {
+    const start = Date.now();
+    // Two jobs start right away (JOB_CONCURRENCY); the clock then jumps past the point where a third one fits
+    const now = vi.spyOn(Date, 'now').mockReturnValue(start);
+    generateDraft.mockImplementationOnce(async () => {
+      now.mockReturnValue(start + 200000);
+      return { draftId: 'draft-1' };
+    });
+
+    const res = mockResponse();
+    await worker({ method: 'GET', headers: {} }, res);
+
+    expect(res.body).toMatchObject({ claimed: 3, succeeded: 2 });
+    const release = db.find('draft_jobs', 'update').find(q => opArgs(q, 'update')[0].status === 'pending');
+    expect(opArgs(release, 'update')[0]).toMatchObject({ attempts: 0, locked_at: null });
+    expect(opArgs(release, 'eq')).toEqual(['id', 'job-3']);
+  });
+});
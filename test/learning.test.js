@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+// Every text embeds to the same vector; the similarity comes from the scripted RPC rows
+const embedContent = vi.fn(async () => ({ embeddings: [{ values: [0.1, 0.2, 0.3] }] }));
+vi.mock('../utils/llm/gemini.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  geminiClient: () => ({ models: { embedContent } }),
+}));
+
+const { buildLearningContext, buildRejectionContext } = await import('../utils/learning.js');
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+const post = (id, fields) => ({ id, final_approved_post: `Post ${id}`, engagement_score: 50, posted_date: daysAgo(1), ...fields });
+
+beforeEach(() => {
+  db.reset();
+  embedContent.mockClear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('buildLearningContext', () => {
+  it('embeds approved posts that have no embedding yet', async () => {
+    db.on('draft_posts', query => opArgs(query, 'is') ? { data: [post('old-1')] } : { data: [] });
+
+    await buildLearningContext({ title: 'Custody expands' });
+
+    const [update] = db.find('draft_posts', 'update');
+    expect(opArgs(update, 'update')[0]).toEqual({ embedding: JSON.stringify([0.1, 0.2, 0.3]) });
+    expect(opArgs(update, 'eq')).toEqual(['id', 'old-1']);
+  });
+
+  it('searches with the story title and ranks close matches by recent engagement', async () => {
+    db.on('rpc:match_learning_examples', { data: [
+      post('close-quiet', { similarity: 0.9, engagement_score: 0 }),
+      post('near-popular', { similarity: 0.8, engagement_score: 100 }),
+      post('near-stale', { similarity: 0.8, engagement_score: 100, posted_date: daysAgo(365) }),
+    ] });
+
+    const { examples, learningContext } = await buildLearningContext({ title: 'Custody expands' });
+
+    expect(embedContent).toHaveBeenCalledWith(expect.objectContaining({ contents: 'Custody expands' }));
+    expect(opArgs(db.find('rpc:match_learning_examples')[0], 'rpc')[0]).toMatchObject({ match_threshold: 0.6, match_count: 18 });
+    expect(examples.map(e => [e.draft_id, e.kind])).toEqual([
+      ['near-popular', 'similar'],
+      ['close-quiet', 'similar'],
+      ['near-stale', 'similar'],
+    ]);
+    expect(learningContext).toContain('Successful Post 1 (Score: 100, related story): "Post near-popular"');
+  });
+
+  it('tops up with global top performers, skipping posts already picked', async () => {
+    db.on('rpc:match_learning_examples', { data: [post('similar-1', { similarity: 0.7 })] });
+    db.on('draft_posts', query => opArgs(query, 'is') ? { data: [] } : { data: [
+      post('similar-1'),
+      post('recent', { engagement_score: 40 }),
+      post('old-hit', { engagement_score: 80, posted_date: daysAgo(120) }),
+    ] });
+
+    const { examples } = await buildLearningContext({ title: 'Custody expands' });
+
+    expect(examples.map(e => [e.draft_id, e.kind, e.similarity])).toEqual([
+      ['similar-1', 'similar', 0.7],
+      ['recent', 'top', null],
+      ['old-hit', 'top', null],
+    ]);
+  });
+
+  it('falls back to top performers when embeddings are unavailable', async () => {
+    embedContent.mockRejectedValueOnce(new Error('API key not valid'));
+    db.on('draft_posts', query => opArgs(query, 'is') ? { data: [] } : { data: [post('top-1')] });
+
+    const { examples } = await buildLearningContext({ title: 'Custody expands' });
+
+    expect(examples.map(e => e.kind)).toEqual(['top']);
+    expect(console.error).toHaveBeenCalledWith('Error fetching similar examples:', 'API key not valid');
+  });
+
+  it('says so when there is nothing to learn from', async () => {
+    expect(await buildLearningContext({ title: 'Custody expands' })).toEqual({ learningContext: 'None available yet.', examples: [] });
+  });
+});
+
+describe('buildRejectionContext', () => {
+  it('lists recent rejections about the writing, with reason and note', async () => {
+    db.on('draft_posts', { data: [
+      { id: 'draft-1', gemini_draft: 'To the moon.', rejection_reason: 'too_hypey', rejection_note: 'Reads like an ad' },
+      { id: 'draft-2', gemini_draft: 'ETF approved.', rejection_reason: 'factually_wrong', rejection_note: null },
+    ] });
+
+    const { rejectionContext, examples } = await buildRejectionContext();
+
+    expect(rejectionContext).toBe('Rejected Post 1 (too hypey: Reads like an ad): "To the moon."\n---\nRejected Post 2 (factually wrong): "ETF approved."');
+    expect(examples[0]).toEqual({ draft_id: 'draft-1', kind: 'rejected', reason: 'too_hypey', note: 'Reads like an ad', text: 'To the moon.' });
+    expect(opArgs(db.find('draft_posts')[0], 'in')).toEqual(['rejection_reason', ['wrong_take', 'factually_wrong', 'too_hypey']]);
+  });
+
+  it('says so when there are none or they cannot be read', async () => {
+    const none = { rejectionContext: 'None yet.', examples: [] };
+    expect(await buildRejectionContext()).toEqual(none);
+
+    db.on('draft_posts', { error: { message: 'timeout' } });
+    expect(await buildRejectionContext()).toEqual(none);
+  });
+});
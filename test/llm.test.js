@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { providerChain, overrideProviders, generateJson, getProvider } from '../utils/llm/index.js';
+import { mockCalls } from '../utils/llm/mock.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', description: 'The post (150-250 characters).' },
+    tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } },
+  },
+  required: ['text'],
+};
+
+// A provider whose behaviour each test decides
+function fakeProvider(name, behaviour) {
+  return {
+    name,
+    defaultModel: () => `${name}-default`,
+    isConfigured: () => true,
+    generateJson: vi.fn(async () => behaviour()),
+  };
+}
+
+const quotaError = (retryAfter) => Object.assign(new Error('quota'), { code: 'RATE_LIMITED', retryAfter });
+
+describe('providerChain', () => {
+  it('parses providers with optional models in order', () => {
+    const chain = providerChain('gemini:gemini-2.5-flash, openai ,mock');
+    expect(chain.map(({ provider, model }) => `${provider.name}/${model}`)).toEqual([
+      'gemini/gemini-2.5-flash',
+      `openai/${getProvider('openai').defaultModel()}`,
+      'mock/mock',
+    ]);
+  });
+
+  it('keeps colons inside model names', () => {
+    expect(providerChain('openai:org/model:free')[0].model).toBe('org/model:free');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => providerChain('gemini,claude')).toThrow('Unknown LLM provider "claude"');
+  });
+});
+
+describe('generateJson', () => {
+  beforeEach(() => vi.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => {
+    overrideProviders(null);
+    vi.restoreAllMocks();
+    delete process.env.LLM_MOCK_ENABLED;
+    delete process.env.LLM_MOCK_RATE_LIMIT;
+  });
+
+  it('tries providers in chain order and returns the first success', async () => {
+    const first = fakeProvider('first', () => { throw new Error('down'); });
+    const second = fakeProvider('second', () => ({ data: { text: 'ok' } }));
+    const third = fakeProvider('third', () => ({ data: { text: 'unused' } }));
+    overrideProviders([{ provider: first, model: 'm1' }, { provider: second, model: 'm2' }, { provider: third, model: 'm3' }]);
+
+    const result = await generateJson({ prompt: 'p', schema });
+
+    expect(result).toEqual({ data: { text: 'ok' }, provider: 'second', model: 'm2' });
+    expect(first.generateJson).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'p', model: 'm1', temperature: 0.8 }));
+    expect(third.generateJson).not.toHaveBeenCalled();
+  });
+
+  it('skips providers that are not configured', async () => {
+    const missing = { ...fakeProvider('missing', () => ({ data: {} })), isConfigured: () => false };
+    const present = fakeProvider('present', () => ({ data: { text: 'ok' } }));
+    overrideProviders([{ provider: missing, model: 'x' }, { provider: present, model: 'y' }]);
+
+    expect((await generateJson({ prompt: 'p', schema })).provider).toBe('present');
+    expect(missing.generateJson).not.toHaveBeenCalled();
+  });
+
+  it('fails clearly when nothing is configured', async () => {
+    overrideProviders([{ provider: { ...fakeProvider('off', () => ({})), isConfigured: () => false }, model: 'x' }]);
+    await expect(generateJson({ prompt: 'p', schema })).rejects.toThrow('No LLM provider is configured');
+  });
+
+  it('falls back past a quota error', async () => {
+    process.env.LLM_MOCK_ENABLED = 'true';
+    process.env.LLM_MOCK_RATE_LIMIT = 'true';
+    const backup = fakeProvider('backup', () => ({ data: { text: 'from backup' } }));
+    overrideProviders([{ provider: getProvider('mock'), model: 'mock' }, { provider: backup, model: 'b' }]);
+
+    const result = await generateJson({ prompt: 'p', schema });
+    expect(result.provider).toBe('backup');
+  });
+
+  it('surfaces the quota error when every provider fails', async () => {
+    const limited = fakeProvider('limited', () => { throw quotaError(120); });
+    const broken = fakeProvider('broken', () => { throw new Error('500 from upstream'); });
+    overrideProviders([{ provider: limited, model: 'a' }, { provider: broken, model: 'b' }]);
+
+    await expect(generateJson({ prompt: 'p', schema })).rejects.toMatchObject({ code: 'RATE_LIMITED', retryAfter: 120 });
+  });
+
+  it('surfaces the last error when none was a quota error', async () => {
+    overrideProviders([
+      { provider: fakeProvider('one', () => { throw new Error('first failure'); }), model: 'a' },
+      { provider: fakeProvider('two', () => { throw new Error('last failure'); }), model: 'b' },
+    ]);
+
+    await expect(generateJson({ prompt: 'p', schema })).rejects.toThrow('last failure');
+  });
+});
+
+describe('mock provider', () => {
+  beforeEach(() => {
+    process.env.LLM_MOCK_ENABLED = 'true';
+    mockCalls.length = 0;
+  });
+  afterEach(() => { delete process.env.LLM_MOCK_ENABLED; });
+
+  it('is deterministic per prompt and follows the schema', async () => {
+    const mock = getProvider('mock');
+    const first = await mock.generateJson({ prompt: 'same prompt', schema, model: 'mock' });
+    const second = await mock.generateJson({ prompt: 'same prompt', schema, model: 'mock' });
+
+    expect(first.data).toEqual(second.data);
+    expect(first.data.text.length).toBeGreaterThanOrEqual(150);
+    expect(first.data.tags.every(tag => ['a', 'b'].includes(tag))).toBe(true);
+    expect(mockCalls.at(-1)).toMatchObject({ model: 'mock', prompt: 'same prompt' });
+  });
+
+  it('keeps only the most recent calls', async () => {
+    const mock = getProvider('mock');
+    for (let i = 0; i < 25; i++) await mock.generateJson({ prompt: `prompt ${i}`, schema, model: 'mock' });
+
+    expect(mockCalls).toHaveLength(20);
+    expect(mockCalls[0].prompt).toBe('prompt 5');
+    expect(mockCalls.at(-1).prompt).toBe('prompt 24');
+  });
+});
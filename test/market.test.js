@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// The guardrails pull in utils/formats.js, which reads custom formats from the database
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+// The quote cache lives in the module, so every test starts from a fresh copy
+async function loadMarket() {
+  vi.resetModules();
+  return {
+    ...(await import('../utils/market/index.js')),
+    fixture: await import('../utils/market/fixture.js'),
+  };
+}
+
+beforeEach(() => {
+  vi.stubEnv('MARKET_FIXTURE_ENABLED', 'true');
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('getMarketContext', () => {
+  it('returns a snapshot from the first configured provider', async () => {
+    const { getMarketContext } = await loadMarket();
+
+    expect(await getMarketContext(['btc', 'BTC', 'eth'], now)).toEqual({
+      provider: 'fixture',
+      as_of: '2026-10-19T12:00:00.000Z',
+      quotes: [
+        { symbol: 'BTC', price: 67250, change_24h: 2.41, change_7d: -1.12, volume_24h: 31200000000, market_cap: 1330000000000 },
+        { symbol: 'ETH', price: 2634.5, change_24h: -0.87, change_7d: 4.3, volume_24h: 14800000000, market_cap: 317000000000 },
+      ],
+    });
+  });
+
+  it('returns null without assets or without a provider', async () => {
+    const { getMarketContext } = await loadMarket();
+
+    expect(await getMarketContext([], now)).toBeNull();
+    expect(await getMarketContext(undefined, now)).toBeNull();
+
+    vi.stubEnv('MARKET_FIXTURE_ENABLED', 'false');
+    vi.stubEnv('MARKET_COINGECKO_ENABLED', 'false');
+    expect(await getMarketContext(['BTC'], now)).toBeNull();
+  });
+
+  it('asks for at most five assets', async () => {
+    const { getMarketContext } = await loadMarket();
+    const context = await getMarketContext(['BTC', 'ETH', 'SOL', 'XRP', 'USDT', 'USDC'], now);
+
+    expect(context.quotes.map(q => q.symbol)).toEqual(['BTC', 'ETH', 'SOL', 'XRP', 'USDT']);
+  });
+
+  it('reuses cached quotes until they expire', async () => {
+    const { getMarketContext, fixture } = await loadMarket();
+
+    await getMarketContext(['BTC'], now);
+    expect(fixture.fixtureReads).toBe(1);
+
+    await getMarketContext(['BTC'], now + 299 * 1000);
+    expect(fixture.fixtureReads).toBe(1);
+
+    // A new symbol only fetches what's missing; BTC keeps its original timestamp
+    const mixed = await getMarketContext(['BTC', 'ETH'], now + 60 * 1000);
+    expect(fixture.fixtureReads).toBe(2);
+    expect(mixed.as_of).toBe('2026-10-19T12:00:00.000Z');
+
+    const expired = await getMarketContext(['BTC'], now + 300 * 1000);
+    expect(fixture.fixtureReads).toBe(3);
+    expect(expired.as_of).toBe('2026-10-19T12:05:00.000Z');
+  });
+
+  it('leaves out symbols the provider does not know', async () => {
+    const { getMarketContext } = await loadMarket();
+
+    const context = await getMarketContext(['BTC', 'NOPE'], now);
+    expect(context.quotes.map(q => q.symbol)).toEqual(['BTC']);
+    expect(await getMarketContext(['NOPE'], now)).toBeNull();
+  });
+
+  it('falls back to cached quotes when the provider fails', async () => {
+    const { getMarketContext } = await loadMarket();
+    await getMarketContext(['BTC'], now);
+
+    vi.stubEnv('MARKET_FIXTURE_FAIL', 'true');
+    const context = await getMarketContext(['BTC', 'ETH'], now + 60 * 1000);
+
+    expect(context.quotes.map(q => q.symbol)).toEqual(['BTC']);
+    expect(await getMarketContext(['ETH'], now + 60 * 1000)).toBeNull();
+    // Once the cached quote is stale there is nothing left to show
+    expect(await getMarketContext(['BTC'], now + 600 * 1000)).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Market data from fixture failed:', expect.stringContaining('MARKET_FIXTURE_FAIL'));
+  });
+});
+
+describe('marketContextText', () => {
+  it('formats one line per asset', async () => {
+    const { getMarketContext, marketContextText } = await loadMarket();
+    const context = await getMarketContext(['BTC', 'ETH', 'XRP', 'USDC'], now);
+
+    expect(marketContextText(context)).toBe([
+      'BTC: $67,250, +2.4% 24h, -1.1% 7d, 24h volume $31.2B, market cap $1.33T',
+      'ETH: $2,635, -0.9% 24h, +4.3% 7d, 24h volume $14.8B, market cap $317B',
+      'XRP: $0.5412, -2.3% 24h, -4.8% 7d, 24h volume $1.20B, market cap $30.7B',
+      'USDC: $0.9998, 0.0% 24h, 0.0% 7d, 24h volume $6.10B, market cap $35.2B',
+    ].join('\n'));
+  });
+
+  it('skips missing fields and handles empty context', async () => {
+    const { marketContextText } = await loadMarket();
+
+    expect(marketContextText({ quotes: [{ symbol: 'SOL', price: 154.2, change_24h: 5.62 }] })).toBe('SOL: $154.20, +5.6% 24h');
+    expect(marketContextText({ quotes: [{ symbol: 'NEW', volume_24h: 450000 }] })).toBe('NEW: price n/a, 24h volume $450,000');
+    expect(marketContextText(null)).toBe('');
+    expect(marketContextText({ quotes: [] })).toBe('');
+  });
+
+  it('lets drafts quote the snapshot figures as written', async () => {
+    const { getMarketContext } = await loadMarket();
+    const { validateDraft } = await import('../utils/guardrails.js');
+    const item = { title: 'Bitcoin ETF inflows pick up', assets: ['BTC'], market_context: await getMarketContext(['BTC'], now) };
+
+    // Only the fact checks matter here; the short texts fail the tweet length rule on purpose
+    const factRules = (text) => validateDraft('tweet', { text }, item).map(v => v.rule).filter(rule => rule.startsWith('invented'));
+
+    expect(factRules('BTC is at $67,250, up 2.4% on the day, with $31.2B traded.')).toEqual([]);
+    expect(factRules('BTC is at $70,000.')).toEqual(['invented_number']);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+import { mockResponse } from './helpers/response.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+vi.mock('../utils/auth.js', async (importOriginal) => {
+  const auth = await importOriginal();
+  return { ...auth, requireRole: vi.fn() };
+});
+
+const { renderTemplate, loadActivePrompt, DEFAULT_TEMPLATE, DEFAULT_PERSONAS } = await import('../utils/prompts.js');
+const { requireRole } = await import('../utils/auth.js');
+const { default: handler } = await import('../api/prompts.js');
+
+const admin = { id: 'user-1', email: 'admin@example.com', role: 'admin' };
+
+async function call(body) {
+  requireRole.mockResolvedValue(admin);
+  const res = mockResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('renderTemplate', () => {
+  it('fills placeholders, with or without inner spaces', () => {
+    expect(renderTemplate('{{persona}} on {{ title }}', { persona: 'A veteran', title: 'ETF flows' })).toBe('A veteran on ETF flows');
+  });
+
+  it('leaves unknown placeholders visible', () => {
+    expect(renderTemplate('{{title}} {{titel}}', { title: 'ETF flows' })).toBe('ETF flows {{titel}}');
+  });
+
+  it('renders empty and falsy values instead of skipping them', () => {
+    expect(renderTemplate('[{{rejections}}] [{{score}}]', { rejections: '', score: 0 })).toBe('[] [0]');
+  });
+
+  it('does not treat inherited properties as variables', () => {
+    expect(renderTemplate('{{constructor}}', {})).toBe('{{constructor}}');
+  });
+});
+
+describe('loadActivePrompt', () => {
+  it('uses the active rows', async () => {
+    const template = { id: 't-2', name: 'sharper', version: 2, body: '{{persona}}' };
+    const personas = [{ id: 'p-1', key: 'veteran', version: 3, description: 'An old hand.' }];
+    db.on('prompt_templates', { data: template });
+    db.on('personas', { data: personas });
+
+    expect(await loadActivePrompt()).toEqual({ template, personas });
+  });
+
+  it('falls back to the defaults when the tables are empty', async () => {
+    expect(await loadActivePrompt()).toEqual({ template: DEFAULT_TEMPLATE, personas: DEFAULT_PERSONAS });
+  });
+
+  it('falls back to the defaults when the tables cannot be read', async () => {
+    db.on('prompt_templates', { error: { message: 'timeout' } });
+    db.on('personas', { error: { message: 'timeout' } });
+
+    expect(await loadActivePrompt()).toEqual({ template: DEFAULT_TEMPLATE, personas: DEFAULT_PERSONAS });
+  });
+});
+
+describe('api/prompts', () => {
+  it('saves a template as the next, inactive version', async () => {
+    db.on('prompt_templates', query => opArgs(query, 'insert')
+      ? { data: { id: 't-3', ...opArgs(query, 'insert')[0] } }
+      : { data: { version: 2 } });
+
+    const res = await call({ action: 'save_template', name: '  ', body: '{{persona}}' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.template).toMatchObject({ name: 'default', version: 3, is_active: false });
+  });
+
+  it('rejects an empty template body', async () => {
+    const res = await call({ action: 'save_template', body: '   ' });
+
+    expect(res.statusCode).toBe(400);
+    expect(db.find('prompt_templates', 'insert')).toHaveLength(0);
+  });
+
+  it('deactivates the current template before activating another', async () => {
+    const res = await call({ action: 'activate_template', id: 't-3' });
+
+    expect(res.statusCode).toBe(200);
+    const updates = db.find('prompt_templates', 'update');
+    expect(updates.map(query => opArgs(query, 'update')[0])).toEqual([{ is_active: false }, { is_active: true }]);
+    expect(opArgs(updates[1], 'eq')).toEqual(['id', 't-3']);
+  });
+
+  it('makes the first version of a persona active and later ones drafts', async () => {
+    db.on('personas', query => opArgs(query, 'insert') ? { data: opArgs(query, 'insert')[0] } : { data: null });
+    const first = await call({ action: 'save_persona', key: ' Skeptic ', description: ' A short seller. ' });
+
+    expect(first.body.persona).toEqual({ key: 'skeptic', description: 'A short seller.', version: 1, is_active: true });
+
+    db.on('personas', query => opArgs(query, 'insert') ? { data: opArgs(query, 'insert')[0] } : { data: { version: 1 } });
+    const second = await call({ action: 'save_persona', key: 'skeptic', description: 'A kinder short seller.' });
+
+    expect(second.body.persona).toMatchObject({ version: 2, is_active: false });
+    expect(opArgs(db.find('personas', 'order').at(-1), 'eq')).toEqual(['key', 'skeptic']);
+  });
+
+  it('keeps one active version per persona key', async () => {
+    await call({ action: 'activate_persona', key: 'skeptic', id: 'p-2' });
+
+    const updates = db.find('personas', 'update');
+    expect(updates.map(query => [opArgs(query, 'update')[0], opArgs(query, 'eq')])).toEqual([
+      [{ is_active: false }, ['key', 'skeptic']],
+      [{ is_active: true }, ['id', 'p-2']],
+    ]);
+  });
+
+  it('reports a failed write', async () => {
+    db.on('prompt_templates', { error: { message: 'permission denied' } });
+
+    const res = await call({ action: 'activate_template', id: 't-3' });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.details).toBe('permission denied');
+  });
+
+  it('rejects unknown actions', async () => {
+    expect((await call({ action: 'delete_template', id: 't-3' })).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { schedulePublications, publishBlocker, runPublication, recoverStuckPublications } = await import('../utils/publishing.js');
+const { mockPosts } = await import('../utils/publishers/mock.js');
+
+const approvedDraft = { final_approved_post: 'Exchange expands custody to pension funds.', output_format: 'tweet', is_reviewed: true, superseded_at: null };
+const claimedRow = (draft = approvedDraft) => ({ id: 'pub-1', draft_id: 'draft-1', network: 'mock', status: 'publishing', draft_posts: draft });
+
+// Publication queries by what they do: the claim selects the draft, the outcome write doesn't
+const isClaim = query => opArgs(query, 'update')?.[0].status === 'publishing';
+const isOutcome = query => opArgs(query, 'update') && !isClaim(query) && opArgs(query, 'single');
+
+beforeEach(() => {
+  db.reset();
+  mockPosts.length = 0;
+  vi.stubEnv('PUBLISH_MOCK_ENABLED', 'true');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('schedulePublications', () => {
+  it('inserts new networks and resets known ones without touching published rows', async () => {
+    db.on('publications', query => {
+      if (opArgs(query, 'in')) return { data: [{ network: 'x' }] };
+      // The guarded update finds nothing: x is already published
+      if (opArgs(query, 'update')) return { data: null };
+      return { data: { id: 'pub-2', ...opArgs(query, 'insert')[0] } };
+    });
+
+    const queued = await schedulePublications('draft-1', ['x', 'bluesky'], '2026-10-20T09:00:00Z');
+
+    expect(queued).toEqual([expect.objectContaining({ id: 'pub-2', network: 'bluesky', status: 'scheduled', scheduled_for: '2026-10-20T09:00:00.000Z' })]);
+
+    const [reset] = db.find('publications', 'update');
+    expect(opArgs(reset, 'not')).toEqual(['status', 'in', '(published,publishing)']);
+    expect(opArgs(reset, 'update')[0]).toMatchObject({ status: 'scheduled', error: null, post_id: null, post_url: null, published_at: null });
+  });
+});
+
+describe('publishBlocker', () => {
+  it('only lets current, approved drafts through', async () => {
+    const check = async (draft) => {
+      db.on('draft_posts', { data: draft });
+      return publishBlocker('draft-1');
+    };
+
+    expect(await check({ id: 'draft-1', is_reviewed: true, superseded_at: null })).toBeNull();
+    expect(await check(null)).toBe('Draft not found.');
+    expect(await check({ id: 'draft-1', is_reviewed: false, superseded_at: null })).toBe('Only approved drafts can be published.');
+    expect(await check({ id: 'draft-1', is_reviewed: true, superseded_at: '2026-10-19T10:00:00Z' })).toBe('Draft was replaced by a regenerated version.');
+  });
+});
+
+describe('runPublication', () => {
+  it('posts through the connector and records the outcome', async () => {
+    db.on('publications', query => isClaim(query)
+      ? { data: claimedRow() }
+      : { data: { id: 'pub-1', ...opArgs(query, 'update')[0] } });
+
+    const result = await runPublication({ id: 'pub-1' });
+
+    expect(result).toMatchObject({ status: 'published', post_url: expect.stringContaining('https://example.com/mock/') });
+    expect(mockPosts.map(p => p.text)).toEqual([approvedDraft.final_approved_post]);
+    expect(db.find('audit_log', 'insert')).toHaveLength(1);
+  });
+
+  it('skips a row another run already claimed', async () => {
+    db.on('publications', { data: null });
+
+    expect(await runPublication({ id: 'pub-1' })).toEqual({ id: 'pub-1', skipped: true });
+    expect(mockPosts).toHaveLength(0);
+  });
+
+  it('refuses to post a draft that is no longer approved', async () => {
+    db.on('publications', query => isClaim(query)
+      ? { data: claimedRow({ ...approvedDraft, is_reviewed: false }) }
+      : { data: { id: 'pub-1', ...opArgs(query, 'update')[0] } });
+
+    expect(await runPublication({ id: 'pub-1' })).toMatchObject({ status: 'failed', error: 'Draft is no longer approved.' });
+    expect(mockPosts).toHaveLength(0);
+  });
+
+  it('retries the outcome write after a post went out', async () => {
+    let writes = 0;
+    db.on('publications', query => {
+      if (isClaim(query)) return { data: claimedRow() };
+      return ++writes === 1 ? { data: null, error: { message: 'connection reset' } } : { data: { id: 'pub-1', ...opArgs(query, 'update')[0] } };
+    });
+
+    expect(await runPublication({ id: 'pub-1' })).toMatchObject({ status: 'published' });
+    expect(db.queries.filter(isOutcome)).toHaveLength(2);
+    expect(mockPosts).toHaveLength(1);
+  });
+
+  it('logs the post when its outcome can never be recorded', async () => {
+    db.on('publications', query => isClaim(query) ? { data: claimedRow() } : { data: null, error: { message: 'connection reset' } });
+
+    await expect(runPublication({ id: 'pub-1' })).rejects.toMatchObject({ message: 'connection reset' });
+    expect(db.queries.filter(isOutcome)).toHaveLength(3);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^Publication pub-1 WAS posted to mock \(post mock-.+, https:\/\/example\.com\/mock\/.+\)/));
+  });
+});
+
+describe('recoverStuckPublications', () => {
+  it('marks rows stuck in publishing as failed so they can be retried', async () => {
+    db.on('publications', { data: [{ id: 'pub-1', draft_id: 'draft-1', network: 'x' }] });
+
+    expect(await recoverStuckPublications()).toHaveLength(1);
+
+    const [query] = db.find('publications', 'update');
+    expect(opArgs(query, 'eq')).toEqual(['status', 'publishing']);
+    expect(opArgs(query, 'update')[0]).toMatchObject({ status: 'failed' });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { recordRun } = await import('../utils/runs.js');
+const { trackUsage, llmUsage } = await import('../utils/llm/usage.js');
+
+const savedRun = () => opArgs(db.find('collector_runs', 'insert')[0], 'insert')[0];
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('recordRun', () => {
+  it('stores the counts, timing and the LLM usage since the snapshot', async () => {
+    // Calls before the snapshot belong to another run on the same instance
+    await trackUsage(async () => ({ usage: { prompt_tokens: 999, output_tokens: 999 } }));
+    const llmSnapshot = llmUsage();
+    await trackUsage(async () => ({ usage: { prompt_tokens: 120, output_tokens: 40 } }));
+    await trackUsage(async () => { throw new Error('quota'); }).catch(() => {});
+
+    const startedAt = Date.now() - 1500;
+    await recordRun({ kind: 'collect', startedAt, llmSnapshot, counts: { fetched: 30, inserted: 4 }, details: { feeds: 3 } });
+
+    expect(savedRun()).toMatchObject({
+      kind: 'collect',
+      status: 'ok',
+      started_at: new Date(startedAt).toISOString(),
+      fetched: 30,
+      inserted: 4,
+      llm_calls: 1,
+      llm_errors: 1,
+      llm_prompt_tokens: 120,
+      llm_output_tokens: 40,
+      details: { feeds: 3 },
+      error: null,
+    });
+    expect(savedRun().duration_ms).toBeGreaterThanOrEqual(1500);
+  });
+
+  it('records zero LLM usage without a snapshot', async () => {
+    await recordRun({ kind: 'worker', startedAt: Date.now(), status: 'failed', error: 'boom' });
+
+    expect(savedRun()).toMatchObject({ status: 'failed', error: 'boom', llm_calls: 0, llm_output_tokens: 0 });
+  });
+
+  it('never fails the run it describes', async () => {
+    db.on('collector_runs', { error: { message: 'relation does not exist' } });
+
+    await expect(recordRun({ kind: 'worker', startedAt: Date.now() })).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Error recording worker run:', 'relation does not exist');
+  });
+});
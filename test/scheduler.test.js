@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { DEFAULT_SCHEDULE_SETTINGS, dayKey, slotTime, checkSlot, openSlots, staleReason, takenTimes } = await import('../utils/scheduler.js');
+
+const settings = { ...DEFAULT_SCHEDULE_SETTINGS, slots: ['13:00', '09:00'], min_gap_minutes: 90, daily_cap: 2 };
+const at = (iso) => new Date(iso);
+
+describe('dayKey and slotTime', () => {
+  it('reads the day in the configured timezone', () => {
+    expect(dayKey(at('2026-10-19T02:00:00Z'), 'UTC')).toBe('2026-10-19');
+    expect(dayKey(at('2026-10-19T02:00:00Z'), 'America/New_York')).toBe('2026-10-18');
+  });
+
+  it('turns a wall-clock slot into the UTC instant, across daylight saving changes', () => {
+    expect(slotTime('2026-10-19', '09:00', 'UTC').toISOString()).toBe('2026-10-19T09:00:00.000Z');
+    expect(slotTime('2026-10-19', '09:00', 'America/New_York').toISOString()).toBe('2026-10-19T13:00:00.000Z');
+    expect(slotTime('2026-11-02', '09:00', 'America/New_York').toISOString()).toBe('2026-11-02T14:00:00.000Z');
+  });
+});
+
+describe('checkSlot', () => {
+  it('allows a time with nothing nearby', () => {
+    expect(checkSlot(settings, [at('2026-10-19T09:00:00Z')], at('2026-10-19T13:00:00Z'))).toBeNull();
+  });
+
+  it('enforces the minimum gap on either side', () => {
+    const taken = [at('2026-10-19T12:00:00Z')];
+
+    expect(checkSlot(settings, taken, at('2026-10-19T13:00:00Z'))).toBe('Within 90 minutes of another post (2026-10-19T12:00:00.000Z).');
+    expect(checkSlot(settings, taken, at('2026-10-19T11:00:00Z'))).toMatch(/^Within 90 minutes/);
+    expect(checkSlot(settings, taken, at('2026-10-19T13:30:00Z'))).toBeNull();
+  });
+
+  it('enforces the daily cap per local day', () => {
+    const taken = [at('2026-10-19T03:00:00Z'), at('2026-10-19T09:00:00Z')];
+
+    expect(checkSlot(settings, taken, at('2026-10-19T20:00:00Z'))).toBe('Daily cap of 2 posts reached for 2026-10-19.');
+    // 03:00Z is still the 18th in New York, so the 19th there has room
+    expect(checkSlot({ ...settings, timezone: 'America/New_York' }, taken, at('2026-10-19T20:00:00Z'))).toBeNull();
+  });
+});
+
+describe('openSlots', () => {
+  it('returns the next free slots in time order, skipping past ones', () => {
+    const slots = openSlots(settings, [], at('2026-10-19T10:00:00Z'), 3);
+
+    expect(slots.map(s => s.toISOString())).toEqual([
+      '2026-10-19T13:00:00.000Z',
+      '2026-10-20T09:00:00.000Z',
+      '2026-10-20T13:00:00.000Z',
+    ]);
+  });
+
+  it('counts the slots it plans against the cap and gap', () => {
+    const slots = openSlots({ ...settings, slots: ['09:00', '10:00', '13:00'] }, [], at('2026-10-19T00:00:00Z'), 3);
+
+    expect(slots.map(s => s.toISOString())).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-19T13:00:00.000Z',
+      '2026-10-20T09:00:00.000Z',
+    ]);
+  });
+
+  it('skips slots that clash with posts already booked', () => {
+    const taken = [at('2026-10-19T13:30:00Z')];
+
+    expect(openSlots(settings, taken, at('2026-10-19T10:00:00Z'))[0].toISOString()).toBe('2026-10-20T09:00:00.000Z');
+  });
+
+  it('gives up after the planning horizon', () => {
+    expect(openSlots({ ...settings, daily_cap: 0 }, [], at('2026-10-19T00:00:00Z'))).toEqual([]);
+  });
+});
+
+describe('staleReason', () => {
+  it('flags news older than the limit at post time', () => {
+    expect(staleReason(settings, '2026-10-18T08:00:00Z', at('2026-10-19T10:00:00Z'))).toBe('News is 26h old at post time (limit 24h).');
+    expect(staleReason(settings, '2026-10-18T12:00:00Z', at('2026-10-19T10:00:00Z'))).toBeNull();
+  });
+
+  it('is off without a limit or an ingestion time', () => {
+    expect(staleReason({ ...settings, stale_after_hours: 0 }, '2026-01-01T00:00:00Z')).toBeNull();
+    expect(staleReason(settings, null)).toBeNull();
+  });
+});
+
+describe('takenTimes', () => {
+  beforeEach(() => db.reset());
+
+  it('counts a post going to several networks once', async () => {
+    db.on('publications', { data: [
+      { draft_id: 'draft-1', scheduled_for: '2026-10-19T09:00:00Z' },
+      { draft_id: 'draft-1', scheduled_for: '2026-10-19T09:00:00Z' },
+      { draft_id: 'draft-2', scheduled_for: '2026-10-19T13:00:00Z' },
+    ] });
+
+    expect((await takenTimes()).map(t => t.toISOString())).toEqual(['2026-10-19T09:00:00.000Z', '2026-10-19T13:00:00.000Z']);
+  });
+
+  it('leaves out the draft being rescheduled', async () => {
+    await takenTimes('draft-1');
+
+    expect(opArgs(db.find('publications')[0], 'neq')).toEqual(['draft_id', 'draft-1']);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db, opArgs } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { scoreItem, loadScoringConfig, loadOffTopicFeedback, DEFAULT_SCORING_CONFIG } = await import('../utils/scoring.js');
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(now - hours * 3600000).toISOString();
+const score = (item, config) => scoreItem({ title: 'Exchange expands custody', sentiment: 'neutral', ...item }, config, now);
+
+describe('scoreItem with the default config', () => {
+  // The expected results documented at the top of utils/scoring.js
+  it.each([
+    ['a fresh RSS item', { source: 'rss', published_at: hoursAgo(0) }, 8, true],
+    ['an RSS item at 24h', { source: 'rss', published_at: hoursAgo(24) }, 5, true],
+    ['an RSS item at 36h', { source: 'rss', published_at: hoursAgo(36) }, 4.5, false],
+    ['an undated JSON item', { source: 'json' }, 8, true],
+    ['CryptoPanic with 5 positive votes, fresh', { source: 'cryptopanic', votes: { positive: 5 }, published_at: hoursAgo(0) }, 7.5, true],
+    ['CryptoPanic with 2 positive votes, fresh', { source: 'cryptopanic', votes: { positive: 2 }, published_at: hoursAgo(0) }, 3, false],
+    ['a month-old manual submission', { source: 'manual', published_at: hoursAgo(720) }, 50, true],
+  ])('scores %s', (_, item, expected, passed) => {
+    expect(score(item)).toMatchObject({ score: expected, passed });
+  });
+
+  it('never decays below the floor', () => {
+    expect(score({ source: 'rss', published_at: hoursAgo(24 * 365) }).breakdown.decay).toBeCloseTo(0.5);
+  });
+
+  it('ignores unparsable dates and unknown sources', () => {
+    expect(score({ source: 'rss', published_at: 'not a date' })).toMatchObject({ score: 8, breakdown: { decay: 1 } });
+    expect(score({ source: 'carrier-pigeon' })).toMatchObject({ score: 0, passed: false });
+  });
+});
+
+describe('scoreItem rules', () => {
+  const config = {
+    ...DEFAULT_SCORING_CONFIG,
+    keywordBoosts: { ETF: 3 },
+    currencyBoosts: { eth: 2 },
+    sourceTrust: { CoinDesk: 1.5 },
+    sentimentMultipliers: { positive: 1.2, negative: 1, neutral: 1 },
+    blockedKeywords: ['giveaway'],
+    blockedCurrencies: ['SCAM'],
+  };
+
+  it('weights each vote type', () => {
+    const { score: total, breakdown } = score({ source: 'cryptopanic', votes: { important: 1, positive: 2, lol: 4, toxic: 9 } }, config);
+    expect(breakdown.votes).toEqual({ important: 1, positive: 2, lol: 4, toxic: 9 });
+    expect(total).toBe(3 + 3 + 1);
+  });
+
+  it('adds keyword and currency boosts case-insensitively', () => {
+    const { breakdown } = score({ source: 'cryptopanic', title: 'Spot etf filing', currencies: ['ETH'] }, config);
+    expect(breakdown.boosts).toEqual({ 'keyword:ETF': 3, 'currency:eth': 2 });
+    expect(breakdown.boost_score).toBe(5);
+  });
+
+  it('multiplies by source trust and sentiment', () => {
+    expect(score({ source: 'rss', source_name: 'coindesk', sentiment: 'positive' }, config).score).toBe(14.4);
+  });
+
+  it('blocks keywords and currencies outright', () => {
+    expect(score({ source: 'manual', title: 'Huge GIVEAWAY today' }, config))
+      .toMatchObject({ score: 0, passed: false, breakdown: { blocked_by: 'keyword:giveaway' } });
+    expect(score({ source: 'manual', currencies: ['scam'] }, config).breakdown.blocked_by).toBe('currency:SCAM');
+  });
+
+  it('applies learned off-topic penalties', () => {
+    const offTopic = { keywords: { memecoin: 2 }, sources: { 'spam wire': 0.5 } };
+    const result = score({ source: 'rss', title: 'Memecoin season returns', source_name: 'Spam Wire' }, { ...config, offTopic });
+
+    expect(result.breakdown.boosts).toEqual({ 'off_topic:memecoin': -2 });
+    expect(result.score).toBe(3);
+  });
+});
+
+describe('loadScoringConfig', () => {
+  beforeEach(() => db.reset());
+
+  it('layers the active row over the defaults, merging maps', async () => {
+    db.on('scoring_config', { data: { id: 7, config: { threshold: 6, voteWeights: { lol: 0 }, blockedKeywords: ['airdrop'] } } });
+    const config = await loadScoringConfig();
+
+    expect(config).toMatchObject({ id: 7, threshold: 6, blockedKeywords: ['airdrop'], halfLifeHours: 12 });
+    expect(config.voteWeights).toEqual({ ...DEFAULT_SCORING_CONFIG.voteWeights, lol: 0 });
+  });
+
+  it('falls back to the defaults without an active row or on errors', async () => {
+    expect(await loadScoringConfig()).toEqual({ ...DEFAULT_SCORING_CONFIG, id: null });
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    db.on('scoring_config', { error: { message: 'relation does not exist' } });
+    expect(await loadScoringConfig()).toEqual({ ...DEFAULT_SCORING_CONFIG, id: null });
+    vi.restoreAllMocks();
+  });
+});
+
+describe('loadOffTopicFeedback', () => {
+  beforeEach(() => db.reset());
+
+  // Rejected drafts select source_name, approved ones only the title
+  const script = (rejected, approved) => db.on('draft_posts', query =>
+    ({ data: opArgs(query, 'select')[0].includes('source_name') ? rejected : approved }));
+  const story = (title, source_name = 'Chain Wire') => ({ trending_news: { title, source_name } });
+
+  it('penalizes words and outlets that keep getting rejected as off-topic', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    script(
+      [story('Memecoin mania grips exchange'), story('New memecoin launches on exchange'), story('Memecoin exchange listing frenzy')],
+      [{ trending_news: { title: 'Exchange expands custody' } }],
+    );
+
+    expect(await loadOffTopicFeedback()).toEqual({ keywords: { memecoin: 2 }, sources: { 'chain wire': 0.7 } });
+    vi.restoreAllMocks();
+  });
+
+  it('needs the minimum number of rejections', async () => {
+    script([story('Memecoin mania'), story('Memecoin season')], []);
+
+    expect(await loadOffTopicFeedback()).toEqual({ keywords: {}, sources: {} });
+  });
+
+  it('is empty when disabled or unreadable', async () => {
+    const disabled = { ...DEFAULT_SCORING_CONFIG, offTopicFeedback: { ...DEFAULT_SCORING_CONFIG.offTopicFeedback, enabled: false } };
+    expect(await loadOffTopicFeedback(disabled)).toEqual({ keywords: {}, sources: {} });
+    expect(db.queries).toHaveLength(0);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    db.on('draft_posts', { error: { message: 'timeout' } });
+    expect(await loadOffTopicFeedback()).toEqual({ keywords: {}, sources: {} });
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import axios from 'axios';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { getEnabledFeeds } = await import('../utils/sources/index.js');
+const { hashId } = await import('../utils/sources/namespace.js');
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/feeds/${name}`, import.meta.url), 'utf8');
+const feedNamed = (name) => getEnabledFeeds().find(feed => feed.name === name);
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+function quiet() {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+}
+
+describe('getEnabledFeeds', () => {
+  it('lists one feed per RSS URL and JSON endpoint, plus single-endpoint sources', () => {
+    vi.stubEnv('CRYPTOPANIC_API_KEY', 'key');
+    vi.stubEnv('RSS_FEED_URLS', 'https://a.example.com/rss, https://b.example.com/atom');
+    vi.stubEnv('JSON_SOURCES', '[{ "name": "desk", "url": "https://c.example.com/api" }, { "url": "https://d.example.com/api" }]');
+    vi.stubEnv('SOURCE_MANUAL_ENABLED', 'false');
+
+    expect(getEnabledFeeds().map(({ name, source }) => `${source} ${name}`)).toEqual([
+      'cryptopanic cryptopanic',
+      'rss rss:https://a.example.com/rss',
+      'rss rss:https://b.example.com/atom',
+      'json json:desk',
+      'json json:https://d.example.com/api',
+    ]);
+  });
+
+  it('honours the per-source kill switches and bad config', () => {
+    quiet();
+    vi.stubEnv('CRYPTOPANIC_API_KEY', 'key');
+    vi.stubEnv('SOURCE_CRYPTOPANIC_ENABLED', 'false');
+    vi.stubEnv('RSS_FEED_URLS', 'https://a.example.com/rss');
+    vi.stubEnv('SOURCE_RSS_ENABLED', 'false');
+    vi.stubEnv('JSON_SOURCES', '{ not json');
+
+    expect(getEnabledFeeds()).toEqual([]);
+  });
+});
+
+describe('RSS and Atom feeds', () => {
+  it('maps RSS items with namespaced ids and skips items without a link', async () => {
+    quiet();
+    vi.stubEnv('RSS_FEED_URLS', 'https://chaindaily.example.com/rss');
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: fixture('rss.xml') });
+
+    expect(await feedNamed('rss:https://chaindaily.example.com/rss').fetchItems()).toEqual([
+      {
+        cp_id: `rss:${hashId('cd-1001')}`,
+        title: 'Exchange expands institutional custody',
+        url: 'https://chaindaily.example.com/custody',
+        source_name: 'Chain Daily',
+        upvotes: 0,
+        sentiment: 'neutral',
+        published_at: 'Mon, 19 Oct 2026 09:00:00 GMT',
+      },
+      {
+        cp_id: `rss:${hashId('https://chaindaily.example.com/untitled')}`,
+        title: 'Untitled',
+        url: 'https://chaindaily.example.com/untitled',
+        source_name: 'Chain Daily',
+        upvotes: 0,
+        sentiment: 'neutral',
+        published_at: undefined,
+      },
+    ]);
+  });
+
+  it('uses the alternate link of Atom entries', async () => {
+    quiet();
+    vi.stubEnv('RSS_FEED_URLS', 'https://protocol.example.com/atom');
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: fixture('atom.xml') });
+
+    const [entry] = await feedNamed('rss:https://protocol.example.com/atom').fetchItems();
+    expect(entry).toMatchObject({
+      cp_id: `rss:${hashId('urn:uuid:7c1f')}`,
+      title: 'Rollup ships fraud proofs',
+      url: 'https://protocol.example.com/fraud-proofs',
+      source_name: 'Protocol Weekly',
+      published_at: '2026-10-19T08:00:00Z',
+    });
+  });
+
+  it('throws on anything that is not a feed, so the collector can report that feed', async () => {
+    quiet();
+    vi.stubEnv('RSS_FEED_URLS', 'https://example.com/page');
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: '<html><body>Not a feed</body></html>' });
+
+    await expect(feedNamed('rss:https://example.com/page').fetchItems()).rejects.toThrow('Unrecognized feed format');
+  });
+});
+
+describe('JSON API endpoints', () => {
+  const endpoint = {
+    name: 'desk',
+    url: 'https://desk.example.com/api',
+    itemsPath: 'data.articles',
+    fields: { id: 'uuid', title: 'headline', url: 'link', source: 'publisher.name', published: 'time' },
+  };
+
+  it('maps records through the configured field paths', async () => {
+    quiet();
+    vi.stubEnv('JSON_SOURCES', JSON.stringify([endpoint]));
+    vi.spyOn(axios, 'get').mockResolvedValue({
+      data: {
+        data: {
+          articles: [
+            { uuid: 'a1', headline: 'Stablecoin bill advances', link: 'https://desk.example.com/a1', publisher: { name: 'Desk' }, time: '2026-10-19T07:00:00Z' },
+            { uuid: 'a2', headline: 'No link here' },
+            { headline: 'No id', link: 'https://desk.example.com/a3' },
+          ],
+        },
+      },
+    });
+
+    const items = await feedNamed('json:desk').fetchItems();
+    expect(items.map(item => [item.cp_id, item.title, item.source_name, item.published_at])).toEqual([
+      ['json-desk:a1', 'Stablecoin bill advances', 'Desk', '2026-10-19T07:00:00Z'],
+      [`json-desk:${hashId('https://desk.example.com/a3')}`, 'No id', 'desk', undefined],
+    ]);
+  });
+
+  it('throws when the items path holds no array', async () => {
+    quiet();
+    vi.stubEnv('JSON_SOURCES', JSON.stringify([endpoint]));
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: { data: {} } });
+
+    await expect(feedNamed('json:desk').fetchItems()).rejects.toThrow('No array found at "data.articles"');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db } from './helpers/supabase-stub.js';
+
+vi.mock('../utils/supabase.js', async () => ({ supabase: (await import('./helpers/supabase-stub.js')).db.client }));
+
+const { keywordTags, tagItems } = await import('../utils/tagging.js');
+const { routeItem, loadRoutingRules } = await import('../utils/routing.js');
+const { overrideProviders } = await import('../utils/llm/index.js');
+
+// Answers the batched classification call with whatever the test scripts
+function useClassifier(answer) {
+  const provider = {
+    name: 'fake',
+    defaultModel: () => 'fake',
+    isConfigured: () => true,
+    generateJson: vi.fn(async () => {
+      if (answer instanceof Error) throw answer;
+      return { data: answer, usage: {} };
+    }),
+  };
+  overrideProviders([{ provider, model: 'fake' }]);
+  return provider;
+}
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  overrideProviders(null);
+  vi.restoreAllMocks();
+  delete process.env.TAGGING_LLM_ENABLED;
+});
+
+describe('keywordTags', () => {
+  it('tags assets and topics from the title, recording where each came from', () => {
+    const tags = keywordTags({ title: 'SEC sues Ethereum staking provider', currencies: ['btc'] });
+
+    expect(tags).toEqual({
+      assets: ['BTC', 'ETH'],
+      topics: ['regulation', 'defi'],
+      tag_sources: { BTC: 'api', ETH: 'keyword', regulation: 'keyword', defi: 'keyword' },
+    });
+  });
+
+  it('matches whole words only', () => {
+    expect(keywordTags({ title: 'Solar farms power a miner in Adana' })).toMatchObject({ assets: [], topics: [] });
+    expect(keywordTags({ title: 'Spot ETF flows hit a record' }).topics).toEqual(['etf']);
+  });
+
+  it('prefers the feed\'s own currency data over a keyword match', () => {
+    expect(keywordTags({ title: 'Bitcoin rallies', currencies: ['BTC'] }).tag_sources).toEqual({ BTC: 'api' });
+  });
+});
+
+describe('tagItems', () => {
+  it('asks the LLM only about items the keywords could not place', async () => {
+    const provider = useClassifier({ items: [{ index: 0, assets: ['pepe', 'not a ticker'], topics: ['nft', 'gossip'] }] });
+    const items = [{ title: 'Bitcoin ETF inflows climb' }, { title: 'Frog-themed token doubles overnight' }];
+
+    await tagItems(items);
+
+    expect(provider.generateJson).toHaveBeenCalledTimes(1);
+    const [{ prompt }] = provider.generateJson.mock.calls[0];
+    expect(prompt).toContain('0. Frog-themed token doubles overnight');
+    expect(prompt).not.toContain('Bitcoin ETF');
+    expect(items[1]).toMatchObject({ assets: ['PEPE'], topics: ['nft'], tag_sources: { PEPE: 'llm', nft: 'llm' } });
+    expect(items[0].tag_sources).toEqual({ BTC: 'keyword', etf: 'keyword' });
+  });
+
+  it('keeps the keyword tags when the LLM fails or is switched off', async () => {
+    const provider = useClassifier(new Error('quota'));
+    const items = [{ title: 'Bitcoin holders sit tight' }];
+
+    await tagItems(items);
+    expect(items[0]).toMatchObject({ assets: ['BTC'], topics: [] });
+    expect(console.error).toHaveBeenCalledWith('LLM tagging failed; keeping keyword tags:', 'quota');
+
+    process.env.TAGGING_LLM_ENABLED = 'false';
+    provider.generateJson.mockClear();
+    await tagItems([{ title: 'Bitcoin holders sit tight' }]);
+    expect(provider.generateJson).not.toHaveBeenCalled();
+  });
+});
+
+describe('routeItem', () => {
+  const rules = [
+    { name: 'security alerts', match_topics: ['security'], inbox_priority: 10, persona: 'researcher' },
+    { name: 'eth deep dives', match_assets: ['eth'], format: 'thread', persona: 'macro' },
+    { name: 'skip nfts', match_topics: ['nft'], skip_draft: true },
+    { name: 'everything', persona: 'veteran', inbox_priority: 1 },
+  ];
+
+  it('lets the first matching rule decide each setting', () => {
+    const route = routeItem({ assets: ['ETH'], topics: ['security'] }, rules);
+
+    expect(route).toEqual({
+      skip_draft: false,
+      persona: 'researcher',
+      format: 'thread',
+      inbox_priority: 10,
+      rules: ['security alerts', 'eth deep dives', 'everything'],
+    });
+  });
+
+  it('needs a match on both the asset and the topic lists a rule sets', () => {
+    const both = [{ name: 'sol defi', match_assets: ['SOL'], match_topics: ['defi'], persona: 'researcher' }];
+
+    expect(routeItem({ assets: ['SOL'], topics: ['etf'] }, both).rules).toEqual([]);
+    expect(routeItem({ assets: ['sol'], topics: ['defi', 'etf'] }, both).persona).toBe('researcher');
+  });
+
+  it('falls back to the defaults when nothing matches', () => {
+    expect(routeItem({}, [])).toEqual({ skip_draft: false, persona: null, format: null, inbox_priority: 0, rules: [] });
+    expect(routeItem({ topics: ['nft'] }, rules)).toMatchObject({ skip_draft: true, persona: 'veteran' });
+  });
+});
+
+describe('loadRoutingRules', () => {
+  it('drafts everything with the defaults when the rules cannot be loaded', async () => {
+    db.on('routing_rules', { error: { message: 'relation does not exist' } });
+
+    expect(await loadRoutingRules()).toEqual([]);
+  });
+});
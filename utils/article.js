@@ -0,0 +1,145 @@
+import axios from 'axios';
+import { supabase } from './supabase.js';
+
+// Article enrichment: fetch the linked page, strip boilerplate and keep a cleaned excerpt
+// plus a short extractive summary on the trending_news row for the prompt.
+// Extraction works on raw HTML strings so it can be exercised against saved pages.
+
+const EXCERPT_CHARS = 1500;
+const SUMMARY_SENTENCES = 3;
+const MIN_PARAGRAPH_CHARS = 60;
+
+// Elements that never hold article body text
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'svg', 'nav', 'header', 'footer', 'aside', 'form', 'iframe', 'button', 'figure'];
+
+const PAYWALL_MARKERS = [
+  /"isAccessibleForFree"\s*:\s*"?false/i,
+  /class="[^"]*\b(paywall|subscriber-only|premium-content|regwall)\b/i,
+  /subscribe (now )?to (continue|keep) reading/i,
+  /this (article|content) is (for|available to) (paid )?subscribers/i,
+];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// Entities are decoded before tags are stripped, so an encoded "&lt;img onerror=...&gt;" is removed
+// as a tag instead of surviving as markup in the stored summary. Only "<" followed by a letter, "/" or "!"
+// starts a tag, so a decoded comparison ("fees < 1%") stays text.
+export const stripTags = (html) => decodeEntities(html).replace(/<[/!]?[a-z][^>]*>|<!--[\s\S]*?-->/gi, ' ').replace(/\s+/g, ' ').trim();
+
+export function isPaywalled(html) {
+  return PAYWALL_MARKERS.some(marker => marker.test(html));
+}
+
+// Returns the main text of a page as paragraphs joined by blank lines ('' if nothing usable)
+export function extractMainText(html) {
+  let body = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+
+  for (const tag of BOILERPLATE_TAGS) {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, 'gi'), ' ');
+  }
+
+  // Prefer the most specific content container the page offers
+  const container = body.match(/<article\b[\s\S]*?<\/article>/i)?.[0] ||
+                    body.match(/<main\b[\s\S]*?<\/main>/i)?.[0] ||
+                    body;
+
+  const paragraphs = [...container.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(([, inner]) => stripTags(inner))
+    .filter(text => text.length >= MIN_PARAGRAPH_CHARS)
+    // Share bars and newsletter prompts tend to repeat across the page
+    .filter((text, index, all) => all.indexOf(text) === index);
+
+  return paragraphs.join('\n\n');
+}
+
+// Lead-based extractive summary: news articles front-load the facts
+export function summarize(text, sentences = SUMMARY_SENTENCES) {
+  // Split on terminal punctuation followed by whitespace so "$1.2B" stays in one sentence
+  const parts = text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+(?=[A-Z"“‘'(\d])/);
+  return parts.slice(0, sentences).join(' ');
+}
+
+export function excerpt(text, limit = EXCERPT_CHARS) {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  return `${cut.slice(0, cut.lastIndexOf(' '))}…`;
+}
+
+// Fetch + extract; never throws. status is 'ok' | 'paywalled' | 'empty' | 'failed'.
+export async function fetchArticle(url) {
+  if (!url) return { status: 'failed', error: 'No URL' };
+
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; Vercel-Function/1.0)',
+        'Accept': 'text/html,application/xhtml+xml',
+      },
+      timeout: 10000,
+      maxContentLength: 3 * 1024 * 1024,
+      responseType: 'text',
+      validateStatus: status => status < 500,
+    });
+
+    if ([401, 402, 403].includes(response.status)) return { status: 'paywalled' };
+    if (response.status >= 400) return { status: 'failed', error: `HTTP ${response.status}` };
+
+    const html = String(response.data);
+    const text = extractMainText(html);
+
+    if (!text) return { status: isPaywalled(html) ? 'paywalled' : 'empty' };
+
+    // Paywalled pages often show a teaser; keep it, but mark the row so the prompt says so
+    return {
+      status: isPaywalled(html) ? 'paywalled' : 'ok',
+      excerpt: excerpt(text),
+      summary: summarize(text),
+    };
+  } catch (error) {
+    return { status: 'failed', error: error.message };
+  }
+}
+
+// Fetches the article once per news item and stores the result on the row.
+// Returns the item with article_* fields filled in.
+export async function ensureArticle(newsItem) {
+  if (newsItem.article_status) return newsItem;
+
+  const article = await fetchArticle(newsItem.url);
+  console.log(`Article fetch for ${newsItem.id}: ${article.status}${article.error ? ` (${article.error})` : ''}`);
+
+  const fields = {
+    article_status: article.status,
+    article_excerpt: article.excerpt || null,
+    article_summary: article.summary || null,
+    article_fetched_at: new Date().toISOString(),
+  };
+
+  const { error } = await supabase
+    .from('trending_news')
+    .update(fields)
+    .eq('id', newsItem.id);
+
+  if (error) console.error('Error saving article excerpt:', error.message);
+
+  return { ...newsItem, ...fields };
+}
+
+// Prompt block describing what we know about the article body
+export function articleContext(newsItem) {
+  if (newsItem.article_summary) {
+    const note = newsItem.article_status === 'paywalled' ? ' (paywalled; teaser only)' : '';
+    return `Summary${note}: ${newsItem.article_summary}\n    Excerpt: ${newsItem.article_excerpt || ''}`;
+  }
+  return "Not available (paywalled or unreachable). Work from the title only and don't guess at details.";
+}
@@ -0,0 +1,21 @@
+import { supabase } from './supabase.js';
+
+// Append-only trail of what happened to each draft and who did it ('audit_log').
+// action: approved | edited | rejected | restored | regenerated | scheduled | published
+// actor is the dashboard user from utils/auth.js, or null for the scheduler / system calls.
+// Never throws: a missing audit row must not undo an approval or a post that already went out.
+export async function recordAudit({ draftId, actor = null, action, before = null, after = null, details = {} }) {
+  const { error } = await supabase
+    .from('audit_log')
+    .insert({
+      draft_id: draftId ? String(draftId) : null,
+      actor_id: actor?.id || null,
+      actor_email: actor?.email || 'system',
+      action,
+      before_text: before,
+      after_text: after,
+      details,
+    });
+
+  if (error) console.error(`Error recording audit entry (${action} ${draftId}):`, error.message);
+}
@@ -0,0 +1,64 @@
+import { supabase } from './supabase.js';
+
+// Shared request checks for API routes.
+
+// Dashboard roles, least to most privileged; each role can do everything the ones before it can.
+// reviewer: approve drafts as generated, reject drafts
+// editor:   edit text before approving, publish and schedule, re-queue jobs, import metrics
+// admin:    prompts and personas, posting rules
+export const ROLES = ['reviewer', 'editor', 'admin'];
+
+export function roleAtLeast(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Server-to-server calls (Supabase webhooks, scripts) send the webhook secret as a bearer token
+export function hasWebhookSecret(req) {
+  const expectedSecret = process.env.WEBHOOK_SECRET_KEY;
+  return Boolean(expectedSecret) && req.headers.authorization === `Bearer ${expectedSecret}`;
+}
+
+// The dashboard sends the signed-in user's Supabase Auth access token as a bearer token.
+// Returns { id, email, role }, or null if the token is invalid or the user has no role yet.
+export async function getDashboardUser(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return null;
+
+  const { data, error } = await supabase.auth.getUser(header.slice(7));
+  if (error || !data?.user) return null;
+
+  const { data: row, error: roleError } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', data.user.id)
+    .maybeSingle();
+
+  if (roleError) {
+    console.error('Error loading user role:', roleError.message);
+    return null;
+  }
+  if (!row) return null;
+
+  return { id: data.user.id, email: data.user.email, role: row.role };
+}
+
+// Resolves the caller and checks their role, answering 401/403 itself when that fails:
+//   const user = await requireRole(req, res, 'editor');
+//   if (!user) return;
+// Webhook-secret calls act as a system admin (id null) so scripts keep working.
+export async function requireRole(req, res, role) {
+  if (hasWebhookSecret(req)) return { id: null, email: 'system', role: 'admin' };
+
+  const user = await getDashboardUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  if (!roleAtLeast(user.role, role)) {
+    res.status(403).json({ error: `Forbidden: requires the ${role} role (you are ${user.role}).` });
+    return null;
+  }
+
+  return user;
+}
@@ -0,0 +1,74 @@
+import { supabase } from './supabase.js';
+import { generateDraft } from './draft-generator.js';
+import { enqueueDraftJob } from './jobs.js';
+import { getConfiguredNotifiers } from './notifiers/index.js';
+
+// Breaking-news fast lane: urgent items (scoreUrgency in utils/scoring.js) are drafted straight away
+// instead of waiting for the job worker, and reviewers get a push alert linking to the card.
+
+// Dashboard link that opens the inbox on this draft; DASHBOARD_URL wins, then Vercel's production domain
+export function draftLink(draftId) {
+  const base = process.env.DASHBOARD_URL
+    || (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : '');
+  return `${base.replace(/\/$/, '')}/?tab=inbox&focus=${draftId}`;
+}
+
+// Drafts one inserted trending_news row now. If generation fails the item goes to the normal
+// queue, and the worker sends the alert once it succeeds. Returns 'drafted', 'queued', or
+// 'queue_error' when the fallback couldn't be queued either. Never throws.
+export async function fastLane(newsItem) {
+  try {
+    const { draftId } = await generateDraft(newsItem);
+    await notifyBreaking(newsItem, draftId);
+    return 'drafted';
+  } catch (error) {
+    console.error(`Fast lane failed for ${newsItem.id}, queueing instead:`, error.message);
+  }
+
+  try {
+    await enqueueDraftJob(newsItem.id);
+    return 'queued';
+  } catch (queueError) {
+    console.error(`Could not queue draft for ${newsItem.id}:`, queueError.message);
+    return 'queue_error';
+  }
+}
+
+// Sends the alert on every configured connector, at most once per item. Never throws:
+// a failed alert must not fail the draft it is about.
+export async function notifyBreaking(newsItem, draftId) {
+  const notifiers = getConfiguredNotifiers();
+  if (notifiers.length === 0) return 0;
+
+  // Claim the alert first so a fast-lane draft and a later regeneration can't both send it
+  const { data: claimed, error } = await supabase
+    .from('trending_news')
+    .update({ notified_at: new Date().toISOString() })
+    .eq('id', newsItem.id)
+    .is('notified_at', null)
+    .select('id');
+
+  if (error) {
+    console.error(`Could not claim breaking alert for ${newsItem.id}:`, error.message);
+    return 0;
+  }
+  if (claimed.length === 0) return 0;
+
+  const tags = [...(newsItem.assets || []), ...(newsItem.topics || [])];
+  const message = {
+    title: `🚨 Breaking: ${newsItem.title}`,
+    text: [
+      `${newsItem.source_name || 'Unknown source'} · urgency ${newsItem.urgency?.score ?? '?'}${newsItem.urgency?.reasons?.length ? ` (${newsItem.urgency.reasons.join(', ')})` : ''}`,
+      tags.length ? `Tags: ${tags.join(', ')}` : null,
+      'A draft is waiting in the inbox.',
+    ].filter(Boolean).join('\n'),
+    url: draftLink(draftId),
+  };
+
+  const results = await Promise.allSettled(notifiers.map(notifier => notifier.send(message)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') console.error(`Breaking alert via ${notifiers[index].name} failed:`, result.reason.message);
+  });
+
+  return results.filter(result => result.status === 'fulfilled').length;
+}
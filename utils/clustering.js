@@ -0,0 +1,93 @@
+// Story clustering: groups coverage of the same event from different outlets
+// so only the first item in a cluster gets a Gemini draft.
+
+// Words that carry no signal about which story a headline is about
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'after', 'amid',
+  'over', 'into', 'new', 'says', 'report', 'reports', 'breaking', 'just', 'now', 'why', 'how', 'what',
+]);
+
+// Tracking parameters that differ between syndicated copies of the same article
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|fbclid|gclid|mc_cid|mc_eid|cmpid|source)$/i;
+
+// Minimum similarity for two headlines to be treated as the same story (0-1)
+export const SIMILARITY_THRESHOLD = Number(process.env.CLUSTER_SIMILARITY_THRESHOLD) || 0.6;
+
+// How far back to look for an existing cluster to attach to
+export const CLUSTER_WINDOW_HOURS = Number(process.env.CLUSTER_WINDOW_HOURS) || 72;
+
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9$\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .join(' ');
+}
+
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    parsed.protocol = 'https:';
+
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+
+    const path = parsed.pathname.replace(/\/amp\/?$/, '/').replace(/\/+$/, '');
+    return `${parsed.hostname}${path}${parsed.search}`;
+  } catch (e) {
+    return String(url || '').trim().toLowerCase();
+  }
+}
+
+// Dice coefficient over word tokens plus character bigrams, so reworded
+// headlines ("SEC approves spot ETH ETFs" / "Spot Ether ETFs get SEC approval") still score
+export function titleSimilarity(normalizedA, normalizedB) {
+  if (!normalizedA || !normalizedB) return 0;
+  if (normalizedA === normalizedB) return 1;
+
+  const dice = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return (2 * shared) / (a.size + b.size);
+  };
+
+  const words = (s) => new Set(s.split(' '));
+  const bigrams = (s) => {
+    const grams = new Set();
+    const compact = s.replace(/\s+/g, '');
+    for (let i = 0; i < compact.length - 1; i++) grams.add(compact.slice(i, i + 2));
+    return grams;
+  };
+
+  return 0.5 * dice(words(normalizedA), words(normalizedB)) + 0.5 * dice(bigrams(normalizedA), bigrams(normalizedB));
+}
+
+// Returns the best-matching candidate for an item, or null if it starts a new story.
+// Candidates are trending_news rows carrying normalized_title and canonical_url.
+export function findClusterMatch(item, candidates) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const candidate of candidates) {
+    if (item.canonical_url && candidate.canonical_url === item.canonical_url) {
+      return { match: candidate, similarity: 1 };
+    }
+
+    const score = titleSimilarity(item.normalized_title, candidate.normalized_title);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= SIMILARITY_THRESHOLD ? { match: best, similarity: bestScore } : null;
+}
@@ -0,0 +1,207 @@
+import { supabase } from './supabase.js';
+import { loadActivePrompt, renderTemplate } from './prompts.js';
+import { generateJson } from './llm/index.js';
+import { buildLearningContext, buildRejectionContext } from './learning.js';
+import { FORMATS, resolveFormat, contentToText } from './formats.js';
+import { validateDraft, violationFeedback } from './guardrails.js';
+import { ensureArticle, articleContext } from './article.js';
+import { getMarketContext, marketContextText } from './market/index.js';
+
+// Variants generated per news item (never fewer than one per persona)
+const VARIANT_COUNT = Number(process.env.DRAFT_VARIANT_COUNT) || 0;
+
+// Tries per variant before a guardrail-failing draft is saved flagged instead
+const MAX_ATTEMPTS = Number(process.env.DRAFT_MAX_ATTEMPTS) || 3;
+
+// Generates drafts for one trending_news row and stores them in 'draft_posts' / 'draft_variants'.
+// Shared by the webhook endpoint (api/generate-draft.js) and the job worker (api/process-jobs.js).
+// Throws on failure; quota errors carry `code: 'RATE_LIMITED'` and `retryAfter` (seconds).
+export async function generateDraft(item) {
+  console.log(`Processing news item ${item.id}: ${item.title}`);
+
+  // --- 0-1. Article, Market Context, Learning Loop and Active Prompt ---
+  const { newsItem, template, personas, format, learningExamples, renderPrompt } = await preparePrompt(item);
+
+  // --- 2. Generate One Variant per Persona ---
+  // Every persona gets at least one variant so the reviewer can pick the angle instead of the dice,
+  // unless a routing rule (utils/routing.js) asked for one persona
+  const routedPersona = personas.find(p => p.key === newsItem.requested_persona);
+  const personaPlan = routedPersona
+    ? Array.from({ length: Math.max(VARIANT_COUNT, 1) }, () => routedPersona)
+    : Array.from({ length: Math.max(VARIANT_COUNT, personas.length) }, (_, index) => personas[index % personas.length]);
+
+  console.log(`Generating ${personaPlan.length} variants...`);
+
+  const results = await Promise.allSettled(
+    personaPlan.map(persona => generateVariant(renderPrompt(persona), format, newsItem))
+  );
+
+  // Clean variants first, so the parent row (and the pre-selected card text) is one that passed the guardrails
+  const variants = results
+    .map((result, index) => result.status === 'fulfilled' ? { persona: personaPlan[index], ...result.value } : null)
+    .filter(Boolean)
+    .sort((a, b) => (a.violations.length > 0) - (b.violations.length > 0));
+
+  if (variants.length === 0) {
+    const errors = results.map(r => r.reason);
+    // Only surface quota errors when nothing got through, so the job retries later
+    throw errors.find(e => e.code === 'RATE_LIMITED') || errors[0];
+  }
+
+  if (variants.length < personaPlan.length) {
+    console.warn(`${personaPlan.length - variants.length} of ${personaPlan.length} variants failed; saving the rest`);
+  }
+
+  // --- 3. Store Draft Post and Variants to Supabase ---
+  console.log('Saving draft to database...');
+  
+  // Ensure news_id is a valid UUID string
+  const newsIdToInsert = String(newsItem.id);
+
+  // The parent row keeps the first variant in gemini_draft so History/learning keep working unchanged
+  const [primary] = variants;
+
+  const { data: draft, error: insertError } = await supabase
+    .from('draft_posts')
+    .insert({
+      news_id: newsIdToInsert,
+      gemini_draft: contentToText(primary.content),
+      gemini_insight: primary.insight,
+      output_format: format,
+      draft_content: primary.content,
+      violations: primary.violations,
+      prompt_template_id: template.id,
+      persona_id: primary.persona.id,
+      persona: primary.persona.key,
+      generated_by: primary.generatedBy,
+      market_context: newsItem.market_context,
+      learning_examples: learningExamples,
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    console.error('Insert error details:', JSON.stringify(insertError));
+    throw new Error(`Failed to save draft to Supabase: ${insertError.message}`);
+  }
+
+  const { error: variantsError } = await supabase
+    .from('draft_variants')
+    .insert(variants.map((variant, position) => ({
+      draft_id: draft.id,
+      position,
+      persona: variant.persona.key,
+      persona_id: variant.persona.id,
+      draft_text: contentToText(variant.content),
+      content: variant.content,
+      insight: variant.insight,
+      violations: variant.violations,
+      generated_by: variant.generatedBy,
+    })));
+
+  if (variantsError) {
+    // The draft itself is usable without its siblings, so don't fail the whole job
+    console.error('Error saving draft variants:', variantsError.message);
+  }
+
+  console.log('Draft saved successfully');
+
+  return { draftId: draft.id, insight: primary.insight, format, content: primary.content, variants: variants.length };
+}
+
+// Writes a new version of one existing draft for the dashboard's "Regenerate" action (api/drafts.js).
+// draft is a draft_posts row with its trending_news embedded. Options:
+//   guidance   - free-text reviewer instructions ("more bearish", "focus on ETH L2s")
+//   persona    - persona key to write as (defaults to the draft's own)
+//   format     - output format (defaults to the draft's own)
+//   pinnedText - text to refine instead of starting from scratch (usually what the card shows now)
+// Returns the new version without saving it; the caller keeps the old one as a revision.
+export async function generateRevision(draft, { guidance = '', persona: personaKey = null, format: requestedFormat = null, pinnedText = null } = {}) {
+  const { newsItem, template, personas, format, renderPrompt } = await preparePrompt(draft.trending_news, requestedFormat || draft.output_format);
+  const persona = personas.find(p => p.key === (personaKey || draft.persona)) || personas[0];
+
+  console.log(`Revising draft ${draft.id} as "${persona.key}", format "${format}"${pinnedText ? ' from pinned text' : ''}`);
+
+  let extra = '';
+  if (guidance.trim()) {
+    extra += `\n\n    REVIEWER INSTRUCTIONS FOR THIS VERSION (these take priority over the style notes above):\n    ${guidance.trim()}`;
+  }
+  if (pinnedText?.trim()) {
+    extra += `\n\n    START FROM THIS DRAFT. Refine it rather than writing a new one, and keep what already works:\n    "${pinnedText.trim()}"`;
+  }
+
+  const variant = await generateVariant(renderPrompt(persona) + extra, format, newsItem);
+  return { ...variant, format, persona, template, marketContext: newsItem.market_context };
+}
+
+// Everything a prompt needs for one news item: article content, market context, learning examples,
+// rejections and the active template/personas. renderPrompt(persona) returns the finished prompt for one persona.
+async function preparePrompt(item, requestedFormat = null) {
+  // --- 0. Article Content (fetched once, stored on the row; failures fall back to the title) ---
+  // plus a price snapshot for the tagged assets (utils/market), saved on the draft as what it was written from
+  const newsItem = { ...await ensureArticle(item), market_context: await getMarketContext(item.assets) };
+
+  // --- 1. The Learning Loop: Similar + Top-Performing Examples, Recent Rejections ---
+  const { learningContext, examples: positiveExamples } = await buildLearningContext(newsItem);
+  const { rejectionContext, examples: negativeExamples } = await buildRejectionContext();
+
+  // Template and personas are versioned records; the versions used are stored on the draft
+  const { template, personas } = await loadActivePrompt();
+  const format = requestedFormat || await resolveFormat(newsItem);
+  console.log(`Using prompt template "${template.name}" v${template.version} with ${personas.length} personas, format "${format}"`);
+
+  // Templates saved before formats existed carry their own tweet TASK; append the format's instead
+  let body = template.body.includes('{{task}}') || format === 'tweet'
+    ? template.body
+    : `${template.body}\n\n    OUTPUT FORMAT OVERRIDE (ignore any earlier task or format instructions):${FORMATS[format].task}`;
+
+  // Same for templates saved before article extraction and rejection feedback
+  if (!body.includes('{{article}}')) {
+    body = `${body}\n\n    ARTICLE CONTENT (base your facts on this, not on guesses):\n    {{article}}`;
+  }
+  if (!body.includes('{{market}}')) {
+    body = `${body}\n\n    MARKET CONTEXT (quote these figures exactly as written, or not at all):\n    {{market}}`;
+  }
+  if (!body.includes('{{rejections}}')) {
+    body = `${body}\n\n    AVOID (recently rejected drafts and why - don't repeat these mistakes):\n{{rejections}}`;
+  }
+
+  const renderPrompt = persona => renderTemplate(body, {
+    persona: persona.description,
+    title: newsItem.title,
+    url: newsItem.url,
+    sentiment: newsItem.sentiment || 'Neutral',
+    article: articleContext(newsItem),
+    market: marketContextText(newsItem.market_context) || 'No market data for this story. Do not quote prices or price moves.',
+    learning_context: learningContext,
+    rejections: rejectionContext,
+    task: FORMATS[format].task,
+  });
+
+  return { newsItem, template, personas, format, learningExamples: [...positiveExamples, ...negativeExamples], renderPrompt };
+}
+
+// Generates one variant and runs the guardrails on it. Violations are fed back to the model
+// for up to MAX_ATTEMPTS tries; if they persist, the last attempt is returned flagged.
+async function generateVariant(prompt, format, newsItem) {
+  let attempt;
+
+  for (let attemptNumber = 1; attemptNumber <= MAX_ATTEMPTS; attemptNumber++) {
+    const feedback = attempt ? violationFeedback(attempt.violations) : '';
+    const result = await callModel(prompt + feedback, format);
+    const content = FORMATS[format].toContent(result);
+
+    attempt = { insight: result.insight, content, violations: validateDraft(format, content, newsItem), attempts: attemptNumber, generatedBy: result.generatedBy };
+    if (attempt.violations.length === 0) break;
+
+    console.warn(`Guardrails flagged attempt ${attemptNumber}/${MAX_ATTEMPTS}:`, attempt.violations.map(v => v.rule).join(', '));
+  }
+
+  return attempt;
+}
+
+// Temperature is a little high for more "opinion". Provider and model come from LLM_PROVIDERS (utils/llm/index.js).
+async function callModel(prompt, format) {
+  const { data, provider, model } = await generateJson({ prompt, schema: FORMATS[format].schema, temperature: 0.8 });
+  return { ...data, generatedBy: `${provider}:${model}` };
+}
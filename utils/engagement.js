@@ -0,0 +1,91 @@
+import { supabase } from './supabase.js';
+
+// Engagement metrics for approved posts and the normalized engagement_score
+// that the learning loop ranks examples by.
+
+// Replies and reposts signal more than a passive like
+const INTERACTION_WEIGHTS = { likes: 1, reposts: 2, replies: 3 };
+
+// Weighted interactions per impression at which a post scores 100 (10%)
+const FULL_SCORE_RATE = 0.1;
+
+// Recency weighting for learning examples: a score counts half as much after this many days
+export const LEARNING_HALF_LIFE_DAYS = Number(process.env.LEARNING_HALF_LIFE_DAYS) || 30;
+
+const toCount = (value) => Math.max(0, Math.round(Number(value) || 0));
+
+// Returns a 0-100 score. With impressions it is a weighted engagement rate;
+// without them (some exports omit it) it falls back to a log scale of raw interactions.
+export function computeEngagementScore({ impressions, likes, reposts, replies }) {
+  const weighted = toCount(likes) * INTERACTION_WEIGHTS.likes +
+                   toCount(reposts) * INTERACTION_WEIGHTS.reposts +
+                   toCount(replies) * INTERACTION_WEIGHTS.replies;
+
+  const score = toCount(impressions) > 0
+    ? (weighted / toCount(impressions) / FULL_SCORE_RATE) * 100
+    : 20 * Math.log10(1 + weighted);
+
+  return Number(Math.min(100, score).toFixed(2));
+}
+
+// Decays a score by the age of the post so recent winners outrank old ones
+export function recencyWeightedScore(score, postedAt, now = Date.now()) {
+  if (!postedAt) return score;
+  const ageDays = Math.max(0, (now - new Date(postedAt).getTime()) / 86400000);
+  return score * Math.pow(0.5, ageDays / LEARNING_HALF_LIFE_DAYS);
+}
+
+// Validates and stores one metrics snapshot, then refreshes the draft's engagement_score.
+// Every snapshot is kept in 'post_metrics' so growth over time can be charted later.
+export async function recordMetrics(entry) {
+  if (!entry || !entry.draft_id) {
+    throw new Error('Each metrics entry needs a draft_id.');
+  }
+
+  // Only posts that went out count; anything else would leak into the learning examples and analytics
+  const { data: draft, error: draftError } = await supabase
+    .from('draft_posts')
+    .select('id, is_reviewed, superseded_at')
+    .eq('id', String(entry.draft_id))
+    .maybeSingle();
+
+  if (draftError) throw draftError;
+  if (!draft) throw new Error(`Draft ${entry.draft_id} not found.`);
+  if (!draft.is_reviewed || draft.superseded_at) throw new Error(`Draft ${entry.draft_id} is not an approved post.`);
+
+  const snapshot = {
+    draft_id: String(entry.draft_id),
+    impressions: toCount(entry.impressions),
+    likes: toCount(entry.likes),
+    reposts: toCount(entry.reposts),
+    replies: toCount(entry.replies),
+    recorded_at: entry.recorded_at ? new Date(entry.recorded_at).toISOString() : new Date().toISOString(),
+  };
+  snapshot.engagement_score = computeEngagementScore(snapshot);
+
+  const { error: insertError } = await supabase
+    .from('post_metrics')
+    .insert(snapshot);
+
+  if (insertError) throw insertError;
+
+  // Only move the draft's score forward if this is its newest snapshot
+  const { data: latest, error: latestError } = await supabase
+    .from('post_metrics')
+    .select('engagement_score, recorded_at')
+    .eq('draft_id', snapshot.draft_id)
+    .order('recorded_at', { ascending: false })
+    .limit(1)
+    .single();
+
+  if (latestError) throw latestError;
+
+  const { error: updateError } = await supabase
+    .from('draft_posts')
+    .update({ engagement_score: latest.engagement_score, engagement_updated_at: latest.recorded_at })
+    .eq('id', snapshot.draft_id);
+
+  if (updateError) throw updateError;
+
+  return snapshot;
+}
@@ -0,0 +1,185 @@
+import { supabase } from './supabase.js';
+
+// Output formats the generator can produce. Each has its own Gemini response schema,
+// the TASK section injected into the prompt ({{task}}), length validation, and a
+// plain-text rendering stored in gemini_draft (the structured form goes in draft_content).
+
+const insightField = {
+  type: "string",
+  description: "The hidden second-order effect or meta-narrative (max 10 words).",
+};
+
+const NO_HYPE = `- **NO** emojis, **NO** hashtags, **NO** "To the moon" hype.`;
+
+export const FORMATS = {
+  tweet: {
+    label: 'Single tweet',
+    limits: { min: 150, max: 280 },
+    schema: {
+      type: "object",
+      properties: {
+        insight: insightField,
+        draft_tweet: {
+          type: "string",
+          description: "Expert commentary, 2-3 sentences (150-250 characters). Must explain the 'so what' and take a stance.",
+        }
+      },
+      required: ["insight", "draft_tweet"],
+    },
+    task: `
+    TASK:
+    1. Insight: The hidden second-order effect of this news that most people miss (max 10 words).
+    2. Draft_Tweet: 2-3 sentence commentary (150-280 characters) that follows these rules:
+       - **The "So What":** Why does this actually matter? Is it a signal of a new trend or the death of an old one?
+       - **Unique Angle:** Take a stance. Avoid generic phrases like "Good news for adoption."
+       - **Actionable:** End with what to watch next (e.g., "Watch for flows into X," or "Expect competitors to fork this.").
+       ${NO_HYPE}
+
+    Output ONLY the JSON with insight and draft_tweet fields.`,
+    toContent: (result) => ({ text: result.draft_tweet }),
+  },
+
+  thread: {
+    label: 'Thread (3-6 posts)',
+    limits: { minPosts: 3, maxPosts: 6, max: 280 },
+    schema: {
+      type: "object",
+      properties: {
+        insight: insightField,
+        posts: {
+          type: "array",
+          description: "3-6 numbered posts, each at most 280 characters including the '1/' numbering.",
+          items: { type: "string" },
+          minItems: 3,
+          maxItems: 6,
+        }
+      },
+      required: ["insight", "posts"],
+    },
+    task: `
+    TASK:
+    1. Insight: The hidden second-order effect of this news that most people miss (max 10 words).
+    2. Posts: A numbered thread of 3-6 posts ("1/", "2/"...), each at most 280 characters:
+       - Post 1 is the hook: the stance, not a headline restatement.
+       - Middle posts: the mechanism and second-order effects, one idea per post.
+       - Last post: what to watch next.
+       ${NO_HYPE}
+
+    Output ONLY the JSON with insight and posts fields.`,
+    toContent: (result) => ({ posts: result.posts }),
+  },
+
+  linkedin: {
+    label: 'LinkedIn post',
+    limits: { min: 600, max: 3000 },
+    schema: {
+      type: "object",
+      properties: {
+        insight: insightField,
+        post: {
+          type: "string",
+          description: "A LinkedIn-style long post, 600-3000 characters, short paragraphs separated by blank lines.",
+        }
+      },
+      required: ["insight", "post"],
+    },
+    task: `
+    TASK:
+    1. Insight: The hidden second-order effect of this news that most people miss (max 10 words).
+    2. Post: A LinkedIn-style analysis (600-3000 characters) in short paragraphs:
+       - Open with a one-line stance.
+       - Explain the market-structure implication for builders and allocators.
+       - Close with the signal to watch next and a question that invites discussion.
+       ${NO_HYPE}
+
+    Output ONLY the JSON with insight and post fields.`,
+    toContent: (result) => ({ text: result.post }),
+  },
+
+  newsletter: {
+    label: 'Newsletter blurb',
+    limits: { min: 250, max: 700 },
+    schema: {
+      type: "object",
+      properties: {
+        insight: insightField,
+        blurb: {
+          type: "string",
+          description: "A 250-700 character newsletter blurb: what happened, why it matters, what to watch.",
+        }
+      },
+      required: ["insight", "blurb"],
+    },
+    task: `
+    TASK:
+    1. Insight: The hidden second-order effect of this news that most people miss (max 10 words).
+    2. Blurb: A 250-700 character newsletter item: what happened in one sentence, why it matters, what to watch.
+       ${NO_HYPE}
+
+    Output ONLY the JSON with insight and blurb fields.`,
+    toContent: (result) => ({ text: result.blurb }),
+  },
+};
+
+export const DEFAULT_FORMAT = 'tweet';
+
+// Plain-text rendering used for gemini_draft, copy buttons and learning examples
+export function contentToText(content) {
+  return (Array.isArray(content.posts) ? content.posts.join('\n\n') : content.text) || '';
+}
+
+// Returns a list of human-readable problems; empty means the output fits the format
+export function validateContent(formatName, content) {
+  const { limits } = FORMATS[formatName];
+  const problems = [];
+
+  // Branch on the format, not on what the model returned: a thread without posts is a problem, not a text
+  if (limits.minPosts) {
+    const posts = Array.isArray(content.posts) ? content.posts : [];
+    if (posts.length < limits.minPosts || posts.length > limits.maxPosts) {
+      problems.push(`Thread must have ${limits.minPosts}-${limits.maxPosts} posts (got ${posts.length}).`);
+    }
+    posts.forEach((post, index) => {
+      if (typeof post !== 'string' || !post.trim()) problems.push(`Post ${index + 1} is empty.`);
+      else if (post.length > limits.max) problems.push(`Post ${index + 1} is ${post.length} characters (max ${limits.max}).`);
+    });
+    return problems;
+  }
+
+  const length = typeof content.text === 'string' ? content.text.length : 0;
+  if (length < limits.min) problems.push(`Text is ${length} characters (min ${limits.min}).`);
+  if (length > limits.max) problems.push(`Text is ${length} characters (max ${limits.max}).`);
+  return problems;
+}
+
+// Picks the format for a news item: an explicit per-item request wins, then the first
+// matching active rule in 'format_rules' (by priority), then the single-tweet default.
+export async function resolveFormat(newsItem) {
+  if (newsItem.requested_format && FORMATS[newsItem.requested_format]) {
+    return newsItem.requested_format;
+  }
+
+  try {
+    const { data: rules, error } = await supabase
+      .from('format_rules')
+      .select('format, min_relevance_score, keywords')
+      .eq('is_active', true)
+      .order('priority', { ascending: false });
+
+    if (error) throw error;
+
+    const title = String(newsItem.title || '').toLowerCase();
+    const match = rules.find(rule => {
+      if (!FORMATS[rule.format]) return false;
+      if (rule.min_relevance_score != null && !(newsItem.relevance_score >= rule.min_relevance_score)) return false;
+      if (rule.keywords?.length && !rule.keywords.some(k => title.includes(k.toLowerCase()))) return false;
+      return true;
+    });
+
+    if (match) return match.format;
+  } catch (error) {
+    console.error('Error loading format rules, using default format:', error.message);
+  }
+
+  return DEFAULT_FORMAT;
+}
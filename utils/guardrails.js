@@ -0,0 +1,118 @@
+import { validateContent, contentToText } from './formats.js';
+import { marketContextText } from './market/index.js';
+
+// Quality checks run on every generated draft before it reaches the inbox.
+// Each violation is { rule, message }; the generator retries with the violations as feedback
+// and, if they persist, saves the draft flagged so the card can show what's wrong.
+
+// Hard per-network character limits for single posts / thread segments
+export const NETWORK_LIMITS = { x: 280, bluesky: 300 };
+
+// Which network tweet-sized formats are being written for
+const TARGET_NETWORK = process.env.DRAFT_TARGET_NETWORK || 'x';
+
+const DEFAULT_BANNED_PHRASES = [
+  'to the moon', 'moon soon', 'lfg', 'wagmi', 'ngmi', '100x', '1000x', 'not financial advice', 'nfa',
+  'game changer', 'game-changer', 'huge news', 'massive news', 'bullish af', 'buckle up', 'generational opportunity',
+  'good news for adoption', 'this is huge', "you won't believe",
+];
+
+// Extra phrases can be added without a deploy: BANNED_PHRASES="phrase one, phrase two"
+const BANNED_PHRASES = [
+  ...DEFAULT_BANNED_PHRASES,
+  ...(process.env.BANNED_PHRASES || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+];
+
+// Tickers we recognize even without a $ prefix
+const KNOWN_TICKERS = new Set([
+  'BTC', 'ETH', 'SOL', 'XRP', 'BNB', 'ADA', 'DOGE', 'AVAX', 'DOT', 'MATIC', 'POL', 'LINK', 'LTC', 'TRX', 'TON',
+  'ARB', 'OP', 'ATOM', 'NEAR', 'APT', 'SUI', 'UNI', 'AAVE', 'USDT', 'USDC', 'DAI', 'SHIB', 'PEPE', 'XLM', 'FIL',
+]);
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+const HASHTAG = /(^|\s)#[\p{L}\d_]+/u;
+
+// Figures a model could invent: money ($1.2B, $40), percentages (25%), magnitudes (3.5 million, 200k)
+// and grouped quantities (10,000). Bare integers are left alone, so years ("since 2016"),
+// time spans ("24 hours", "3 days") and rankings ("top 10") never count as invented.
+const MAGNITUDE = String.raw`(?:bn|[kmbt]\b|million|billion|trillion)`;
+const NUMBER = new RegExp(String.raw`(?<![\p{L}\d/])(?:\$\d[\d,]*(?:\.\d+)?(?:\s?${MAGNITUDE})?|\d[\d,]*(?:\.\d+)?\s?(?:%|${MAGNITUDE})|\d{1,3}(?:,\d{3})+(?:\.\d+)?)(?![\d/])`, 'giu');
+
+function normalizeNumber(token) {
+  return token.toLowerCase().replace(/[\s$,]/g, '')
+    .replace(/million$/, 'm').replace(/billion$/, 'b').replace(/trillion$/, 't').replace(/bn$/, 'b');
+}
+
+function extractTickers(text) {
+  const tickers = new Set();
+  for (const [, cashtag] of text.matchAll(/\$([A-Za-z]{2,10})\b/g)) tickers.add(cashtag.toUpperCase());
+  for (const word of text.match(/\b[A-Z]{2,6}\b/g) || []) {
+    if (KNOWN_TICKERS.has(word)) tickers.add(word);
+  }
+  return tickers;
+}
+
+function extractNumbers(text) {
+  return new Set((text.match(NUMBER) || []).map(normalizeNumber));
+}
+
+export function validateDraft(formatName, content, newsItem) {
+  const violations = [];
+  const text = contentToText(content) || '';
+  const lower = text.toLowerCase();
+  const segments = Array.isArray(content.posts) ? content.posts.map(post => String(post ?? '')) : [content.text || ''];
+
+  // --- Format structure and length ---
+  for (const problem of validateContent(formatName, content)) {
+    violations.push({ rule: 'length', message: problem });
+  }
+
+  const networkLimit = NETWORK_LIMITS[TARGET_NETWORK];
+  if (networkLimit && (formatName === 'tweet' || formatName === 'thread')) {
+    segments.forEach((segment, index) => {
+      if (segment.length > networkLimit) {
+        const label = Array.isArray(content.posts) ? `Post ${index + 1}` : 'Text';
+        violations.push({ rule: 'network_limit', message: `${label} exceeds the ${TARGET_NETWORK} limit of ${networkLimit} characters.` });
+      }
+    });
+  }
+
+  // --- Style ---
+  const bannedHits = BANNED_PHRASES.filter(phrase => new RegExp(`(^|[^\\p{L}])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'u').test(lower));
+  if (bannedHits.length > 0) {
+    violations.push({ rule: 'banned_phrase', message: `Banned/hype phrase(s): ${bannedHits.map(p => `"${p}"`).join(', ')}.` });
+  }
+
+  if (EMOJI.test(text)) violations.push({ rule: 'emoji', message: 'Contains emoji.' });
+  if (HASHTAG.test(text)) violations.push({ rule: 'hashtag', message: 'Contains hashtags.' });
+
+  // --- Facts not in the source (title, tagged assets, the extracted article and the market snapshot) ---
+  const sourceText = [
+    newsItem.title, [...(newsItem.currencies || []), ...(newsItem.assets || [])].join(' '), newsItem.article_summary, newsItem.article_excerpt,
+    marketContextText(newsItem.market_context),
+  ].filter(Boolean).join(' ');
+  // Titles are often Title Case ("Eth ETF"), article prose isn't, so only the title is upcased
+  const sourceTickers = extractTickers(`${String(newsItem.title || '').toUpperCase()} ${sourceText}`);
+  const inventedTickers = [...extractTickers(text)].filter(t => !sourceTickers.has(t));
+  if (inventedTickers.length > 0) {
+    violations.push({ rule: 'invented_ticker', message: `Tickers not in the source: ${inventedTickers.join(', ')}.` });
+  }
+
+  const sourceNumbers = extractNumbers(sourceText);
+  // Thread numbering ("1/") never matches NUMBER, so only real figures are checked
+  const inventedNumbers = [...extractNumbers(text)].filter(n => !sourceNumbers.has(n));
+  if (inventedNumbers.length > 0) {
+    violations.push({ rule: 'invented_number', message: `Numbers not in the source: ${inventedNumbers.join(', ')}.` });
+  }
+
+  return violations;
+}
+
+// Prompt suffix asking the model to fix the previous attempt
+export function violationFeedback(violations) {
+  return `
+
+    YOUR PREVIOUS ATTEMPT WAS REJECTED FOR THESE REASONS. Write a new version that fixes all of them:
+    ${violations.map(v => `- ${v.message}`).join('\n    ')}
+    Only use numbers and tickers that appear in the news title or article content.`;
+}
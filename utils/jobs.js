@@ -0,0 +1,140 @@
+import { supabase } from './supabase.js';
+
+// Supabase-backed draft generation queue ('draft_jobs').
+// Lifecycle: pending -> running -> succeeded
+//                              \-> failed (retried after backoff) -> ... -> dead_lettered
+// Jobs are keyed on news_id, so enqueuing the same story twice is a no-op.
+
+export const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_SECONDS = Number(process.env.JOB_BASE_BACKOFF_SECONDS) || 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// A job stuck in 'running' longer than this is assumed to belong to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+export async function enqueueDraftJob(newsId) {
+  const { data, error } = await supabase
+    .from('draft_jobs')
+    .upsert(
+      { news_id: String(newsId), status: 'pending', max_attempts: MAX_ATTEMPTS },
+      { onConflict: 'news_id', ignoreDuplicates: true }
+    )
+    .select('id');
+
+  if (error) throw error;
+
+  // ignoreDuplicates returns no row when a job already existed
+  return { enqueued: data.length > 0 };
+}
+
+// Claims up to `limit` due jobs. Each claim is a conditional update on the job's
+// current status, so two overlapping workers can never run the same job.
+export async function claimDueJobs(limit) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MINUTES * 60 * 1000).toISOString();
+
+  const { data: candidates, error } = await supabase
+    .from('draft_jobs')
+    .select('id, status, attempts')
+    .or(`and(status.in.(pending,failed),next_run_at.lte.${now.toISOString()}),and(status.eq.running,locked_at.lt.${staleBefore})`)
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const claimed = [];
+
+  for (const candidate of candidates) {
+    const { data: job, error: claimError } = await supabase
+      .from('draft_jobs')
+      .update({
+        status: 'running',
+        attempts: candidate.attempts + 1,
+        locked_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status)
+      .eq('attempts', candidate.attempts)
+      .select('*, trending_news (*)')
+      .maybeSingle();
+
+    if (claimError) {
+      console.error(`Error claiming job ${candidate.id}:`, claimError.message);
+      continue;
+    }
+
+    // Another worker got there first
+    if (job) claimed.push(job);
+  }
+
+  return claimed;
+}
+
+export async function markJobSucceeded(job) {
+  const { error } = await supabase
+    .from('draft_jobs')
+    .update({ status: 'succeeded', last_error: null, locked_at: null, updated_at: new Date().toISOString() })
+    .eq('id', job.id);
+
+  if (error) throw error;
+}
+
+// Exponential backoff with jitter: 1m, 2m, 4m, 8m... capped at 6h.
+// Honors a provider's retry-after hint when it is longer.
+export function backoffSeconds(attempts, retryAfter = 0) {
+  const exponential = Math.min(MAX_BACKOFF_SECONDS, BASE_BACKOFF_SECONDS * Math.pow(2, Math.max(0, attempts - 1)));
+  const jitter = Math.random() * exponential * 0.2;
+  return Math.max(retryAfter, Math.round(exponential + jitter));
+}
+
+export async function markJobFailed(job, failure) {
+  const deadLettered = job.attempts >= (job.max_attempts || MAX_ATTEMPTS);
+  const delay = backoffSeconds(job.attempts, failure.retryAfter);
+
+  const { error } = await supabase
+    .from('draft_jobs')
+    .update({
+      status: deadLettered ? 'dead_lettered' : 'failed',
+      last_error: failure.message,
+      locked_at: null,
+      next_run_at: new Date(Date.now() + delay * 1000).toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+
+  return { deadLettered, retryInSeconds: deadLettered ? null : delay };
+}
+
+// Manual re-queue from the dashboard: a fresh set of attempts, due immediately
+export async function requeueJob(jobId) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('draft_jobs')
+    .update({ status: 'pending', attempts: 0, last_error: null, locked_at: null, next_run_at: now, updated_at: now })
+    .eq('id', jobId)
+    .in('status', ['failed', 'dead_lettered'])
+    .select('id');
+
+  if (error) throw error;
+  return { requeued: data.length > 0 };
+}
+
+// Queues a fresh generation for a story that already has a draft (the caller supersedes the old one).
+// Upserts because drafts created through the webhook never had a job row.
+export async function requeueForRegeneration(newsId) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('draft_jobs')
+    .upsert(
+      {
+        news_id: String(newsId), status: 'pending', attempts: 0, max_attempts: MAX_ATTEMPTS,
+        last_error: null, locked_at: null, next_run_at: now, updated_at: now,
+      },
+      { onConflict: 'news_id' }
+    );
+
+  if (error) throw error;
+}
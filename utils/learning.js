@@ -0,0 +1,186 @@
+import { supabase } from './supabase.js';
+import { geminiClient } from './llm/gemini.js';
+import { recencyWeightedScore } from './engagement.js';
+
+// Learning-context retrieval: approved posts most similar to the current story (pgvector),
+// topped up with a few global top performers so the model still sees the house style.
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-004';
+const EMBEDDING_DIMENSIONS = 768;
+
+const SIMILAR_COUNT = Number(process.env.LEARNING_SIMILAR_COUNT) || 6;
+const GLOBAL_COUNT = Number(process.env.LEARNING_GLOBAL_COUNT) || 4;
+const SIMILARITY_THRESHOLD = Number(process.env.LEARNING_SIMILARITY_THRESHOLD) || 0.6;
+
+// Recent rejections shown as "don't write like this". Only reasons about the writing itself:
+// off_topic and duplicate say nothing about the text (off_topic tunes the collector instead).
+const REJECTED_COUNT = Number(process.env.LEARNING_REJECTED_COUNT) || 5;
+const REJECTED_WINDOW_DAYS = 30;
+const NEGATIVE_REASONS = ['wrong_take', 'factually_wrong', 'too_hypey'];
+
+const REASON_LABELS = {
+  wrong_take: 'wrong take',
+  factually_wrong: 'factually wrong',
+  too_hypey: 'too hypey',
+};
+
+// Approved posts are embedded lazily, a few per generation, so no separate backfill job is needed
+const BACKFILL_BATCH = 5;
+
+export async function embedText(text) {
+  const response = await geminiClient().models.embedContent({
+    model: EMBEDDING_MODEL,
+    contents: text,
+    config: { outputDimensionality: EMBEDDING_DIMENSIONS },
+  });
+
+  return response.embeddings[0].values;
+}
+
+async function backfillEmbeddings() {
+  const { data: pending, error } = await supabase
+    .from('draft_posts')
+    .select('id, final_approved_post')
+    .not('final_approved_post', 'is', null)
+    .is('embedding', null)
+    .order('posted_date', { ascending: false })
+    .limit(BACKFILL_BATCH);
+
+  if (error) throw error;
+
+  for (const post of pending) {
+    const embedding = await embedText(post.final_approved_post);
+    const { error: updateError } = await supabase
+      .from('draft_posts')
+      .update({ embedding: JSON.stringify(embedding) })
+      .eq('id', post.id);
+
+    if (updateError) throw updateError;
+  }
+
+  if (pending.length > 0) console.log(`Embedded ${pending.length} approved posts`);
+}
+
+async function fetchSimilarExamples(newsItem) {
+  const queryEmbedding = await embedText(newsItem.title);
+
+  // Over-fetch, then prefer strong performers among the close matches
+  const { data, error } = await supabase.rpc('match_learning_examples', {
+    query_embedding: JSON.stringify(queryEmbedding),
+    match_threshold: SIMILARITY_THRESHOLD,
+    match_count: SIMILAR_COUNT * 3,
+  });
+
+  if (error) throw error;
+
+  return data
+    .map(p => ({ ...p, rank: p.similarity * (1 + recencyWeightedScore(p.engagement_score || 0, p.posted_date) / 100) }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, SIMILAR_COUNT);
+}
+
+async function fetchTopExamples(limit, excludeIds) {
+  const { data, error } = await supabase
+    .from('draft_posts')
+    .select('id, final_approved_post, engagement_score, posted_date')
+    .not('final_approved_post', 'is', null) // Only include posts that were actually reviewed/posted
+    .not('engagement_score', 'is', null) // Only posts with real metrics (see api/ingest-metrics.js)
+    .order('posted_date', { ascending: false })
+    .limit(100);
+
+  if (error) throw error;
+
+  return data
+    .filter(p => !excludeIds.has(p.id))
+    .map(p => ({ ...p, weighted_score: recencyWeightedScore(p.engagement_score, p.posted_date) }))
+    .sort((a, b) => b.weighted_score - a.weighted_score)
+    .slice(0, limit);
+}
+
+// Returns the prompt text plus a compact record of which examples were used,
+// which is stored on the draft so reviewers can see what influenced it.
+export async function buildLearningContext(newsItem) {
+  let similar = [];
+  let top = [];
+
+  try {
+    await backfillEmbeddings();
+    similar = await fetchSimilarExamples(newsItem);
+    console.log(`Found ${similar.length} similar examples for learning context`);
+  } catch (error) {
+    // Retrieval is an enhancement; fall back to global top performers only
+    console.error('Error fetching similar examples:', error.message);
+  }
+
+  try {
+    const globalLimit = GLOBAL_COUNT + (SIMILAR_COUNT - similar.length);
+    top = await fetchTopExamples(globalLimit, new Set(similar.map(p => p.id)));
+  } catch (error) {
+    console.error('Error fetching learning context:', error.message);
+  }
+
+  const examples = [
+    ...similar.map(p => ({ kind: 'similar', similarity: Number(p.similarity.toFixed(3)), ...p })),
+    ...top.map(p => ({ kind: 'top', similarity: null, ...p })),
+  ];
+
+  if (examples.length === 0) {
+    return { learningContext: "None available yet.", examples: [] };
+  }
+
+  // Format the successful posts into a string for the AI's context window
+  const learningContext = examples.map((p, index) =>
+    `Successful Post ${index + 1} (Score: ${p.engagement_score ?? 'n/a'}${p.kind === 'similar' ? `, related story` : ''}): "${p.final_approved_post}"`
+  ).join('\n---\n');
+
+  return {
+    learningContext,
+    examples: examples.map(p => ({
+      draft_id: p.id,
+      kind: p.kind,
+      similarity: p.similarity,
+      engagement_score: p.engagement_score,
+      text: p.final_approved_post,
+    })),
+  };
+}
+
+// Negative examples: the most recent drafts reviewers rejected for how they were written.
+// Same shape as buildLearningContext, with kind 'rejected' examples.
+export async function buildRejectionContext() {
+  const since = new Date(Date.now() - REJECTED_WINDOW_DAYS * 86400000).toISOString();
+
+  try {
+    const { data, error } = await supabase
+      .from('draft_posts')
+      .select('id, gemini_draft, rejection_reason, rejection_note')
+      .in('rejection_reason', NEGATIVE_REASONS)
+      .gte('rejected_at', since)
+      .order('rejected_at', { ascending: false })
+      .limit(REJECTED_COUNT);
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return { rejectionContext: "None yet.", examples: [] };
+    }
+
+    const rejectionContext = data.map((p, index) =>
+      `Rejected Post ${index + 1} (${REASON_LABELS[p.rejection_reason]}${p.rejection_note ? `: ${p.rejection_note}` : ''}): "${p.gemini_draft}"`
+    ).join('\n---\n');
+
+    return {
+      rejectionContext,
+      examples: data.map(p => ({
+        draft_id: p.id,
+        kind: 'rejected',
+        reason: p.rejection_reason,
+        note: p.rejection_note,
+        text: p.gemini_draft,
+      })),
+    };
+  } catch (error) {
+    console.error('Error fetching rejected examples:', error.message);
+    return { rejectionContext: "None yet.", examples: [] };
+  }
+}
@@ -0,0 +1,53 @@
+import { GoogleGenAI } from '@google/genai';
+
+// Google Gemini. Needs GEMINI_API_KEY; the model defaults to GEMINI_MODEL, then gemini-2.5-pro.
+// The client is created on first use, so importing this module needs no key (mock-only runs, scripts).
+let client = null;
+
+export function geminiClient() {
+  if (!client) client = new GoogleGenAI({});
+  return client;
+}
+
+export default {
+  name: 'gemini',
+
+  defaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-2.5-pro';
+  },
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async generateJson({ prompt, schema, model, temperature }) {
+    let response;
+    try {
+      response = await geminiClient().models.generateContent({
+        model,
+        contents: prompt,
+        config: {
+          responseMimeType: 'application/json',
+          responseSchema: schema,
+          temperature,
+        },
+      });
+    } catch (e) {
+      if (e.message && e.message.includes('429')) {
+        const quotaError = new Error('Gemini API quota exceeded.');
+        quotaError.code = 'RATE_LIMITED';
+        quotaError.retryAfter = 60;
+        throw quotaError;
+      }
+      throw new Error(`Gemini generation failed: ${e.message}`);
+    }
+
+    return {
+      data: JSON.parse(response.text.trim()),
+      usage: {
+        prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+        output_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+      },
+    };
+  },
+};
@@ -0,0 +1,54 @@
+import gemini from './gemini.js';
+import openai from './openai.js';
+import mock from './mock.js';
+import { trackUsage } from './usage.js';
+
+// Every provider exposes { name, defaultModel(), isConfigured(), generateJson({ prompt, schema, model, temperature }) },
+// where generateJson resolves to { data, usage: { prompt_tokens, output_tokens } } and throws on failure
+// (quota errors carry `code: 'RATE_LIMITED'` and `retryAfter` in seconds).
+export const providers = [gemini, openai, mock];
+
+export function getProvider(name) {
+  return providers.find(provider => provider.name === name);
+}
+
+// LLM_PROVIDERS is the fallback order, optionally with a model per entry:
+//   LLM_PROVIDERS="gemini:gemini-2.5-pro,gemini:gemini-2.5-flash,openai"
+// Entries without a model use the provider's default. Unset means Gemini only.
+export function providerChain(spec = process.env.LLM_PROVIDERS || 'gemini') {
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, ...model] = entry.split(':');
+    const provider = getProvider(name);
+    if (!provider) throw new Error(`Unknown LLM provider "${name}" in LLM_PROVIDERS.`);
+    return { provider, model: model.join(':') || provider.defaultModel() };
+  });
+}
+
+// Scripts and tests can swap the chain without touching the environment:
+//   overrideProviders([{ provider: getProvider('mock'), model: 'mock' }]) ... overrideProviders(null)
+let chainOverride = null;
+
+export function overrideProviders(chain) {
+  chainOverride = chain;
+}
+
+// Structured JSON generation with fallback: each configured entry is tried in order until one succeeds.
+// Resolves to { data, provider, model }. When every entry fails, a quota error wins over the others
+// so job retries are scheduled with its retryAfter.
+export async function generateJson({ prompt, schema, temperature = 0.8 }) {
+  const chain = (chainOverride || providerChain()).filter(({ provider }) => provider.isConfigured());
+  if (chain.length === 0) throw new Error('No LLM provider is configured (check LLM_PROVIDERS and the provider API keys).');
+
+  const errors = [];
+  for (const { provider, model } of chain) {
+    try {
+      const { data } = await trackUsage(() => provider.generateJson({ prompt, schema, model, temperature }));
+      return { data, provider: provider.name, model };
+    } catch (error) {
+      console.error(`LLM ${provider.name}/${model} error:`, error.message);
+      errors.push(error);
+    }
+  }
+
+  throw errors.find(e => e.code === 'RATE_LIMITED') || errors[errors.length - 1];
+}
@@ -0,0 +1,63 @@
+import axios from 'axios';
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, OpenRouter, vLLM, Ollama, ...).
+// Configure OPENAI_API_KEY; OPENAI_BASE_URL defaults to api.openai.com and OPENAI_MODEL to gpt-4o-mini.
+// Set OPENAI_JSON_MODE=json_object for servers without json_schema support (the schema then goes in the prompt).
+const baseUrl = () => (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+export default {
+  name: 'openai',
+
+  defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  },
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  async generateJson({ prompt, schema, model, temperature }) {
+    const jsonObjectMode = process.env.OPENAI_JSON_MODE === 'json_object';
+
+    let data;
+    try {
+      ({ data } = await axios.post(
+        `${baseUrl()}/chat/completions`,
+        {
+          model,
+          temperature,
+          messages: [{
+            role: 'user',
+            content: jsonObjectMode ? `${prompt}\n\nRespond with JSON matching this schema:\n${JSON.stringify(schema)}` : prompt,
+          }],
+          response_format: jsonObjectMode
+            ? { type: 'json_object' }
+            : { type: 'json_schema', json_schema: { name: 'response', schema } },
+        },
+        {
+          headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+          timeout: 60000,
+        }
+      ));
+    } catch (e) {
+      if (e.response?.status === 429) {
+        const quotaError = new Error('OpenAI-compatible API quota exceeded.');
+        quotaError.code = 'RATE_LIMITED';
+        quotaError.retryAfter = Number(e.response.headers?.['retry-after']) || 60;
+        throw quotaError;
+      }
+      throw new Error(`OpenAI-compatible generation failed: ${e.response?.data?.error?.message || e.message}`);
+    }
+
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) throw new Error('OpenAI-compatible generation returned no content.');
+
+    return {
+      data: JSON.parse(content),
+      usage: {
+        prompt_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0,
+      },
+    };
+  },
+};
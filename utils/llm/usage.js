@@ -0,0 +1,28 @@
+// Running totals of LLM calls for this function instance (every provider, structured generation only).
+// Handlers take a snapshot before their work and store usageSince(snapshot) with their run (see utils/runs.js).
+const usage = { calls: 0, errors: 0, latency_ms: 0, prompt_tokens: 0, output_tokens: 0 };
+
+// Wraps one provider call, which resolves to { data, usage: { prompt_tokens, output_tokens } }
+export async function trackUsage(request) {
+  const startedAt = Date.now();
+  try {
+    const result = await request();
+    usage.calls++;
+    usage.prompt_tokens += result.usage?.prompt_tokens || 0;
+    usage.output_tokens += result.usage?.output_tokens || 0;
+    return result;
+  } catch (error) {
+    usage.errors++;
+    throw error;
+  } finally {
+    usage.latency_ms += Date.now() - startedAt;
+  }
+}
+
+export function llmUsage() {
+  return { ...usage };
+}
+
+export function usageSince(snapshot) {
+  return Object.fromEntries(Object.entries(usage).map(([key, value]) => [key, value - (snapshot[key] || 0)]));
+}
@@ -0,0 +1,57 @@
+import axios from 'axios';
+
+// CoinGecko /coins/markets. Works on the keyless public API (tight rate limits); set COINGECKO_API_KEY
+// to send a demo key. Enabled unless MARKET_COINGECKO_ENABLED=false.
+// Only tickers in COINGECKO_IDS are looked up: CoinGecko symbols aren't unique, ids are.
+export const COINGECKO_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  SOL: 'solana',
+  XRP: 'ripple',
+  BNB: 'binancecoin',
+  ADA: 'cardano',
+  DOGE: 'dogecoin',
+  AVAX: 'avalanche-2',
+  DOT: 'polkadot',
+  LINK: 'chainlink',
+  TON: 'the-open-network',
+  TRX: 'tron',
+  LTC: 'litecoin',
+  ARB: 'arbitrum',
+  OP: 'optimism',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+};
+
+const SYMBOL_BY_ID = Object.fromEntries(Object.entries(COINGECKO_IDS).map(([symbol, id]) => [id, symbol]));
+
+export default {
+  name: 'coingecko',
+
+  isConfigured() {
+    return process.env.MARKET_COINGECKO_ENABLED !== 'false';
+  },
+
+  async getQuotes(symbols) {
+    const ids = symbols.map(symbol => COINGECKO_IDS[symbol]).filter(Boolean);
+    if (ids.length === 0) return {};
+
+    const response = await axios.get('https://api.coingecko.com/api/v3/coins/markets', {
+      params: { vs_currency: 'usd', ids: ids.join(','), price_change_percentage: '24h,7d' },
+      headers: process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {},
+      timeout: 10000,
+    });
+
+    if (!Array.isArray(response.data)) {
+      throw new Error('Invalid API response structure from CoinGecko');
+    }
+
+    return Object.fromEntries(response.data.map(coin => [SYMBOL_BY_ID[coin.id], {
+      price: coin.current_price,
+      change_24h: coin.price_change_percentage_24h_in_currency ?? coin.price_change_percentage_24h ?? null,
+      change_7d: coin.price_change_percentage_7d_in_currency ?? null,
+      volume_24h: coin.total_volume,
+      market_cap: coin.market_cap,
+    }]));
+  },
+};
@@ -0,0 +1,26 @@
+import { readFile } from 'fs/promises';
+
+// Fixed quotes from a JSON file, for trying the market context without hitting a price API.
+// Enable with MARKET_FIXTURE_ENABLED=true; MARKET_FIXTURE_PATH points at another file with the
+// same shape as fixtures.json. Set MARKET_FIXTURE_FAIL=true to simulate a provider outage.
+export let fixtureReads = 0;
+
+export default {
+  name: 'fixture',
+
+  isConfigured() {
+    return process.env.MARKET_FIXTURE_ENABLED === 'true';
+  },
+
+  async getQuotes(symbols) {
+    if (process.env.MARKET_FIXTURE_FAIL === 'true') {
+      throw new Error('Fixture market provider failure (MARKET_FIXTURE_FAIL=true).');
+    }
+
+    const path = process.env.MARKET_FIXTURE_PATH || new URL('./fixtures.json', import.meta.url);
+    const fixtures = JSON.parse(await readFile(path, 'utf8'));
+    fixtureReads++;
+
+    return Object.fromEntries(symbols.filter(symbol => fixtures[symbol]).map(symbol => [symbol, fixtures[symbol]]));
+  },
+};
@@ -0,0 +1,85 @@
+import fixture from './fixture.js';
+import coingecko from './coingecko.js';
+
+// Market context for drafts: recent price change, volume and market cap for the assets a story is tagged with.
+// Every provider exposes { name, isConfigured(), getQuotes(symbols) }, where getQuotes resolves to
+// { [SYMBOL]: { price, change_24h, change_7d, volume_24h, market_cap } } in USD (changes in percent)
+// and leaves out symbols it doesn't know. The first configured provider is used, so the fixture wins when enabled.
+export const providers = [fixture, coingecko];
+
+// Quotes are reused for this long within one function instance
+const CACHE_SECONDS = Number(process.env.MARKET_CACHE_SECONDS) || 300;
+
+// At most this many assets per draft; more than that is a roundup, not a story about an asset
+const MAX_ASSETS = 5;
+
+// "provider:SYMBOL" -> { quote, fetchedAt }
+const cache = new Map();
+
+export function getMarketProvider() {
+  return providers.find(provider => provider.isConfigured()) || null;
+}
+
+// The snapshot stored on the draft: { provider, as_of, quotes: [{ symbol, price, ... }] },
+// or null if the item has no assets or no provider had data. Never throws: a draft without
+// market context is better than no draft.
+export async function getMarketContext(assets, now = Date.now()) {
+  const provider = getMarketProvider();
+  const symbols = [...new Set((assets || []).map(asset => String(asset).toUpperCase()))].slice(0, MAX_ASSETS);
+  if (!provider || symbols.length === 0) return null;
+
+  const cached = (symbol) => {
+    const hit = cache.get(`${provider.name}:${symbol}`);
+    return hit && now - hit.fetchedAt < CACHE_SECONDS * 1000 ? hit : null;
+  };
+
+  const missing = symbols.filter(symbol => !cached(symbol));
+  if (missing.length > 0) {
+    try {
+      const quotes = await provider.getQuotes(missing);
+      missing.filter(symbol => quotes[symbol]).forEach(symbol => {
+        cache.set(`${provider.name}:${symbol}`, { quote: quotes[symbol], fetchedAt: now });
+      });
+    } catch (error) {
+      console.error(`Market data from ${provider.name} failed:`, error.message);
+    }
+  }
+
+  const hits = symbols.map(symbol => [symbol, cached(symbol)]).filter(([, hit]) => hit);
+  if (hits.length === 0) return null;
+
+  return {
+    provider: provider.name,
+    as_of: new Date(Math.min(...hits.map(([, hit]) => hit.fetchedAt))).toISOString(),
+    quotes: hits.map(([symbol, hit]) => ({ symbol, ...hit.quote })),
+  };
+}
+
+// $1.33T, $31.2B, $450.0M
+function compactUsd(value) {
+  for (const [unit, size] of [['T', 1e12], ['B', 1e9], ['M', 1e6]]) {
+    if (value >= size) return `$${(value / size).toFixed(value >= size * 100 ? 0 : value >= size * 10 ? 1 : 2)}${unit}`;
+  }
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+const priceUsd = (price) => `$${price >= 1000 ? Math.round(price).toLocaleString('en-US') : price >= 1 ? price.toFixed(2) : Number(price.toPrecision(4))}`;
+// +2.4%, -0.9%; anything that rounds to zero is plain 0.0% rather than -0.0%
+const signedPercent = (value) => {
+  const rounded = Number(value.toFixed(1)) || 0;
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}%`;
+};
+
+// One line per asset for the prompt. The guardrails (utils/guardrails.js) read the same text,
+// so a figure the model quotes exactly as written here doesn't count as invented.
+export function marketContextText(context) {
+  if (!context?.quotes?.length) return '';
+
+  return context.quotes.map(quote => [
+    `${quote.symbol}: ${quote.price != null ? priceUsd(quote.price) : 'price n/a'}`,
+    quote.change_24h != null ? `${signedPercent(quote.change_24h)} 24h` : null,
+    quote.change_7d != null ? `${signedPercent(quote.change_7d)} 7d` : null,
+    quote.volume_24h != null ? `24h volume ${compactUsd(quote.volume_24h)}` : null,
+    quote.market_cap != null ? `market cap ${compactUsd(quote.market_cap)}` : null,
+  ].filter(Boolean).join(', ')).join('\n');
+}
@@ -0,0 +1,19 @@
+import axios from 'axios';
+
+// Discord channel webhook. Configure DISCORD_WEBHOOK_URL (Channel settings > Integrations > Webhooks).
+export default {
+  name: 'discord',
+
+  isConfigured() {
+    return Boolean(process.env.DISCORD_WEBHOOK_URL);
+  },
+
+  async send({ title, text, url }) {
+    await axios.post(
+      process.env.DISCORD_WEBHOOK_URL,
+      // Embed titles are capped at 256 characters
+      { embeds: [{ title: title.slice(0, 256), url, description: text, color: 0xef4444 }] },
+      { timeout: 10000 }
+    );
+  },
+};
@@ -0,0 +1,12 @@
+import slack from './slack.js';
+import discord from './discord.js';
+import telegram from './telegram.js';
+import mock from './mock.js';
+
+// Every connector exposes { name, isConfigured(), send({ title, text, url }) }, where send resolves
+// once the message is accepted and throws on failure. `text` is plain text; `url` links to the card.
+export const notifiers = [slack, discord, telegram, mock];
+
+export function getConfiguredNotifiers() {
+  return notifiers.filter(notifier => notifier.isConfigured());
+}
@@ -0,0 +1,20 @@
+// Local stand-in for a chat webhook, for trying the breaking-news alerts without a real workspace.
+// Enable with NOTIFY_MOCK_ENABLED=true; set NOTIFY_MOCK_FAIL=true to simulate a delivery failure.
+export const mockNotifications = [];
+
+export default {
+  name: 'mock',
+
+  isConfigured() {
+    return process.env.NOTIFY_MOCK_ENABLED === 'true';
+  },
+
+  async send({ title, text, url }) {
+    if (process.env.NOTIFY_MOCK_FAIL === 'true') {
+      throw new Error('Mock notifier failure (NOTIFY_MOCK_FAIL=true).');
+    }
+
+    mockNotifications.push({ title, text, url, sentAt: new Date().toISOString() });
+    console.log(`[mock notifier] ${title} -> ${url}`);
+  },
+};
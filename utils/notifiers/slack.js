@@ -0,0 +1,20 @@
+import axios from 'axios';
+
+// Slack incoming webhook. Configure SLACK_WEBHOOK_URL (Apps > Incoming Webhooks).
+// &, < and > are control characters in Slack's mrkdwn links
+const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+export default {
+  name: 'slack',
+
+  isConfigured() {
+    return Boolean(process.env.SLACK_WEBHOOK_URL);
+  },
+
+  async send({ title, text, url }) {
+    await axios.post(
+      process.env.SLACK_WEBHOOK_URL,
+      { text: `*<${url}|${escape(title)}>*\n${escape(text)}` },
+      { timeout: 10000 }
+    );
+  },
+};
@@ -0,0 +1,23 @@
+import axios from 'axios';
+
+// Telegram bot message. Configure TELEGRAM_BOT_TOKEN (from @BotFather) and TELEGRAM_CHAT_ID
+// (a user, group or channel the bot can post to).
+export default {
+  name: 'telegram',
+
+  isConfigured() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID);
+  },
+
+  async send({ title, text, url }) {
+    await axios.post(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      {
+        chat_id: process.env.TELEGRAM_CHAT_ID,
+        text: `${title}\n${text}\n${url}`,
+        disable_web_page_preview: true,
+      },
+      { timeout: 10000 }
+    );
+  },
+};
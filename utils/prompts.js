@@ -0,0 +1,98 @@
+import { supabase } from './supabase.js';
+
+// Personas and prompt templates live in Supabase as versioned rows ('personas', 'prompt_templates')
+// and are edited from the dashboard's Prompts tab. The defaults below are only used until
+// the tables have an active row, or if they can't be reached.
+
+// Each persona has a stable key so we can track which angle reviewers pick most often
+export const DEFAULT_PERSONAS = [
+  { id: null, version: 0, key: 'veteran', description: "A skeptical market veteran who has seen every cycle since 2016." },
+  { id: null, version: 0, key: 'researcher', description: "A deep-tech researcher focused on protocol utility and developer adoption." },
+  { id: null, version: 0, key: 'macro', description: "A macro-focused investor looking at liquidity flows and market structure." },
+];
+
+// Placeholders: {{persona}}, {{title}}, {{url}}, {{sentiment}}, {{article}}, {{market}}, {{learning_context}}, {{rejections}}, {{task}}
+// ({{task}} is the output-format instructions from utils/formats.js, {{article}} the extracted
+// article summary and excerpt from utils/article.js, {{market}} price data for the story's assets
+// from utils/market, {{rejections}} recently rejected drafts)
+export const DEFAULT_TEMPLATE = {
+  id: null,
+  version: 0,
+  name: 'default',
+  body: `
+    SYSTEM INSTRUCTION: You are {{persona}} You don't just report news; you interpret it through the lens of market structure, narrative cycles, and second-order effects. You are not a corporate bot. You are a conviction-based thought leader.
+
+    YOUR WRITING STYLE:
+    - **Authoritative & Opinionated:** Don't hedge. State clearly what this means for the industry.
+    - **High Signal:** Use industry-native terminology correctly (e.g., "liquidity fragmentation," "validator economics," "narrative rotation").
+    - **Connect the Dots:** Don't just summarize. Mention the hidden implication (e.g., "This acts as a vampire attack on Protocol X" or "This confirms the rotation out of L1s").
+    - **Tone:** Sophisticated, "insider" vibe. Not overly formal, but not sloppy.
+    - **Format:** Short, punchy sentences. Follow the TASK below for length and structure.
+
+    LEARNING CONTEXT (The user likes these past examples):
+    ---
+{{learning_context}}
+---
+
+    AVOID (recently rejected drafts and why - don't repeat these mistakes):
+    ---
+{{rejections}}
+---
+
+    CURRENT NEWS TO ANALYZE:
+    Title: {{title}}
+    Source URL: {{url}}
+    CryptoPanic Sentiment: {{sentiment}}
+
+    ARTICLE CONTENT (base your facts on this, not on guesses):
+    {{article}}
+
+    MARKET CONTEXT (quote these figures exactly as written, or not at all):
+    {{market}}
+
+{{task}}
+  `,
+};
+
+// Loads the active template and the active version of each persona.
+export async function loadActivePrompt() {
+  let template = DEFAULT_TEMPLATE;
+  let personas = DEFAULT_PERSONAS;
+
+  try {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('id, name, version, body')
+      .eq('is_active', true)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) template = data;
+  } catch (error) {
+    console.error('Error loading prompt template, using default:', error.message);
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('personas')
+      .select('id, key, version, description')
+      .eq('is_active', true)
+      .order('key', { ascending: true });
+
+    if (error) throw error;
+    if (data.length > 0) personas = data;
+  } catch (error) {
+    console.error('Error loading personas, using defaults:', error.message);
+  }
+
+  return { template, personas };
+}
+
+// Replaces {{name}} placeholders; unknown placeholders are left in place so typos are visible in the output
+export function renderTemplate(body, variables) {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder
+  );
+}
@@ -0,0 +1,44 @@
+import axios from 'axios';
+
+// Bluesky via the AT Protocol. Configure BLUESKY_HANDLE and BLUESKY_APP_PASSWORD
+// (an app password, not the account password); BLUESKY_SERVICE defaults to bsky.social.
+const service = () => process.env.BLUESKY_SERVICE || 'https://bsky.social';
+
+export default {
+  name: 'bluesky',
+  label: 'Bluesky',
+  maxLength: 300,
+
+  isConfigured() {
+    return Boolean(process.env.BLUESKY_HANDLE && process.env.BLUESKY_APP_PASSWORD);
+  },
+
+  async publish(text) {
+    const { data: session } = await axios.post(
+      `${service()}/xrpc/com.atproto.server.createSession`,
+      { identifier: process.env.BLUESKY_HANDLE, password: process.env.BLUESKY_APP_PASSWORD },
+      { timeout: 15000 }
+    );
+
+    const { data: record } = await axios.post(
+      `${service()}/xrpc/com.atproto.repo.createRecord`,
+      {
+        repo: session.did,
+        collection: 'app.bsky.feed.post',
+        record: {
+          $type: 'app.bsky.feed.post',
+          text,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      {
+        headers: { 'Authorization': `Bearer ${session.accessJwt}` },
+        timeout: 15000,
+      }
+    );
+
+    // at://did:plc:.../app.bsky.feed.post/<rkey>
+    const rkey = record.uri.split('/').pop();
+    return { postId: record.uri, url: `https://bsky.app/profile/${session.handle}/post/${rkey}` };
+  },
+};
@@ -0,0 +1,15 @@
+import x from './x.js';
+import bluesky from './bluesky.js';
+import mock from './mock.js';
+
+// Every connector exposes { name, label, maxLength, isConfigured(), publish(text) },
+// where publish resolves to { postId, url } and throws on failure.
+export const publishers = [x, bluesky, mock];
+
+export function getPublisher(name) {
+  return publishers.find(publisher => publisher.name === name);
+}
+
+export function getConfiguredPublishers() {
+  return publishers.filter(publisher => publisher.isConfigured());
+}
@@ -0,0 +1,25 @@
+// Local stand-in for a real network, for trying the publishing flow without live credentials.
+// Enable with PUBLISH_MOCK_ENABLED=true; set PUBLISH_MOCK_FAIL=true to simulate a posting failure.
+export const mockPosts = [];
+
+export default {
+  name: 'mock',
+  label: 'Mock (no real post)',
+  maxLength: 280,
+
+  isConfigured() {
+    return process.env.PUBLISH_MOCK_ENABLED === 'true';
+  },
+
+  async publish(text) {
+    if (process.env.PUBLISH_MOCK_FAIL === 'true') {
+      throw new Error('Mock publisher failure (PUBLISH_MOCK_FAIL=true).');
+    }
+
+    const postId = `mock-${Date.now()}-${mockPosts.length + 1}`;
+    mockPosts.push({ postId, text, publishedAt: new Date().toISOString() });
+    console.log(`[mock publisher] ${postId}: ${text}`);
+
+    return { postId, url: `https://example.com/mock/${postId}` };
+  },
+};
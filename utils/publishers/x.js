@@ -0,0 +1,32 @@
+import axios from 'axios';
+
+// X/Twitter via the v2 API. Needs an OAuth 2.0 user-context access token with tweet.write scope
+// in X_ACCESS_TOKEN (app-only bearer tokens cannot post).
+export default {
+  name: 'x',
+  label: 'X / Twitter',
+  maxLength: 280,
+
+  isConfigured() {
+    return Boolean(process.env.X_ACCESS_TOKEN);
+  },
+
+  async publish(text) {
+    const response = await axios.post(
+      'https://api.x.com/2/tweets',
+      { text },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.X_ACCESS_TOKEN}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 15000,
+      }
+    );
+
+    const postId = response.data?.data?.id;
+    if (!postId) throw new Error('X did not return a post ID.');
+
+    return { postId, url: `https://x.com/i/web/status/${postId}` };
+  },
+};
@@ -0,0 +1,218 @@
+import { supabase } from './supabase.js';
+import { getPublisher } from './publishers/index.js';
+import { loadScheduleSettings, staleReason } from './scheduler.js';
+import { recordAudit } from './audit.js';
+
+// Publishing state lives in 'publications': one row per (draft, network).
+// Lifecycle: scheduled -> publishing -> published | failed (failed rows can be retried).
+// Scheduled rows about news that has gone stale are parked as 'held' until a reviewer releases them.
+
+// The outcome write after a post is retried this many times, a little longer apart each time
+const OUTCOME_SAVE_ATTEMPTS = 3;
+const OUTCOME_SAVE_DELAY_MS = 500;
+
+// A row still 'publishing' after this long lost its outcome (see recoverStuckPublications)
+const STUCK_PUBLISHING_MINUTES = 15;
+
+// Only approved drafts that are still current may go out. Returns why a draft can't be posted, or null.
+export async function publishBlocker(draftId) {
+  const { data: draft, error } = await supabase
+    .from('draft_posts')
+    .select('id, is_reviewed, superseded_at')
+    .eq('id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!draft) return 'Draft not found.';
+  if (!draft.is_reviewed) return 'Only approved drafts can be published.';
+  if (draft.superseded_at) return 'Draft was replaced by a regenerated version.';
+  return null;
+}
+
+// Creates (or resets) a publication row for each network. Rows due now are published right away
+// by the caller; future ones are picked up by api/publish-scheduled.js.
+// Networks the draft is already published (or being published) on are left alone, so asking twice
+// never posts twice; only the rows actually queued are returned.
+export async function schedulePublications(draftId, networks, scheduledFor = null) {
+  const { data: existing, error: existingError } = await supabase
+    .from('publications')
+    .select('network')
+    .eq('draft_id', String(draftId))
+    .in('network', networks);
+
+  if (existingError) throw existingError;
+
+  const known = new Set(existing.map(row => row.network));
+  const fields = {
+    status: 'scheduled',
+    scheduled_for: scheduledFor ? new Date(scheduledFor).toISOString() : new Date().toISOString(),
+    error: null,
+    post_id: null,
+    post_url: null,
+    published_at: null,
+  };
+
+  const queued = [];
+  for (const network of networks) {
+    // The status guard is checked in the same statement, so a row the worker is posting right now can't be reset
+    const query = known.has(network)
+      ? supabase
+        .from('publications')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('draft_id', String(draftId))
+        .eq('network', network)
+        .not('status', 'in', '(published,publishing)')
+      : supabase
+        .from('publications')
+        .insert({ draft_id: String(draftId), network, ...fields });
+
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw error;
+    if (data) queued.push(data);
+  }
+
+  return queued;
+}
+
+// Posts one publication through its connector and records the outcome on the row.
+// The status-guarded claim keeps the cron and a manual retry from double-posting.
+// actor is the dashboard user who triggered it (null when the scheduler did), for the audit log.
+export async function runPublication(publication, actor = null) {
+  const { data: claimed, error: claimError } = await supabase
+    .from('publications')
+    .update({ status: 'publishing', updated_at: new Date().toISOString() })
+    .eq('id', publication.id)
+    .in('status', ['scheduled', 'failed'])
+    .select('*, draft_posts (final_approved_post, output_format, is_reviewed, superseded_at)')
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return { ...publication, skipped: true };
+
+  let outcome;
+  try {
+    const publisher = getPublisher(claimed.network);
+    if (!publisher || !publisher.isConfigured()) {
+      throw new Error(`Publisher "${claimed.network}" is not configured.`);
+    }
+
+    // Checked again at post time: a scheduled row can outlive its draft's approval
+    if (!claimed.draft_posts?.is_reviewed || claimed.draft_posts.superseded_at) {
+      throw new Error('Draft is no longer approved.');
+    }
+
+    const format = claimed.draft_posts?.output_format || 'tweet';
+    if (format !== 'tweet') {
+      throw new Error(`Only single posts can be published automatically; this draft is a ${format}.`);
+    }
+
+    const text = claimed.draft_posts?.final_approved_post;
+    if (!text) throw new Error('Draft has no approved text to publish.');
+    if (text.length > publisher.maxLength) {
+      throw new Error(`Text is ${text.length} characters; ${publisher.label} allows ${publisher.maxLength}.`);
+    }
+
+    const { postId, url } = await publisher.publish(text);
+    console.log(`Published draft ${claimed.draft_id} to ${claimed.network}: ${url}`);
+
+    outcome = { status: 'published', post_id: postId, post_url: url, published_at: new Date().toISOString(), error: null };
+  } catch (error) {
+    // Surface the network's own error message when there is one
+    const message = error.response?.data?.detail || error.response?.data?.message || error.message;
+    console.error(`Publishing draft ${claimed.draft_id} to ${claimed.network} failed:`, message);
+
+    outcome = { status: 'failed', error: message };
+  }
+
+  const updated = await saveOutcome(claimed, outcome);
+
+  if (updated.status === 'published') {
+    await recordAudit({
+      draftId: claimed.draft_id, actor, action: 'published', after: claimed.draft_posts?.final_approved_post,
+      details: { network: claimed.network, post_url: updated.post_url },
+    });
+  }
+
+  return updated;
+}
+
+// Records how a publication went. A post that went out must not be lost to a flaky write, so the update is
+// retried; if it still fails, the post id and url are logged and the row is left for recoverStuckPublications.
+async function saveOutcome(claimed, outcome) {
+  let lastError;
+  for (let attempt = 1; attempt <= OUTCOME_SAVE_ATTEMPTS; attempt++) {
+    const { data, error } = await supabase
+      .from('publications')
+      .update({ ...outcome, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id)
+      .select()
+      .single();
+
+    if (!error) return data;
+    lastError = error;
+    console.error(`Saving the outcome of publication ${claimed.id} failed (attempt ${attempt}):`, error.message);
+    if (attempt < OUTCOME_SAVE_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, attempt * OUTCOME_SAVE_DELAY_MS));
+  }
+
+  if (outcome.status === 'published') {
+    console.error(`Publication ${claimed.id} WAS posted to ${claimed.network} (post ${outcome.post_id}, ${outcome.post_url}) but could not be recorded.`);
+  }
+  throw lastError;
+}
+
+// Rows left in 'publishing' by a crash or a lost outcome write. Nobody knows whether the post went out,
+// so they become 'failed' with a note to check the network first; a retry from the dashboard is then possible.
+export async function recoverStuckPublications() {
+  const stuckBefore = new Date(Date.now() - STUCK_PUBLISHING_MINUTES * 60000).toISOString();
+
+  const { data, error } = await supabase
+    .from('publications')
+    .update({
+      status: 'failed',
+      error: 'Publishing did not finish; check the network for the post before retrying.',
+      updated_at: new Date().toISOString(),
+    })
+    .eq('status', 'publishing')
+    .lt('updated_at', stuckBefore)
+    .select('id, draft_id, network');
+
+  if (error) throw error;
+  data.forEach(row => console.warn(`Publication ${row.id} (draft ${row.draft_id}, ${row.network}) was stuck publishing; marked failed.`));
+  return data;
+}
+
+export async function publishDue(limit = 10) {
+  await recoverStuckPublications();
+  const settings = await loadScheduleSettings();
+
+  const { data: due, error } = await supabase
+    .from('publications')
+    .select('*, draft_posts (trending_news (created_at))')
+    .eq('status', 'scheduled')
+    .lte('scheduled_for', new Date().toISOString())
+    .order('scheduled_for', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const results = [];
+  for (const { draft_posts: draft, ...publication } of due) {
+    const reason = publication.stale_override ? null : staleReason(settings, draft?.trending_news?.created_at);
+
+    if (reason) {
+      console.warn(`Holding stale publication ${publication.id}: ${reason}`);
+      const { error: holdError } = await supabase
+        .from('publications')
+        .update({ status: 'held', stale_reason: reason, updated_at: new Date().toISOString() })
+        .eq('id', publication.id)
+        .eq('status', 'scheduled');
+
+      if (holdError) console.error(`Could not hold publication ${publication.id}:`, holdError.message);
+      results.push({ ...publication, status: 'held', stale_reason: reason });
+      continue;
+    }
+
+    results.push(await runPublication(publication));
+  }
+  return results;
+}
@@ -0,0 +1,44 @@
+import { supabase } from './supabase.js';
+
+// Per-tag routing rules ('routing_rules'), applied by the collector once an item is tagged (utils/tagging.js).
+// A rule matches when the item has at least one of its match_assets (if any) and at least one of
+// its match_topics (if any). Rules are checked by priority, highest first; for each setting
+// (skip_draft, persona, format, inbox_priority) the first matching rule that sets it wins.
+
+export async function loadRoutingRules() {
+  const { data, error } = await supabase
+    .from('routing_rules')
+    .select('id, name, match_assets, match_topics, skip_draft, persona, format, inbox_priority')
+    .eq('is_active', true)
+    .order('priority', { ascending: false });
+
+  if (error) {
+    // Without rules every item is drafted with the defaults, as before routing existed
+    console.error('Error loading routing rules:', error.message);
+    return [];
+  }
+  return data;
+}
+
+const overlaps = (wanted, actual) => !wanted?.length || wanted.some(tag => actual.includes(tag));
+
+// Returns { skip_draft, persona, format, inbox_priority, rules } for one tagged item
+export function routeItem(item, rules) {
+  const assets = (item.assets || []).map(a => a.toUpperCase());
+  const topics = item.topics || [];
+  const route = { skip_draft: false, persona: null, format: null, inbox_priority: 0, rules: [] };
+  const decided = new Set();
+
+  for (const rule of rules) {
+    if (!overlaps(rule.match_assets?.map(a => a.toUpperCase()), assets) || !overlaps(rule.match_topics, topics)) continue;
+    route.rules.push(rule.name || rule.id);
+
+    for (const field of ['skip_draft', 'persona', 'format', 'inbox_priority']) {
+      if (decided.has(field) || rule[field] == null) continue;
+      route[field] = rule[field];
+      decided.add(field);
+    }
+  }
+
+  return route;
+}
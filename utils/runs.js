@@ -0,0 +1,29 @@
+import { supabase } from './supabase.js';
+import { usageSince } from './llm/usage.js';
+
+// Per-run counters for the Analytics tab ('collector_runs').
+// kind 'collect' (api/collect-news.js) or 'worker' (api/process-jobs.js); counts are column names.
+// Never throws: a missing stats row must not fail the run it describes.
+export async function recordRun({ kind, startedAt, llmSnapshot = null, status = 'ok', counts = {}, details = {}, error = null }) {
+  const llm = llmSnapshot ? usageSince(llmSnapshot) : {};
+
+  const { error: insertError } = await supabase
+    .from('collector_runs')
+    .insert({
+      kind,
+      status,
+      started_at: new Date(startedAt).toISOString(),
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+      ...counts,
+      llm_calls: llm.calls || 0,
+      llm_errors: llm.errors || 0,
+      llm_latency_ms: llm.latency_ms || 0,
+      llm_prompt_tokens: llm.prompt_tokens || 0,
+      llm_output_tokens: llm.output_tokens || 0,
+      details,
+      error,
+    });
+
+  if (insertError) console.error(`Error recording ${kind} run:`, insertError.message);
+}
@@ -0,0 +1,119 @@
+import { supabase } from './supabase.js';
+
+// Slot planning for approved posts. Scheduled posts are 'publications' rows (see utils/publishing.js);
+// this module decides *when* they go out: configurable daily slots, a minimum gap between posts
+// and a per-day cap, all evaluated in the configured timezone.
+
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  timezone: 'UTC',
+  slots: ['09:00', '13:00', '17:00', '21:00'],
+  min_gap_minutes: 90,
+  daily_cap: 4,
+  // Posts about news older than this are held back for a human to confirm
+  stale_after_hours: 24,
+};
+
+// How far ahead the planner looks for a free slot
+const HORIZON_DAYS = 14;
+
+export async function loadScheduleSettings() {
+  try {
+    const { data, error } = await supabase
+      .from('schedule_settings')
+      .select('*')
+      .eq('id', 1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { ...DEFAULT_SCHEDULE_SETTINGS, ...(data || {}) };
+  } catch (error) {
+    console.error('Error loading schedule settings, using defaults:', error.message);
+    return { ...DEFAULT_SCHEDULE_SETTINGS };
+  }
+}
+
+// Minutes the timezone is ahead of UTC at the given instant
+function offsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return (asUtc - date.getTime()) / 60000;
+}
+
+// 'YYYY-MM-DD' of an instant in the timezone
+export function dayKey(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// The UTC instant of a wall-clock time ('HH:MM') on a given day in the timezone
+export function slotTime(day, time, timeZone) {
+  const guess = new Date(`${day}T${time}:00Z`);
+  return new Date(guess.getTime() - offsetMinutes(guess, timeZone) * 60000);
+}
+
+// Why a post can't go out at `time`, or null if it can. `taken` holds the times already scheduled.
+export function checkSlot(settings, taken, time) {
+  const gapMs = settings.min_gap_minutes * 60000;
+  const day = dayKey(time, settings.timezone);
+
+  if (taken.filter(t => dayKey(t, settings.timezone) === day).length >= settings.daily_cap) {
+    return `Daily cap of ${settings.daily_cap} posts reached for ${day}.`;
+  }
+
+  const clash = taken.find(t => Math.abs(t.getTime() - time.getTime()) < gapMs);
+  if (clash) {
+    return `Within ${settings.min_gap_minutes} minutes of another post (${clash.toISOString()}).`;
+  }
+
+  return null;
+}
+
+// Lists the next `count` free slots after `from`
+export function openSlots(settings, taken, from = new Date(), count = 1) {
+  const slots = [];
+  const sortedSlots = [...settings.slots].sort();
+
+  for (let d = 0; d <= HORIZON_DAYS && slots.length < count; d++) {
+    const day = dayKey(new Date(from.getTime() + d * 86400000), settings.timezone);
+
+    for (const slot of sortedSlots) {
+      const time = slotTime(day, slot, settings.timezone);
+      if (time <= from) continue;
+      // Planned-but-unsaved slots count against cap and gap too
+      if (checkSlot(settings, [...taken, ...slots], time)) continue;
+      slots.push(time);
+      if (slots.length === count) break;
+    }
+  }
+
+  return slots;
+}
+
+// Distinct times already booked (a post going to several networks occupies one slot)
+export async function takenTimes(excludeDraftId = null) {
+  let query = supabase
+    .from('publications')
+    .select('draft_id, scheduled_for')
+    .in('status', ['scheduled', 'held', 'publishing', 'published'])
+    .gte('scheduled_for', new Date(Date.now() - 86400000).toISOString());
+
+  if (excludeDraftId) query = query.neq('draft_id', excludeDraftId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byDraft = new Map(data.map(p => [p.draft_id, p.scheduled_for]));
+  return [...byDraft.values()].map(t => new Date(t));
+}
+
+// Returns the reason a post is stale, or null. Age is measured from when we ingested the story.
+export function staleReason(settings, newsCreatedAt, at = new Date()) {
+  if (!newsCreatedAt || !settings.stale_after_hours) return null;
+  const ageHours = (at.getTime() - new Date(newsCreatedAt).getTime()) / 3600000;
+  return ageHours > settings.stale_after_hours
+    ? `News is ${Math.round(ageHours)}h old at post time (limit ${settings.stale_after_hours}h).`
+    : null;
+}
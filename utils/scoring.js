@@ -0,0 +1,290 @@
+import { supabase } from './supabase.js';
+import { keywordTags } from './tagging.js';
+
+// Relevance scoring for incoming news items.
+// score = (base + weighted votes + keyword/currency boosts) * time decay * source trust * sentiment multiplier
+// Anything matching a block rule scores 0. Items at or above `threshold` get inserted and drafted.
+//
+// With the defaults below (neutral trust and sentiment, no boosts):
+//   RSS / JSON item, fresh or up to 24h old    8 * 1.0 .. 0.625  -> 8 .. 5      passes
+//   RSS / JSON item, 36h old                   8 * 0.56          -> 4.5         fails
+//   CryptoPanic, 5 positive votes, < ~19h old  7.5 * 1.0 .. 0.67 -> 7.5 .. 5    passes
+//   CryptoPanic, 2 positive votes, fresh       3                               fails
+//   Manual submission, any age                 100 * >= 0.5                    passes
+
+export const DEFAULT_SCORING_CONFIG = {
+  threshold: 5,
+  // How much each CryptoPanic vote type counts; "lol" is mostly noise
+  voteWeights: {
+    important: 3,
+    positive: 1.5,
+    saved: 1.5,
+    negative: 1,
+    liked: 1,
+    disliked: 0.5,
+    toxic: 0,
+    lol: 0.25,
+  },
+  // Starting score per source adapter; sources without votes need a baseline that clears the threshold
+  // with room for decay, or every dated item falls just short of it
+  baseScores: {
+    cryptopanic: 0,
+    rss: 8,
+    json: 8,
+    manual: 100,
+  },
+  // The decayable part of the score halves every N hours since publication (0 disables decay);
+  // the multiplier never drops below minDecay, so an older story is discounted rather than zeroed.
+  // decay = minDecay + (1 - minDecay) * 0.5 ^ (age / halfLifeHours)
+  halfLifeHours: 12,
+  minDecay: 0.5,
+  // Multipliers keyed by outlet name (trending_news.source_name), case-insensitive
+  sourceTrust: {},
+  sentimentMultipliers: {
+    positive: 1,
+    negative: 1,
+    neutral: 1,
+  },
+  // Additive boosts, matched case-insensitively against the title / currency codes
+  keywordBoosts: {},
+  currencyBoosts: {},
+  blockedKeywords: [],
+  blockedCurrencies: [],
+  // Learned from drafts rejected as off-topic (see loadOffTopicFeedback).
+  // A title word seen in >= minRejections off-topic titles, and in no approved one, costs keywordPenalty;
+  // an outlet's trust drops by sourcePenalty per off-topic rejection once it has minRejections, down to minSourceTrust.
+  offTopicFeedback: {
+    enabled: true,
+    windowDays: 30,
+    minRejections: 3,
+    keywordPenalty: 2,
+    sourcePenalty: 0.1,
+    minSourceTrust: 0.5,
+  },
+  // Breaking-news fast lane (see scoreUrgency). Urgent items skip the relevance threshold and the job
+  // queue, and reviewers get a push alert. urgency = votes per hour since publication * velocityWeight
+  // + "important" votes * importantWeight + keywordBoost if the title hits a breaking topic or keyword.
+  // The boost only amplifies vote activity: a headline that merely mentions an "attack" is never
+  // breaking on its own, however the boost is configured.
+  urgency: {
+    threshold: 10,
+    velocityWeight: 1,
+    importantWeight: 2,
+    keywordBoost: 5,
+    topics: ['security'],
+    keywords: ['etf approval', 'etf approved', 'etf rejected', 'etf decision', 'halts withdrawals', 'paused withdrawals', 'depeg', 'depegged', 'bankruptcy', 'insolvent', 'emergency'],
+  },
+};
+
+// Words too common in headlines to say anything about topic
+// (shorter than four letters are skipped anyway)
+const STOPWORDS = new Set([
+  'with', 'from', 'that', 'this', 'into', 'over', 'after', 'says', 'said', 'will', 'could', 'than', 'amid',
+  'about', 'what', 'more', 'have', 'here', 'price', 'crypto', 'market', 'markets', 'news', 'today', 'week', 'report',
+]);
+
+const titleWords = (title) => new Set(
+  String(title || '').toLowerCase().match(/[\p{L}\d]+/gu)?.filter(w => w.length >= 4 && !STOPWORDS.has(w)) || []
+);
+
+// Loads the active row from the 'scoring_config' table, layered over the defaults.
+// Falls back to defaults if the table is empty or unreachable so the collector keeps running.
+export async function loadScoringConfig() {
+  try {
+    const { data, error } = await supabase
+      .from('scoring_config')
+      .select('id, config')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { ...DEFAULT_SCORING_CONFIG, id: null };
+
+    return mergeConfig(DEFAULT_SCORING_CONFIG, { ...data.config, id: data.id });
+  } catch (error) {
+    console.error('Error loading scoring config, using defaults:', error.message);
+    return { ...DEFAULT_SCORING_CONFIG, id: null };
+  }
+}
+
+// Reads recent off-topic rejections and returns the penalties to layer over the config:
+// { keywords: { word: penalty }, sources: { outlet (lowercase): trust multiplier } }.
+export async function loadOffTopicFeedback(config = DEFAULT_SCORING_CONFIG) {
+  const settings = config.offTopicFeedback || {};
+  const empty = { keywords: {}, sources: {} };
+  if (!settings.enabled) return empty;
+
+  const since = new Date(Date.now() - settings.windowDays * 86400000).toISOString();
+
+  try {
+    const [rejected, approved] = await Promise.all([
+      supabase
+        .from('draft_posts')
+        .select('trending_news (title, source_name)')
+        .eq('rejection_reason', 'off_topic')
+        .gte('rejected_at', since)
+        .limit(500),
+      supabase
+        .from('draft_posts')
+        .select('trending_news (title)')
+        .eq('is_reviewed', true)
+        .gte('posted_date', since)
+        .limit(500),
+    ]);
+
+    if (rejected.error) throw rejected.error;
+    if (approved.error) throw approved.error;
+
+    // Words that also show up in approved stories are on-topic for us, whatever else happened
+    const approvedWords = new Set(approved.data.flatMap(d => [...titleWords(d.trending_news?.title)]));
+    const wordCounts = {};
+    const sourceCounts = {};
+
+    for (const { trending_news: news } of rejected.data) {
+      for (const word of titleWords(news?.title)) {
+        if (!approvedWords.has(word)) wordCounts[word] = (wordCounts[word] || 0) + 1;
+      }
+      const source = String(news?.source_name || '').toLowerCase();
+      if (source) sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+    }
+
+    const feedback = { keywords: {}, sources: {} };
+    for (const [word, count] of Object.entries(wordCounts)) {
+      if (count >= settings.minRejections) feedback.keywords[word] = settings.keywordPenalty;
+    }
+    for (const [source, count] of Object.entries(sourceCounts)) {
+      if (count >= settings.minRejections) {
+        feedback.sources[source] = Math.max(settings.minSourceTrust, 1 - settings.sourcePenalty * count);
+      }
+    }
+
+    const learned = Object.keys(feedback.keywords).length + Object.keys(feedback.sources).length;
+    if (learned > 0) console.log(`Off-topic feedback: ${JSON.stringify(feedback)}`);
+    return feedback;
+  } catch (error) {
+    console.error('Error loading off-topic feedback, skipping:', error.message);
+    return empty;
+  }
+}
+
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const isMap = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isMap ? { ...defaults[key], ...value } : value;
+  }
+  return merged;
+}
+
+const lowerKeys = (map) => Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [k.toLowerCase(), v]));
+
+// Scores one item. `item.source` is the adapter name; `votes`, `currencies` and
+// `published_at` are optional extras provided by adapters that have them.
+// `config.offTopic` is the optional output of loadOffTopicFeedback.
+export function scoreItem(item, config = DEFAULT_SCORING_CONFIG, now = Date.now()) {
+  const title = String(item.title || '').toLowerCase();
+  const currencies = (item.currencies || []).map(c => String(c).toUpperCase());
+
+  const breakdown = {
+    config_id: config.id || null,
+    base: config.baseScores[item.source] ?? 0,
+    votes: {},
+    vote_score: 0,
+    boosts: {},
+    boost_score: 0,
+    decay: 1,
+    source_trust: 1,
+    sentiment_multiplier: 1,
+    blocked_by: null,
+  };
+
+  // --- Block rules ---
+  const blockedKeyword = (config.blockedKeywords || []).find(k => title.includes(String(k).toLowerCase()));
+  const blockedCurrency = (config.blockedCurrencies || []).find(c => currencies.includes(String(c).toUpperCase()));
+
+  if (blockedKeyword || blockedCurrency) {
+    breakdown.blocked_by = blockedKeyword ? `keyword:${blockedKeyword}` : `currency:${blockedCurrency}`;
+    return { score: 0, passed: false, breakdown };
+  }
+
+  // --- Weighted votes ---
+  if (item.votes && typeof item.votes === 'object') {
+    for (const [type, weight] of Object.entries(config.voteWeights)) {
+      const count = item.votes[type] || 0;
+      if (count === 0) continue;
+      breakdown.votes[type] = count;
+      breakdown.vote_score += count * weight;
+    }
+  }
+
+  // --- Keyword / currency boosts ---
+  for (const [keyword, boost] of Object.entries(config.keywordBoosts || {})) {
+    if (title.includes(keyword.toLowerCase())) breakdown.boosts[`keyword:${keyword}`] = boost;
+  }
+  for (const [currency, boost] of Object.entries(config.currencyBoosts || {})) {
+    if (currencies.includes(currency.toUpperCase())) breakdown.boosts[`currency:${currency}`] = boost;
+  }
+  // Negative boosts learned from off-topic rejections
+  for (const [word, penalty] of Object.entries(config.offTopic?.keywords || {})) {
+    if (titleWords(title).has(word)) breakdown.boosts[`off_topic:${word}`] = -penalty;
+  }
+  breakdown.boost_score = Object.values(breakdown.boosts).reduce((sum, b) => sum + b, 0);
+
+  // --- Multipliers ---
+  if (config.halfLifeHours > 0 && item.published_at) {
+    const ageHours = Math.max(0, (now - new Date(item.published_at).getTime()) / 3600000);
+    if (Number.isFinite(ageHours)) {
+      breakdown.age_hours = Number(ageHours.toFixed(2));
+      const floor = Math.min(1, Math.max(0, config.minDecay ?? 0));
+      breakdown.decay = floor + (1 - floor) * Math.pow(0.5, ageHours / config.halfLifeHours);
+    }
+  }
+
+  const sourceKey = String(item.source_name || '').toLowerCase();
+  breakdown.source_trust = (lowerKeys(config.sourceTrust)[sourceKey] ?? 1) * (config.offTopic?.sources?.[sourceKey] ?? 1);
+  breakdown.sentiment_multiplier = config.sentimentMultipliers[item.sentiment] ?? 1;
+
+  const raw = breakdown.base + breakdown.vote_score + breakdown.boost_score;
+  const score = Number((raw * breakdown.decay * breakdown.source_trust * breakdown.sentiment_multiplier).toFixed(3));
+
+  return { score, passed: score >= config.threshold, breakdown };
+}
+
+// Urgency for the breaking-news fast lane. Topics come from title keywords (utils/tagging.js) so
+// this runs before the LLM tagging pass. Returns { score, urgent, reasons }.
+export function scoreUrgency(item, config = DEFAULT_SCORING_CONFIG, now = Date.now()) {
+  const urgency = { ...DEFAULT_SCORING_CONFIG.urgency, ...config.urgency };
+  const title = String(item.title || '').toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  const votes = item.votes && typeof item.votes === 'object' ? item.votes : {};
+  const totalVotes = Object.values(votes).reduce((sum, count) => sum + (Number(count) || 0), 0);
+  if (totalVotes > 0 && item.published_at) {
+    // At least a quarter hour, so a handful of votes in the first minute isn't a stampede
+    const ageHours = Math.max(0.25, (now - new Date(item.published_at).getTime()) / 3600000);
+    if (Number.isFinite(ageHours)) {
+      const velocity = totalVotes / ageHours;
+      score += velocity * urgency.velocityWeight;
+      reasons.push(`${velocity.toFixed(1)} votes/h`);
+    }
+  }
+
+  if (votes.important > 0) {
+    score += votes.important * urgency.importantWeight;
+    reasons.push(`${votes.important} important`);
+  }
+
+  const fromVotes = score;
+  const topic = keywordTags(item).topics.find(t => urgency.topics.includes(t));
+  const keyword = urgency.keywords.find(k => title.includes(k.toLowerCase()));
+  if (topic || keyword) {
+    score += urgency.keywordBoost;
+    reasons.push(topic ? `topic:${topic}` : `keyword:${keyword}`);
+  }
+
+  score = Number(score.toFixed(2));
+  return { score, urgent: fromVotes > 0 && score >= urgency.threshold, reasons };
+}
@@ -0,0 +1,44 @@
+import axios from 'axios';
+import { namespacedId } from './namespace.js';
+
+// CryptoPanic v2 trending feed.
+// Enabled whenever CRYPTOPANIC_API_KEY is set, unless SOURCE_CRYPTOPANIC_ENABLED=false.
+export default {
+  name: 'cryptopanic',
+
+  isEnabled() {
+    return Boolean(process.env.CRYPTOPANIC_API_KEY) && process.env.SOURCE_CRYPTOPANIC_ENABLED !== 'false';
+  },
+
+  async fetchItems() {
+    // Using filter=hot to ensure we only get relevant, high-velocity news
+    const apiUrl = `https://cryptopanic.com/api/developer/v2/posts/?auth_token=${process.env.CRYPTOPANIC_API_KEY}&kind=news&filter=hot&public=true`;
+
+    console.log('Fetching from CryptoPanic v2 API...');
+
+    const response = await axios.get(apiUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; Vercel-Function/1.0)',
+      },
+      timeout: 15000,
+      maxRedirects: 0,
+    });
+
+    if (!response.data || !Array.isArray(response.data.results)) {
+      throw new Error('Invalid API response structure from CryptoPanic');
+    }
+
+    return response.data.results.map(p => ({
+      cp_id: namespacedId('cryptopanic', p.id),
+      title: p.title || 'Untitled',
+      url: p.url || '',
+      source_name: (p.source && p.source.title) ? p.source.title : 'Unknown',
+      upvotes: (p.votes && p.votes.positive) ? p.votes.positive : 0,
+      sentiment: p.sentiment || 'neutral',
+      // Kept for scoring and tagging (utils/tagging.js turns currencies into the stored assets), never inserted
+      votes: p.votes,
+      currencies: [...new Set([...(p.instruments || []), ...(p.currencies || [])].map(c => c.code).filter(Boolean))],
+      published_at: p.published_at,
+    }));
+  },
+};
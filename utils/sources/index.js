@@ -0,0 +1,21 @@
+import cryptopanic from './cryptopanic.js';
+import rss from './rss.js';
+import jsonApi from './json-api.js';
+import manual from './manual.js';
+
+// Every source adapter exposes { name, isEnabled() } and either fetchItems(), or feeds() returning
+// [{ name, fetchItems() }] when it polls several endpoints that should be monitored one by one.
+// fetchItems() resolves to rows in the trending_news shape (cp_id already namespaced) and throws on failure;
+// adapters may attach scoring-only extras (`votes`, `currencies`, `published_at`) that the collector strips before insert.
+export const sources = [cryptopanic, rss, jsonApi, manual];
+
+export function getEnabledSources() {
+  return sources.filter(source => source.isEnabled());
+}
+
+// Every feed of every enabled source as { name, source, fetchItems() }; single-endpoint sources are one feed
+export function getEnabledFeeds() {
+  return getEnabledSources().flatMap(source => source.feeds
+    ? source.feeds().map(feed => ({ ...feed, source: source.name }))
+    : [{ name: source.name, source: source.name, fetchItems: () => source.fetchItems() }]);
+}
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { namespacedId, hashId } from './namespace.js';
+
+// Generic JSON API source.
+// Configure with JSON_SOURCES, a JSON array of endpoints, e.g.
+// [{ "name": "coindesk", "url": "https://...", "itemsPath": "data.articles",
+//    "fields": { "id": "uuid", "title": "headline", "url": "link", "source": "publisher.name" },
+//    "headers": { "X-Api-Key": "..." } }]
+// Field paths use dot notation; "published" is optional and feeds relevance time decay.
+// Set SOURCE_JSON_ENABLED=false to pause.
+
+function endpoints() {
+  if (!process.env.JSON_SOURCES) return [];
+  try {
+    const parsed = JSON.parse(process.env.JSON_SOURCES);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    console.error('JSON_SOURCES is not valid JSON:', e.message);
+    return [];
+  }
+}
+
+function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// Fetches one endpoint; throws so the collector can report the failure against that endpoint
+async function fetchEndpoint(endpoint) {
+  const fields = endpoint.fields || {};
+
+  console.log(`Fetching JSON source: ${endpoint.name || endpoint.url}`);
+  const response = await axios.get(endpoint.url, {
+    headers: endpoint.headers || {},
+    timeout: 15000,
+  });
+
+  const records = getPath(response.data, endpoint.itemsPath);
+  if (!Array.isArray(records)) {
+    throw new Error(`No array found at "${endpoint.itemsPath || '(root)'}"`);
+  }
+
+  return records
+    .filter(record => getPath(record, fields.url || 'url'))
+    .map(record => {
+      const url = getPath(record, fields.url || 'url');
+      const id = getPath(record, fields.id || 'id') || hashId(url);
+
+      return {
+        cp_id: namespacedId(`json-${endpoint.name || hashId(endpoint.url)}`, id),
+        title: getPath(record, fields.title || 'title') || 'Untitled',
+        url,
+        source_name: getPath(record, fields.source || 'source') || endpoint.name || 'Unknown',
+        upvotes: 0,
+        sentiment: 'neutral',
+        published_at: fields.published ? getPath(record, fields.published) : undefined,
+      };
+    });
+}
+
+export default {
+  name: 'json',
+
+  isEnabled() {
+    return endpoints().length > 0 && process.env.SOURCE_JSON_ENABLED !== 'false';
+  },
+
+  // One feed per endpoint, each with its own counters and error in the collector summary
+  feeds() {
+    return endpoints().map(endpoint => ({
+      name: `json:${endpoint.name || endpoint.url}`,
+      fetchItems: () => fetchEndpoint(endpoint),
+    }));
+  },
+};
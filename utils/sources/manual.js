@@ -0,0 +1,33 @@
+import { supabase } from '../supabase.js';
+import { namespacedId } from './namespace.js';
+
+// Manually curated stories, added by hand to the 'curated_news' table.
+// Enable with SOURCE_MANUAL_ENABLED=true. Rows are picked up once; cp_id dedup handles repeat runs.
+export default {
+  name: 'manual',
+
+  isEnabled() {
+    return process.env.SOURCE_MANUAL_ENABLED === 'true';
+  },
+
+  async fetchItems() {
+    const { data, error } = await supabase
+      .from('curated_news')
+      .select('id, title, url, source_name, sentiment, format')
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    return data.map(row => ({
+      cp_id: namespacedId('manual', row.id),
+      title: row.title || 'Untitled',
+      url: row.url || '',
+      source_name: row.source_name || 'Curated',
+      upvotes: 0,
+      sentiment: row.sentiment || 'neutral',
+      // Curators can ask for a thread / long-form post instead of a single tweet
+      requested_format: row.format || null,
+    }));
+  },
+};
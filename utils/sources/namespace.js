@@ -0,0 +1,11 @@
+import { createHash } from 'crypto';
+
+// Prefix a provider-specific ID so IDs from different sources never collide in trending_news.cp_id
+export function namespacedId(sourceName, rawId) {
+  return `${sourceName}:${String(rawId)}`;
+}
+
+// Feeds without stable IDs fall back to a short hash of the link
+export function hashId(value) {
+  return createHash('sha1').update(String(value)).digest('hex').slice(0, 16);
+}
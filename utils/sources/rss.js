@@ -0,0 +1,87 @@
+import axios from 'axios';
+import { XMLParser } from 'fast-xml-parser';
+import { namespacedId, hashId } from './namespace.js';
+
+// RSS 2.0 / Atom feeds.
+// Configure with RSS_FEED_URLS (comma-separated). Set SOURCE_RSS_ENABLED=false to pause without removing the list.
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '' });
+
+function feedUrls() {
+  return (process.env.RSS_FEED_URLS || '')
+    .split(',')
+    .map(u => u.trim())
+    .filter(Boolean);
+}
+
+// fast-xml-parser returns a single object when there is only one child
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Text nodes may come back as plain strings or { '#text': ... } when they carry attributes
+const text = (value) => (value && typeof value === 'object' ? value['#text'] : value) || '';
+
+function atomLink(link) {
+  const links = asArray(link);
+  const alternate = links.find(l => !l.rel || l.rel === 'alternate') || links[0];
+  return alternate ? alternate.href || text(alternate) : '';
+}
+
+function parseFeed(xml) {
+  const doc = parser.parse(xml);
+
+  if (doc.rss && doc.rss.channel) {
+    const channel = doc.rss.channel;
+    return asArray(channel.item).map(item => ({
+      id: text(item.guid) || item.link,
+      title: text(item.title),
+      url: text(item.link),
+      source: text(channel.title),
+      published: text(item.pubDate),
+    }));
+  }
+
+  if (doc.feed) {
+    return asArray(doc.feed.entry).map(entry => ({
+      id: text(entry.id) || atomLink(entry.link),
+      title: text(entry.title),
+      url: atomLink(entry.link),
+      source: text(doc.feed.title),
+      published: text(entry.published) || text(entry.updated),
+    }));
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS or Atom)');
+}
+
+// Fetches and parses one feed; throws so the collector can report the failure against that feed
+async function fetchFeed(feedUrl) {
+  console.log(`Fetching RSS feed: ${feedUrl}`);
+  const response = await axios.get(feedUrl, { timeout: 15000, responseType: 'text' });
+
+  return parseFeed(response.data)
+    .filter(entry => entry.url)
+    .map(entry => ({
+      cp_id: namespacedId('rss', hashId(entry.id || entry.url)),
+      title: entry.title || 'Untitled',
+      url: entry.url,
+      source_name: entry.source || new URL(feedUrl).hostname,
+      upvotes: 0,
+      sentiment: 'neutral',
+      published_at: entry.published || undefined,
+    }));
+}
+
+export default {
+  name: 'rss',
+
+  isEnabled() {
+    return feedUrls().length > 0 && process.env.SOURCE_RSS_ENABLED !== 'false';
+  },
+
+  // One feed per URL, each with its own counters and error in the collector summary
+  feeds() {
+    return feedUrls().map(feedUrl => ({
+      name: `rss:${feedUrl}`,
+      fetchItems: () => fetchFeed(feedUrl),
+    }));
+  },
+};
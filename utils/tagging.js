@@ -0,0 +1,130 @@
+import { generateJson } from './llm/index.js';
+
+// Asset and topic tags for trending_news rows, used by routing rules (utils/routing.js),
+// the dashboard filter chips and the analytics tab.
+// Sources, strongest first: the feed's own data (CryptoPanic currencies/instruments), keyword
+// matches on the title, then one batched LLM call for items the keywords couldn't place.
+
+// Ticker -> names that count as a mention (word-boundary match, case-insensitive)
+export const ASSET_KEYWORDS = {
+  BTC: ['bitcoin', 'btc'],
+  ETH: ['ethereum', 'ether', 'eth'],
+  SOL: ['solana', 'sol'],
+  XRP: ['xrp', 'ripple'],
+  BNB: ['bnb', 'binance coin'],
+  ADA: ['cardano', 'ada'],
+  DOGE: ['dogecoin', 'doge'],
+  AVAX: ['avalanche', 'avax'],
+  DOT: ['polkadot'],
+  LINK: ['chainlink'],
+  TON: ['toncoin'],
+  TRX: ['tron', 'trx'],
+  LTC: ['litecoin', 'ltc'],
+  ARB: ['arbitrum'],
+  OP: ['optimism'],
+  USDT: ['tether', 'usdt'],
+  USDC: ['usdc'],
+};
+
+export const TOPIC_KEYWORDS = {
+  regulation: ['sec', 'cftc', 'regulator', 'regulators', 'regulation', 'regulatory', 'lawsuit', 'court', 'judge', 'ban', 'bill', 'senate', 'congress', 'compliance', 'mica', 'license', 'sanction', 'sanctions'],
+  defi: ['defi', 'dex', 'lending', 'yield', 'liquidity pool', 'amm', 'uniswap', 'aave', 'staking', 'restaking', 'tvl'],
+  security: ['hack', 'hacks', 'hacked', 'hacker', 'hackers', 'exploit', 'exploits', 'exploited', 'breach', 'stolen', 'drain', 'drains', 'drained', 'phishing', 'vulnerability', 'rug pull', 'attack', 'attacker', 'attackers'],
+  macro: ['fed', 'federal reserve', 'inflation', 'cpi', 'interest rate', 'interest rates', 'rate cut', 'rate hike', 'recession', 'treasury', 'fomc', 'jobs report', 'tariff', 'tariffs'],
+  etf: ['etf', 'etfs', 'spot etf'],
+  stablecoins: ['stablecoin', 'stablecoins', 'tether', 'usdc', 'usdt'],
+  layer2: ['layer 2', 'layer-2', 'l2', 'l2s', 'rollup', 'rollups', 'arbitrum', 'optimism', 'zksync', 'starknet'],
+  nft: ['nft', 'nfts', 'opensea'],
+};
+
+export const TOPICS = Object.keys(TOPIC_KEYWORDS);
+
+// At most this many titles go to the LLM per collector run
+const LLM_BATCH_SIZE = 40;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (title, words) => words.some(word => new RegExp(`\\b${escapeRegex(word)}\\b`, 'i').test(title));
+
+// Tags from the item's own data and title keywords. Returns { assets, topics, tag_sources }
+// where tag_sources records how each tag was found ({ "BTC": "api", "defi": "keyword" }).
+export function keywordTags(item) {
+  const title = String(item.title || '');
+  const tagSources = {};
+
+  (item.currencies || []).forEach(code => { tagSources[String(code).toUpperCase()] = 'api'; });
+
+  for (const [asset, words] of Object.entries(ASSET_KEYWORDS)) {
+    if (!tagSources[asset] && mentions(title, words)) tagSources[asset] = 'keyword';
+  }
+  for (const [topic, words] of Object.entries(TOPIC_KEYWORDS)) {
+    if (mentions(title, words)) tagSources[topic] = 'keyword';
+  }
+
+  return {
+    assets: Object.keys(tagSources).filter(tag => !TOPICS.includes(tag)),
+    topics: TOPICS.filter(topic => tagSources[topic]),
+    tag_sources: tagSources,
+  };
+}
+
+const classificationSchema = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', description: 'The number of the headline in the list.' },
+          assets: { type: 'array', items: { type: 'string' }, description: 'Upper-case tickers of crypto assets the story is about (e.g. BTC, ETH). Empty if none.' },
+          topics: { type: 'array', items: { type: 'string', enum: TOPICS } },
+        },
+        required: ['index', 'assets', 'topics'],
+      },
+    },
+  },
+  required: ['items'],
+};
+
+// One LLM call for a batch of items; resolves to { [index]: { assets, topics } }
+async function classifyWithLlm(items) {
+  const headlines = items.map((item, index) => `${index}. ${item.title}`).join('\n');
+  const { data } = await generateJson({
+    prompt: `Classify these crypto news headlines. For each, list the assets (tickers) it is about and its topics, using only these topics: ${TOPICS.join(', ')}. Leave a list empty rather than guessing.\n\n${headlines}`,
+    schema: classificationSchema,
+    temperature: 0,
+  });
+
+  return Object.fromEntries((data.items || []).map(result => [result.index, result]));
+}
+
+// Tags every item in place (assets, topics, tag_sources). Never throws: if the LLM is unavailable
+// the keyword tags stand. Set TAGGING_LLM_ENABLED=false to skip the LLM entirely.
+export async function tagItems(items) {
+  items.forEach(item => Object.assign(item, keywordTags(item)));
+
+  const untagged = items.filter(item => item.topics.length === 0).slice(0, LLM_BATCH_SIZE);
+  if (untagged.length === 0 || process.env.TAGGING_LLM_ENABLED === 'false') return items;
+
+  try {
+    const results = await classifyWithLlm(untagged);
+
+    untagged.forEach((item, index) => {
+      const result = results[index];
+      if (!result) return;
+
+      (result.topics || []).filter(topic => TOPICS.includes(topic)).forEach(topic => {
+        if (!item.topics.includes(topic)) item.topics.push(topic);
+        item.tag_sources[topic] = item.tag_sources[topic] || 'llm';
+      });
+      (result.assets || []).map(asset => String(asset).toUpperCase()).filter(asset => /^[A-Z0-9]{2,10}$/.test(asset)).forEach(asset => {
+        if (!item.assets.includes(asset)) item.assets.push(asset);
+        item.tag_sources[asset] = item.tag_sources[asset] || 'llm';
+      });
+    });
+  } catch (error) {
+    console.error('LLM tagging failed; keeping keyword tags:', error.message);
+  }
+
+  return items;
+}